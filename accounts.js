@@ -0,0 +1,357 @@
+// =========================
+// STAFF ACCOUNTS & PERMISSIONS
+// =========================
+// Staff sign in as an account with a role (admin, trainer or front desk);
+// the role decides what they may do (see ROLE_PERMISSIONS). Clients carry the
+// id of the trainer they are assigned to (`trainerId`).
+//
+// Accounts come from an account backend: an object with async listAccounts,
+// saveAccount, removeAccount and signIn methods. createLocalAccountBackend()
+// keeps accounts in this browser's localStorage; createApiAccountBackend()
+// shares them through the sync server (see sync.js) so every device sees the
+// same staff.
+// Event wiring lives in main.js.
+
+const ACCOUNTS_KEY = "fitCRM_accounts";
+const ACCOUNT_SCHEMA_VERSION = 1;
+const ACCOUNT_MIGRATIONS = {};
+
+// Who is signed in; per browser tab, so closing the tab signs out
+const SIGNED_IN_KEY = "fitCRM_signedInAccount";
+
+const ACCOUNT_ROLES = {
+  admin: "Admin",
+  trainer: "Trainer",
+  frontdesk: "Front desk",
+};
+
+// Optional PIN asked for when signing in
+const PIN_PATTERN = /^\d{4,8}$/;
+
+// What each role may do: true = for every client, "own" = only for clients
+// assigned to them. Anything not listed is not allowed.
+const ROLE_PERMISSIONS = {
+  admin: {
+    "client:create": true,
+    "client:edit": true,
+    "client:delete": true,
+    "client:assign": true,
+    "client:train": true,
+    "client:renew": true,
+    "client:book": true,
+    "client:checkin": true,
+    "client:payment": true,
+    "client:remind": true,
+    "clients:export": true,
+    "clients:import": true,
+    "clients:merge": true,
+    "trash:manage": true,
+    "settings:edit": true,
+    "accounts:manage": true,
+  },
+  trainer: {
+    "client:create": true,
+    "client:edit": "own",
+    "client:train": "own",
+    "client:renew": "own",
+    "client:book": "own",
+    "client:checkin": "own",
+    "client:remind": "own",
+  },
+  frontdesk: {
+    "client:create": true,
+    "client:edit": true,
+    "client:assign": true,
+    "client:renew": true,
+    "client:book": true,
+    "client:checkin": true,
+    "client:payment": true,
+    "client:remind": true,
+  },
+};
+
+// Used in "You don't have permission to …" messages
+const PERMISSION_LABELS = {
+  "client:create": "add clients",
+  "client:edit": "edit this client",
+  "client:delete": "delete clients",
+  "client:assign": "assign clients to trainers",
+  "client:train": "log sessions or plans for this client",
+  "client:renew": "renew this client's membership",
+  "client:book": "book sessions for this client",
+  "client:checkin": "check this client in",
+  "client:payment": "record payments",
+  "client:remind": "send reminders",
+  "clients:export": "export clients",
+  "clients:import": "import clients",
+  "clients:merge": "merge clients",
+  "trash:manage": "manage the Trash",
+  "settings:edit": "change settings",
+  "accounts:manage": "manage staff accounts",
+};
+
+/**
+ * Check whether an account may do something
+ * Without a client, "own" permissions count as allowed (the account may do it
+ * for some clients), which is what controls that are not about one client need
+ * @param {Object|null} account - Signed-in account
+ * @param {string} action - Key of ROLE_PERMISSIONS, e.g. "client:edit"
+ * @param {Object} [client] - Client the action is about
+ * @returns {boolean} True if allowed
+ */
+function can(account, action, client) {
+  if (!account) return false;
+  const rule = (ROLE_PERMISSIONS[account.role] || {})[action];
+  if (rule === "own") return !client || client.trainerId === account.id;
+  return rule === true;
+}
+
+/**
+ * Message for an action the account is not allowed to do
+ * @param {string} action - Key of ROLE_PERMISSIONS
+ * @returns {string} e.g. "You don't have permission to delete clients."
+ */
+function describeMissingPermission(action) {
+  return `You don't have permission to ${PERMISSION_LABELS[action] || action}.`;
+}
+
+/**
+ * Hash a PIN with its salt (SHA-256, hex)
+ * @param {string} pin - PIN as typed
+ * @param {string} salt - Per-account random salt
+ * @returns {Promise<string>} Hex digest
+ * @throws {Error} When the browser has no Web Crypto (pages served over plain http)
+ */
+async function hashPin(pin, salt) {
+  if (typeof crypto === "undefined" || !crypto.subtle) {
+    throw new Error("PINs need the app to be opened over https or from localhost.");
+  }
+  const digest = await crypto.subtle.digest("SHA-256", new TextEncoder().encode(`${salt}:${pin}`));
+  return [...new Uint8Array(digest)].map((byte) => byte.toString(16).padStart(2, "0")).join("");
+}
+
+/**
+ * Random salt for a new PIN
+ * @returns {string} 32 hex characters
+ */
+function createPinSalt() {
+  const bytes = crypto.getRandomValues(new Uint8Array(16));
+  return [...bytes].map((byte) => byte.toString(16).padStart(2, "0")).join("");
+}
+
+/**
+ * The part of an account that is safe to hand to the UI (no PIN hash)
+ * @param {Object} account - Stored account
+ * @returns {Object} { id, name, role, hasPin }
+ */
+function toPublicAccount(account) {
+  return { id: account.id, name: account.name, role: account.role, hasPin: Boolean(account.pinHash) };
+}
+
+/**
+ * Check an account before it is saved
+ * @param {Object} account - { id?, name, role }
+ * @param {string} [pin] - New PIN ("" removes it, undefined keeps the current one)
+ * @param {Array} accounts - Stored accounts
+ * @throws {Error} With a message for the user when something is wrong
+ */
+function checkAccount(account, pin, accounts) {
+  const name = (account.name || "").trim();
+  if (!name) throw new Error("Please enter a name for the account.");
+  if (!ACCOUNT_ROLES[account.role]) throw new Error("Please choose a role for the account.");
+  if (pin && !PIN_PATTERN.test(pin)) throw new Error("PINs are 4 to 8 digits.");
+
+  const others = accounts.filter((existing) => existing.id !== account.id);
+  if (others.some((existing) => existing.name.toLowerCase() === name.toLowerCase())) {
+    throw new Error(`There is already an account called "${name}".`);
+  }
+
+  const previous = accounts.find((existing) => existing.id === account.id);
+  if (previous && previous.role === "admin" && account.role !== "admin" && !others.some((a) => a.role === "admin")) {
+    throw new Error("FitCRM needs at least one admin account.");
+  }
+}
+
+/**
+ * Account backend that keeps accounts in this browser's localStorage
+ * @returns {Object} { listAccounts, saveAccount, removeAccount, signIn } (all async)
+ */
+function createLocalAccountBackend() {
+  const read = () => readVersionedRecords(ACCOUNTS_KEY, ACCOUNT_SCHEMA_VERSION, ACCOUNT_MIGRATIONS);
+  const write = (accounts) => writeVersionedRecords(ACCOUNTS_KEY, accounts, ACCOUNT_SCHEMA_VERSION);
+
+  return {
+    /**
+     * @returns {Promise<Array>} Every account (public fields), sorted by name
+     */
+    async listAccounts() {
+      return read()
+        .map(toPublicAccount)
+        .sort((a, b) => a.name.localeCompare(b.name));
+    },
+
+    /**
+     * Add an account (no id) or update one
+     * @param {Object} account - { id?, name, role }
+     * @param {string} [pin] - New PIN ("" removes it, undefined keeps the current one)
+     * @returns {Promise<Object>} The saved account (public fields)
+     */
+    async saveAccount(account, pin) {
+      const accounts = read();
+      checkAccount(account, pin, accounts);
+
+      const index = accounts.findIndex((existing) => existing.id === account.id);
+      const saved = {
+        ...(index === -1 ? { id: Math.max(Date.now(), ...accounts.map((a) => a.id + 1)) } : accounts[index]),
+        name: account.name.trim(),
+        role: account.role,
+        schemaVersion: ACCOUNT_SCHEMA_VERSION,
+      };
+
+      if (pin) {
+        saved.pinSalt = createPinSalt();
+        saved.pinHash = await hashPin(pin, saved.pinSalt);
+      } else if (pin === "") {
+        delete saved.pinSalt;
+        delete saved.pinHash;
+      }
+
+      if (index === -1) {
+        accounts.push(saved);
+      } else {
+        accounts[index] = saved;
+      }
+      write(accounts);
+      return toPublicAccount(saved);
+    },
+
+    /**
+     * @param {number} id - Account to remove (the last admin cannot be removed)
+     * @returns {Promise<void>}
+     */
+    async removeAccount(id) {
+      const accounts = read();
+      const account = accounts.find((existing) => existing.id === id);
+      if (!account) return;
+      if (account.role === "admin" && accounts.filter((a) => a.role === "admin").length === 1) {
+        throw new Error("FitCRM needs at least one admin account.");
+      }
+      write(accounts.filter((existing) => existing.id !== id));
+    },
+
+    /**
+     * Check an account's PIN
+     * @param {number} id - Account signing in
+     * @param {string} pin - PIN as typed (ignored for accounts without one)
+     * @returns {Promise<Object>} The account (public fields)
+     */
+    async signIn(id, pin) {
+      const account = read().find((existing) => existing.id === id);
+      if (!account) throw new Error("This account no longer exists.");
+      if (account.pinHash && (await hashPin(pin || "", account.pinSalt)) !== account.pinHash) {
+        throw new Error("That PIN is not right.");
+      }
+      return toPublicAccount(account);
+    },
+  };
+}
+
+/**
+ * Account backend that keeps accounts on the sync server
+ * The last account list is kept in localStorage so staff without a PIN can
+ * still sign in while the server cannot be reached
+ * @param {string} apiUrl - Server base URL
+ * @returns {Object} { listAccounts, saveAccount, removeAccount, signIn } (all async)
+ */
+function createApiAccountBackend(apiUrl) {
+  const cacheKey = `${ACCOUNTS_KEY}_server`;
+  const readCache = () => JSON.parse(localStorage.getItem(cacheKey) || "[]");
+
+  return {
+    async listAccounts() {
+      try {
+        const accounts = await apiRequest(apiUrl, "GET", "/accounts");
+        localStorage.setItem(cacheKey, JSON.stringify(accounts));
+        return accounts;
+      } catch (error) {
+        if (!isOfflineError(error) || readCache().length === 0) throw error;
+        return readCache();
+      }
+    },
+
+    async saveAccount(account, pin) {
+      const body = { account: { name: account.name, role: account.role }, pin };
+      return account.id
+        ? apiRequest(apiUrl, "PUT", `/accounts/${account.id}`, body)
+        : apiRequest(apiUrl, "POST", "/accounts", body);
+    },
+
+    async removeAccount(id) {
+      await apiRequest(apiUrl, "DELETE", `/accounts/${id}`);
+    },
+
+    async signIn(id, pin) {
+      try {
+        // The token lets this tab make the changes the account's role allows (see server.js)
+        const { token, ...account } = await apiRequest(apiUrl, "POST", `/accounts/${id}/signin`, { pin });
+        saveApiToken(token);
+        return account;
+      } catch (error) {
+        const cached = readCache().find((account) => account.id === id);
+        if (!isOfflineError(error) || !cached) throw error;
+        if (cached.hasPin) throw new Error("The server cannot be reached to check your PIN.");
+        return cached;
+      }
+    },
+  };
+}
+
+/**
+ * Create the first admin account when there are no accounts yet
+ * (an existing single-user FitCRM keeps working without signing in)
+ * @param {Object} backend - Account backend
+ * @param {string} [name] - Name for the admin
+ * @returns {Promise<Array>} Every account after the check
+ */
+async function ensureAdminAccount(backend, name) {
+  const accounts = await backend.listAccounts();
+  if (accounts.length > 0) return accounts;
+  await backend.saveAccount({ name: name || "Admin", role: "admin" });
+  return backend.listAccounts();
+}
+
+/**
+ * Id of the account signed in on this tab
+ * @returns {number|null}
+ */
+function loadSignedInAccountId() {
+  return Number(sessionStorage.getItem(SIGNED_IN_KEY)) || null;
+}
+
+/**
+ * Remember (or, with null, forget) who is signed in on this tab
+ * Signing out also forgets the sync server's token
+ * @param {number|null} id - Account id
+ */
+function saveSignedInAccountId(id) {
+  if (id === null) {
+    sessionStorage.removeItem(SIGNED_IN_KEY);
+    saveApiToken(null);
+  } else {
+    sessionStorage.setItem(SIGNED_IN_KEY, String(id));
+  }
+}
+
+// Node (server.js) uses the same account rules
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    ACCOUNT_ROLES,
+    ROLE_PERMISSIONS,
+    can,
+    checkAccount,
+    createPinSalt,
+    describeMissingPermission,
+    hashPin,
+    toPublicAccount,
+  };
+}
@@ -0,0 +1,209 @@
+// =========================
+// SESSION BOOKINGS & CALENDAR HELPERS
+// =========================
+// Booked training sessions are kept on the client they are for:
+//   bookings: [{ id, date, startTime: "18:00", durationMinutes, trainerId,
+//                repeat: "none" | "weekly" | "fortnightly", until, skippedDates: [], notes }]
+// A repeating booking is one series from `date` to `until`; cancelling a single
+// date adds it to skippedDates. The calendar expands series into occurrences
+// for the dates on screen. A trainer cannot have two overlapping sessions.
+// Rendering and event wiring live in main.js.
+
+const BOOKING_REPEAT_OPTIONS = {
+  none: { label: "Does not repeat", everyDays: 0 },
+  weekly: { label: "Every week", everyDays: 7 },
+  fortnightly: { label: "Every 2 weeks", everyDays: 14 },
+};
+
+// Staff who run sessions (listed as trainers in the booking form)
+const BOOKABLE_ROLES = ["trainer", "admin"];
+
+const DEFAULT_BOOKING_MINUTES = 60;
+const MAX_BOOKING_MINUTES = 240;
+// Repeating bookings may run for at most this many days
+const MAX_BOOKING_SERIES_DAYS = 366;
+
+// Weeks start on Monday
+const WEEKDAY_NAMES = ["Mon", "Tue", "Wed", "Thu", "Fri", "Sat", "Sun"];
+
+/**
+ * Add days to a date
+ * @param {string} dateString - Date string in YYYY-MM-DD format
+ * @param {number} days - Days to add (may be negative)
+ * @returns {string} New date in YYYY-MM-DD format
+ */
+function addDays(dateString, days) {
+  const [year, month, day] = dateString.split("-").map(Number);
+  return new Date(Date.UTC(year, month - 1, day + days)).toISOString().slice(0, 10);
+}
+
+/**
+ * Day of the week, Monday first
+ * @param {string} dateString - Date string in YYYY-MM-DD format
+ * @returns {number} 0 (Monday) to 6 (Sunday)
+ */
+function getWeekdayIndex(dateString) {
+  const [year, month, day] = dateString.split("-").map(Number);
+  return (new Date(Date.UTC(year, month - 1, day)).getUTCDay() + 6) % 7;
+}
+
+/**
+ * Monday of the week a date falls in
+ * @param {string} dateString - Date string in YYYY-MM-DD format
+ * @returns {string} Date string of that Monday
+ */
+function getWeekStart(dateString) {
+  return addDays(dateString, -getWeekdayIndex(dateString));
+}
+
+/**
+ * The weeks shown for a month: full Monday–Sunday rows covering every day of it
+ * @param {string} dateString - Any date in the month
+ * @returns {Array<Array<string>>} Weeks of 7 date strings
+ */
+function getMonthWeeks(dateString) {
+  const firstOfMonth = `${dateString.slice(0, 7)}-01`;
+  const month = firstOfMonth.slice(0, 7);
+  const weeks = [];
+  let weekStart = getWeekStart(firstOfMonth);
+  while (weekStart.slice(0, 7) <= month) {
+    weeks.push(WEEKDAY_NAMES.map((name, index) => addDays(weekStart, index)));
+    weekStart = addDays(weekStart, 7);
+  }
+  return weeks;
+}
+
+/**
+ * @param {string} time - "HH:MM"
+ * @returns {number} Minutes since midnight
+ */
+function timeToMinutes(time) {
+  const [hours, minutes] = time.split(":").map(Number);
+  return hours * 60 + minutes;
+}
+
+/**
+ * @param {number} totalMinutes - Minutes since midnight
+ * @returns {string} "HH:MM"
+ */
+function minutesToTime(totalMinutes) {
+  const hours = Math.floor(totalMinutes / 60) % 24;
+  return `${String(hours).padStart(2, "0")}:${String(totalMinutes % 60).padStart(2, "0")}`;
+}
+
+/**
+ * @param {Object} booking - Booking with startTime / durationMinutes
+ * @returns {string} e.g. "18:00–19:00"
+ */
+function formatBookingTime(booking) {
+  return `${booking.startTime}–${minutesToTime(timeToMinutes(booking.startTime) + booking.durationMinutes)}`;
+}
+
+/**
+ * Describe when a booking takes place
+ * @param {Object} booking - Booking
+ * @returns {string} e.g. "Tue 2026-10-20, 18:00–19:00, every week until 2026-12-29"
+ */
+function describeBooking(booking) {
+  const when = `${WEEKDAY_NAMES[getWeekdayIndex(booking.date)]} ${booking.date}, ${formatBookingTime(booking)}`;
+  if (booking.repeat === "none") return when;
+  return `${when}, ${BOOKING_REPEAT_OPTIONS[booking.repeat].label.toLowerCase()} until ${booking.until}`;
+}
+
+/**
+ * Check a booking before it is saved
+ * @param {Object} booking - Booking as entered
+ * @param {Object} [options] - { today, isNew } — new bookings cannot start in the past
+ * @returns {Array<string>} Problems to show the user (empty when valid)
+ */
+function validateBooking(booking, options = {}) {
+  const today = options.today || getTodayDate();
+  const errors = [];
+
+  if (!isValidDateString(booking.date)) {
+    errors.push("Please choose the date of the session.");
+  } else if (options.isNew && booking.date < today) {
+    errors.push("Sessions cannot be booked in the past.");
+  }
+  if (!/^([01]\d|2[0-3]):[0-5]\d$/.test(booking.startTime || "")) {
+    errors.push("Please choose the start time.");
+  }
+  if (!Number.isInteger(booking.durationMinutes) || booking.durationMinutes < 15 || booking.durationMinutes > MAX_BOOKING_MINUTES) {
+    errors.push(`Sessions last between 15 and ${MAX_BOOKING_MINUTES} minutes.`);
+  } else if (errors.length === 0 && timeToMinutes(booking.startTime) + booking.durationMinutes > 24 * 60) {
+    errors.push("Sessions must end by midnight.");
+  }
+  if (!booking.trainerId) errors.push("Please choose a trainer.");
+  if (!BOOKING_REPEAT_OPTIONS[booking.repeat]) errors.push("Please choose how often the session repeats.");
+
+  if (booking.repeat !== "none" && isValidDateString(booking.date)) {
+    if (!isValidDateString(booking.until) || booking.until <= booking.date) {
+      errors.push("Repeating sessions need an end date after the first session.");
+    } else if (booking.until > addDays(booking.date, MAX_BOOKING_SERIES_DAYS)) {
+      errors.push("Repeating sessions can be booked up to a year ahead.");
+    }
+  }
+  return errors;
+}
+
+/**
+ * Dates a booking takes place on within a range
+ * @param {Object} booking - Booking
+ * @param {string} fromDate - First date (inclusive)
+ * @param {string} toDate - Last date (inclusive)
+ * @returns {Array<string>} Date strings, oldest first (cancelled dates left out)
+ */
+function expandBooking(booking, fromDate, toDate) {
+  const everyDays = (BOOKING_REPEAT_OPTIONS[booking.repeat] || BOOKING_REPEAT_OPTIONS.none).everyDays;
+  const lastDate = everyDays === 0 ? booking.date : booking.until;
+  const skipped = new Set(booking.skippedDates || []);
+  const dates = [];
+
+  for (let date = booking.date; date <= lastDate && date <= toDate; date = addDays(date, everyDays)) {
+    if (date >= fromDate && !skipped.has(date)) dates.push(date);
+    if (everyDays === 0) break;
+  }
+  return dates;
+}
+
+/**
+ * Every booked session in a range, across clients not in the Trash
+ * @param {Array} clients - All clients
+ * @param {string} fromDate - First date (inclusive)
+ * @param {string} toDate - Last date (inclusive)
+ * @returns {Array} { date, booking, client } sorted by date and start time
+ */
+function listBookedSessions(clients, fromDate, toDate) {
+  const sessions = [];
+  clients
+    .filter((client) => !client.deletedAt)
+    .forEach((client) => {
+      (client.bookings || []).forEach((booking) => {
+        expandBooking(booking, fromDate, toDate).forEach((date) => sessions.push({ date, booking, client }));
+      });
+    });
+  return sessions.sort((a, b) => a.date.localeCompare(b.date) || a.booking.startTime.localeCompare(b.booking.startTime));
+}
+
+/**
+ * Find sessions a trainer already has at the same time as a booking
+ * Only dates from `fromDate` on are checked (past clashes no longer matter)
+ * @param {Object} booking - Booking being saved (its own id is ignored)
+ * @param {Array} clients - All clients
+ * @param {string} [fromDate] - First date to check (defaults to today)
+ * @returns {Array} { date, booking, client } of the clashing sessions
+ */
+function findTrainerConflicts(booking, clients, fromDate = getTodayDate()) {
+  const lastDate = booking.repeat === "none" ? booking.date : booking.until;
+  const start = timeToMinutes(booking.startTime);
+  const end = start + booking.durationMinutes;
+  const wanted = new Set(expandBooking(booking, fromDate, lastDate));
+  if (wanted.size === 0) return [];
+
+  return listBookedSessions(clients, fromDate, lastDate).filter((session) => {
+    if (session.booking.id === booking.id || session.booking.trainerId !== booking.trainerId) return false;
+    if (!wanted.has(session.date)) return false;
+    const otherStart = timeToMinutes(session.booking.startTime);
+    return otherStart < end && start < otherStart + session.booking.durationMinutes;
+  });
+}
@@ -0,0 +1,231 @@
+// =========================
+// CLIENT STORE
+// =========================
+// Holds the client list and is the only place that changes it. Callers use
+// add / update / remove (grouped with batch when one action changes several
+// clients) and read with get / query / getAll; every change is saved and then
+// announced to subscribers, which redraw whatever they show. A change whose
+// save fails is undone, so the list in memory always matches what was saved.
+//
+// The store has no DOM and no storage of its own: loading, saving and
+// validation are handed in, so it runs the same in the browser (main.js passes
+// storage.js and validation.js) and under Node:
+//
+//   import { createClientStore } from "./clientStore.js";
+//   const store = createClientStore({ load: () => [], save: () => {} });
+
+/**
+ * Thrown when a validation hook rejects a client
+ * `errors` maps field name → message, like validateClient() in validation.js
+ */
+export class ClientValidationError extends Error {
+  constructor(errors) {
+    super(Object.values(errors).join(" "));
+    this.name = "ClientValidationError";
+    this.errors = errors;
+  }
+}
+
+/**
+ * Create a client store
+ * @param {Object} [options]
+ * @param {Function} [options.load] - () → Array of clients; called now and by reload()
+ * @param {Function} [options.save] - (clients) → void; called after every change
+ * @param {Array<Function>} [options.validators] - Validation hooks:
+ *   (client, context) → { field: message } (empty when valid). They run for add()
+ *   and for update() calls that pass a context; context is what the caller passed
+ *   (e.g. { mode: "import" }) plus `original` (the stored client) for updates
+ * @returns {Object} The store (see the methods below)
+ */
+export function createClientStore(options = {}) {
+  const load = options.load || (() => []);
+  const save = options.save || (() => {});
+  const validators = options.validators || [];
+
+  let clients = [...load()];
+  const listeners = new Set();
+  let batchDepth = 0;
+  let pendingChanges = [];
+
+  function validate(client, context) {
+    const errors = {};
+    validators.forEach((validator) => Object.assign(errors, validator(client, context) || {}));
+    if (Object.keys(errors).length > 0) throw new ClientValidationError(errors);
+  }
+
+  // Save once and tell subscribers, unless a batch is still running
+  function commit(changes) {
+    pendingChanges.push(...changes);
+    if (batchDepth > 0 || pendingChanges.length === 0) return;
+
+    const done = pendingChanges;
+    pendingChanges = [];
+    if (needsSave(done)) save(clients);
+    announce(done);
+  }
+
+  function needsSave(changes) {
+    return changes.some((change) => change.type !== "reload");
+  }
+
+  function announce(changes) {
+    listeners.forEach((listener) => listener(changes));
+  }
+
+  // What a failed batch puts back: the list, every client's fields (update()
+  // replaces fields, so a shallow copy is enough) and the changes not yet announced
+  function takeSnapshot() {
+    return { entries: clients.map((client) => [client, { ...client }]), pendingCount: pendingChanges.length };
+  }
+
+  function restoreSnapshot(snapshot) {
+    clients = snapshot.entries.map(([client, fields]) => {
+      Object.keys(client).forEach((field) => {
+        if (!(field in fields)) delete client[field];
+      });
+      return Object.assign(client, fields);
+    });
+    pendingChanges = pendingChanges.slice(0, snapshot.pendingCount);
+  }
+
+  function find(id) {
+    return clients.find((client) => client.id === id) || null;
+  }
+
+  // Make changes as one unit: the outermost batch saves and announces them, and
+  // when anything throws (a validation hook, the save) the clients are put back
+  function runBatch(makeChanges) {
+    const snapshot = takeSnapshot();
+    batchDepth++;
+    let result;
+    try {
+      result = makeChanges();
+      if (batchDepth === 1 && needsSave(pendingChanges)) save(clients);
+    } catch (error) {
+      restoreSnapshot(snapshot);
+      throw error;
+    } finally {
+      batchDepth--;
+    }
+
+    if (batchDepth === 0 && pendingChanges.length > 0) {
+      const done = pendingChanges;
+      pendingChanges = [];
+      announce(done);
+    }
+    return result;
+  }
+
+  return {
+    /**
+     * @param {number} id - Client id
+     * @returns {Object|null} The client (Trash included), or null
+     */
+    get(id) {
+      return find(id);
+    },
+
+    /**
+     * @returns {Array} Every client, Trash included, in the order they were added
+     */
+    getAll() {
+      return [...clients];
+    },
+
+    /**
+     * Clients not in the Trash (or only those in it), optionally narrowed further
+     * @param {Object} [query]
+     * @param {boolean} [query.trash=false] - true lists the Trash instead
+     * @param {Function} [query.match] - (client) → boolean
+     * @returns {Array} Matching clients, in the order they were added
+     */
+    query({ trash = false, match } = {}) {
+      return clients.filter((client) => Boolean(client.deletedAt) === trash && (!match || match(client)));
+    },
+
+    /**
+     * Add a client
+     * @param {Object} client - New client (with its id)
+     * @param {Object} [context] - Passed to the validation hooks (default { mode: "create" })
+     * @returns {Object} The stored client
+     * @throws {ClientValidationError} When a validation hook rejects it
+     * @throws {Error} When saving fails (the client is not added)
+     */
+    add(client, context = { mode: "create" }) {
+      if (find(client.id)) throw new Error(`There is already a client with id ${client.id}.`);
+      validate(client, context);
+      return runBatch(() => {
+        clients.push(client);
+        commit([{ type: "add", id: client.id }]);
+        return client;
+      });
+    },
+
+    /**
+     * Change some fields of a client (the stored object is updated in place)
+     * @param {number} id - Client id
+     * @param {Object} fields - field → new value
+     * @param {Object} [context] - Runs the validation hooks on the result when given
+     * @returns {Object} The updated client
+     * @throws {ClientValidationError} When a validation hook rejects the result
+     * @throws {Error} When saving fails (the fields are put back)
+     */
+    update(id, fields, context) {
+      const client = find(id);
+      if (!client) throw new Error(`No client with id ${id}.`);
+      if (context) validate({ ...client, ...fields }, { ...context, original: client });
+      return runBatch(() => {
+        Object.assign(client, fields);
+        commit([{ type: "update", id, fields: Object.keys(fields) }]);
+        return client;
+      });
+    },
+
+    /**
+     * Remove a client for good (moving to the Trash is an update of deletedAt)
+     * @param {number} id - Client id
+     * @returns {Object|null} The removed client, or null if there was none
+     * @throws {Error} When saving fails (the client is kept)
+     */
+    remove(id) {
+      const client = find(id);
+      if (!client) return null;
+      return runBatch(() => {
+        clients = clients.filter((other) => other !== client);
+        commit([{ type: "remove", id }]);
+        return client;
+      });
+    },
+
+    /**
+     * Make several changes that are saved and announced together
+     * Either every change is kept or none is: when makeChanges (e.g. a validation
+     * hook) or the save throws, the clients are put back as they were, nothing is
+     * announced and the error is rethrown
+     * @param {Function} makeChanges - Calls add / update / remove
+     * @returns {*} Whatever makeChanges returns
+     */
+    batch(makeChanges) {
+      return runBatch(makeChanges);
+    },
+
+    /**
+     * Read the clients again (e.g. after another device changed them); nothing is saved
+     */
+    reload() {
+      clients = [...load()];
+      commit([{ type: "reload" }]);
+    },
+
+    /**
+     * Listen for changes
+     * @param {Function} listener - (changes) → void; each change is { type, id, fields }
+     *   with type "add", "update", "remove" or "reload"
+     * @returns {Function} Call to stop listening
+     */
+    subscribe(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+  };
+}
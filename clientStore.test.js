@@ -0,0 +1,155 @@
+// =========================
+// CLIENT STORE TESTS
+// =========================
+// Run with `node --test` (no dependencies). clientStore.js is an ES module, so
+// so is this file; Node 20.19+ / 22.12+ load both without a package.json.
+
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import { createClientStore, ClientValidationError } from "./clientStore.js";
+
+/**
+ * A store over two clients whose saves can be made to fail
+ * @returns {Object} { store, saved, events, failSaves } — saved holds each saved list,
+ *   events the change types of each announcement; call failSaves(true) to make saving throw
+ */
+function createTestStore() {
+  const saved = [];
+  const events = [];
+  let failing = false;
+  const store = createClientStore({
+    load: () => [
+      { id: 1, fullName: "Sara Ali" },
+      { id: 2, fullName: "Omar Said" },
+    ],
+    save: (clients) => {
+      if (failing) throw new Error("Storage is full.");
+      saved.push(clients.map((client) => ({ ...client })));
+    },
+    validators: [(client) => (client.fullName ? {} : { fullName: "Please enter the full name." })],
+  });
+  store.subscribe((changes) => events.push(changes.map((change) => change.type)));
+  return { store, saved, events, failSaves: (value) => (failing = value) };
+}
+
+test("add, update and remove save and announce each change", () => {
+  const { store, saved, events } = createTestStore();
+
+  store.add({ id: 3, fullName: "Mona Adel" });
+  store.update(1, { fullName: "Sara A." });
+  store.remove(2);
+
+  assert.deepEqual(events, [["add"], ["update"], ["remove"]]);
+  assert.equal(saved.length, 3);
+  assert.deepEqual(store.getAll().map((client) => client.fullName), ["Sara A.", "Mona Adel"]);
+});
+
+test("a client rejected by a validation hook is not added", () => {
+  const { store, saved, events } = createTestStore();
+
+  assert.throws(() => store.add({ id: 3, fullName: "" }), (error) => {
+    assert.ok(error instanceof ClientValidationError);
+    assert.deepEqual(error.errors, { fullName: "Please enter the full name." });
+    return true;
+  });
+  assert.throws(() => store.update(1, { fullName: "" }, { mode: "edit" }), ClientValidationError);
+
+  assert.equal(store.get(3), null);
+  assert.equal(store.get(1).fullName, "Sara Ali");
+  assert.deepEqual(saved, []);
+  assert.deepEqual(events, []);
+});
+
+test("a single change is undone when the save fails", () => {
+  const { store, events, failSaves } = createTestStore();
+  failSaves(true);
+
+  assert.throws(() => store.add({ id: 3, fullName: "Mona Adel" }), /Storage is full/);
+  assert.throws(() => store.update(1, { fullName: "Sara A.", notes: "new" }), /Storage is full/);
+  assert.throws(() => store.remove(2), /Storage is full/);
+
+  assert.deepEqual(store.getAll(), [
+    { id: 1, fullName: "Sara Ali" },
+    { id: 2, fullName: "Omar Said" },
+  ]);
+  assert.deepEqual(events, []);
+});
+
+test("a batch is saved and announced once", () => {
+  const { store, saved, events } = createTestStore();
+
+  const result = store.batch(() => {
+    store.update(1, { fullName: "Sara A." });
+    store.add({ id: 3, fullName: "Mona Adel" });
+    return "done";
+  });
+
+  assert.equal(result, "done");
+  assert.equal(saved.length, 1);
+  assert.deepEqual(events, [["update", "add"]]);
+});
+
+test("a batch is rolled back when one of its changes throws", () => {
+  const { store, saved, events } = createTestStore();
+
+  assert.throws(
+    () =>
+      store.batch(() => {
+        store.update(1, { fullName: "Sara A.", notes: "new" });
+        store.remove(2);
+        store.add({ id: 3, fullName: "" });
+      }),
+    ClientValidationError
+  );
+
+  assert.deepEqual(store.getAll(), [
+    { id: 1, fullName: "Sara Ali" },
+    { id: 2, fullName: "Omar Said" },
+  ]);
+  assert.deepEqual(saved, []);
+  assert.deepEqual(events, []);
+});
+
+test("a batch is rolled back when the save fails", () => {
+  const { store, events, failSaves } = createTestStore();
+  failSaves(true);
+
+  assert.throws(
+    () =>
+      store.batch(() => {
+        store.update(1, { fullName: "Sara A." });
+        store.add({ id: 3, fullName: "Mona Adel" });
+      }),
+    /Storage is full/
+  );
+
+  assert.deepEqual(store.getAll(), [
+    { id: 1, fullName: "Sara Ali" },
+    { id: 2, fullName: "Omar Said" },
+  ]);
+  assert.deepEqual(events, []);
+});
+
+test("nested batches are saved and announced by the outermost one", () => {
+  const { store, saved, events } = createTestStore();
+
+  store.batch(() => {
+    store.update(1, { fullName: "Sara A." });
+    store.batch(() => store.add({ id: 3, fullName: "Mona Adel" }));
+    assert.equal(saved.length, 0);
+    assert.deepEqual(events, []);
+
+    // A failed inner batch only undoes its own changes
+    assert.throws(() =>
+      store.batch(() => {
+        store.update(2, { fullName: "Omar S." });
+        throw new Error("Cancelled.");
+      })
+    );
+  });
+
+  assert.equal(saved.length, 1);
+  assert.deepEqual(events, [["update", "add"]]);
+  assert.deepEqual(store.getAll().map((client) => client.fullName), ["Sara A.", "Omar Said", "Mona Adel"]);
+});
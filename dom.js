@@ -0,0 +1,85 @@
+// =========================
+// SAFE DOM RENDERING
+// =========================
+// Client data (names, custom goals, imported rows, …) must never be parsed as
+// HTML. Views build their nodes with buildElement(), which only ever sets text,
+// attributes and properties, and lists are updated with renderKeyedList(), which
+// keeps the rows that did not change instead of clearing the container.
+// The views themselves live in main.js.
+
+// What each keyed child last showed (see renderKeyedList)
+const renderedSignatures = new WeakMap();
+
+/**
+ * Build an element without parsing any markup
+ * @param {string} tagName - e.g. "td"
+ * @param {Object} [props] - `text` (textContent), `attrs` (attribute → value; null / false
+ *   leave it out), `dataset` (data-* values) and any other element property
+ *   (className, type, href, colSpan, hidden, …)
+ * @param {Array} [children] - Nodes or strings (strings become text); null / false are skipped
+ * @returns {HTMLElement} The new element
+ */
+function buildElement(tagName, props = {}, children = []) {
+  const element = document.createElement(tagName);
+  const { text, attrs, dataset, ...properties } = props;
+
+  Object.entries(properties).forEach(([name, value]) => {
+    element[name] = value;
+  });
+  Object.entries(attrs || {}).forEach(([name, value]) => {
+    if (value !== null && value !== undefined && value !== false) element.setAttribute(name, String(value));
+  });
+  Object.entries(dataset || {}).forEach(([name, value]) => {
+    element.dataset[name] = String(value);
+  });
+  if (text !== undefined && text !== null) element.textContent = String(text);
+
+  children.forEach((child) => {
+    if (child === null || child === undefined || child === false) return;
+    element.append(child);
+  });
+  return element;
+}
+
+/**
+ * Make a container's children match a list of items, touching only what changed
+ * Children are matched to items by key (kept in data-key). A child is rebuilt
+ * only when its signature differs from what it showed last time; the rest are
+ * kept as they are (with their focus and state) and moved into order.
+ * Children without a key (e.g. an "empty list" placeholder) are removed.
+ * @param {HTMLElement} container - e.g. a <tbody>
+ * @param {Array} items - Items to show, in order
+ * @param {Object} view - { key(item), signature(item), render(item) }: key is unique per
+ *   item, signature is a string that changes whenever what the item shows changes,
+ *   render builds its element
+ */
+function renderKeyedList(container, items, view) {
+  const current = new Map();
+  [...container.children].forEach((child) => {
+    if (child.dataset.key) {
+      current.set(child.dataset.key, child);
+    } else {
+      child.remove();
+    }
+  });
+
+  const wanted = items.map((item) => {
+    const key = String(view.key(item));
+    const signature = view.signature(item);
+    const existing = current.get(key);
+    current.delete(key);
+    if (existing && renderedSignatures.get(existing) === signature) return existing;
+
+    const element = view.render(item);
+    element.dataset.key = key;
+    renderedSignatures.set(element, signature);
+    if (existing) existing.replaceWith(element);
+    return element;
+  });
+
+  current.forEach((child) => child.remove());
+  wanted.forEach((element, index) => {
+    const atIndex = container.children[index];
+    if (atIndex !== element) container.insertBefore(element, atIndex || null);
+  });
+}
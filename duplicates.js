@@ -0,0 +1,229 @@
+// =========================
+// DUPLICATE DETECTION & MERGE HELPERS
+// =========================
+// Spots clients entered twice (same email or phone once normalised, or a
+// very similar name) and combines two records into one. Used when saving a
+// client, by the import preview and by the merge page on the client list.
+// Event wiring lives in main.js.
+
+// Names at least this similar (0..1, see nameSimilarity) are flagged
+const NAME_SIMILARITY_THRESHOLD = 0.85;
+
+// Client fields chosen one by one on the merge page, in display order
+const MERGE_FIELDS = [
+  { key: "fullName", label: "Full Name" },
+  { key: "age", label: "Age" },
+  { key: "gender", label: "Gender" },
+  { key: "email", label: "Email" },
+  { key: "phone", label: "Phone" },
+  { key: "goal", label: "Fitness Goal" },
+  { key: "startDate", label: "Start Date" },
+  { key: "endDate", label: "End Date" },
+];
+
+// Mail providers that ignore dots in the local part
+const DOTLESS_EMAIL_DOMAINS = { "gmail.com": "gmail.com", "googlemail.com": "gmail.com" };
+
+/**
+ * Reduce an email to the mailbox it delivers to
+ * Lower-cases it, drops "+tag" suffixes and, for Gmail, dots in the local part
+ * @param {string} email - Email address
+ * @returns {string} Comparison key ("" for an empty address)
+ */
+function normalizeEmailKey(email) {
+  const address = (email || "").trim().toLowerCase();
+  const at = address.lastIndexOf("@");
+  if (at < 1) return address;
+
+  let local = address.slice(0, at).split("+")[0];
+  let domain = address.slice(at + 1);
+  if (DOTLESS_EMAIL_DOMAINS[domain]) {
+    domain = DOTLESS_EMAIL_DOMAINS[domain];
+    local = local.replace(/\./g, "");
+  }
+  return `${local}@${domain}`;
+}
+
+/**
+ * Reduce a phone number to a comparison key
+ * @param {string} phone - Phone number as stored or typed
+ * @param {Object} [settings] - Validation settings (phone formats)
+ * @returns {string} E.164 number, or just the digits when it cannot be normalised
+ */
+function normalizePhoneKey(phone, settings) {
+  return normalizePhone(phone || "", settings) || (phone || "").replace(/\D/g, "");
+}
+
+/**
+ * Reduce a name to lower-case letters, with accents removed and words sorted
+ * so "Ali, Sara" and "sara  ALI" compare equal
+ * @param {string} name - Full name
+ * @returns {string} Comparison key
+ */
+function normalizeNameKey(name) {
+  return (name || "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^\p{L}\s]/gu, " ")
+    .split(/\s+/)
+    .filter(Boolean)
+    .sort()
+    .join(" ");
+}
+
+/**
+ * Edit distance between two strings (insertions, deletions, substitutions)
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} Number of single-character edits
+ */
+function levenshteinDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+/**
+ * How alike two names are
+ * @param {string} nameA - First name
+ * @param {string} nameB - Second name
+ * @returns {number} 1 for the same normalised name, down to 0 for nothing in common
+ */
+function nameSimilarity(nameA, nameB) {
+  const a = normalizeNameKey(nameA);
+  const b = normalizeNameKey(nameB);
+  if (!a || !b) return 0;
+  if (a === b) return 1;
+  return 1 - levenshteinDistance(a, b) / Math.max(a.length, b.length);
+}
+
+/**
+ * Find clients that look like the same person
+ * @param {Object} client - Client being saved or imported (its own id is skipped)
+ * @param {Array} candidates - Clients to compare against
+ * @param {Object} [settings] - Validation settings (phone formats)
+ * @param {Object} [options]
+ * @param {boolean} [options.fuzzyNames=true] - Also flag similar names on their own
+ * @returns {Array} { match, reasons } sorted with the strongest match first;
+ *   reasons are "same email", "same phone" and/or "similar name"
+ */
+function findDuplicateClients(client, candidates, settings, options = {}) {
+  const fuzzyNames = options.fuzzyNames !== false;
+  const email = normalizeEmailKey(client.email);
+  const phone = normalizePhoneKey(client.phone, settings);
+  const results = [];
+
+  candidates.forEach((candidate) => {
+    if (client.id !== undefined && candidate.id === client.id) return;
+
+    const reasons = [];
+    if (email && normalizeEmailKey(candidate.email) === email) reasons.push("same email");
+    if (phone && normalizePhoneKey(candidate.phone, settings) === phone) reasons.push("same phone");
+    const exact = reasons.length > 0;
+    if (nameSimilarity(client.fullName, candidate.fullName) >= NAME_SIMILARITY_THRESHOLD) {
+      reasons.push("similar name");
+    }
+
+    if (exact || (fuzzyNames && reasons.length > 0)) {
+      results.push({ match: candidate, reasons });
+    }
+  });
+
+  return results.sort((a, b) => b.reasons.length - a.reasons.length);
+}
+
+/**
+ * Find every pair of clients on the roster that look like the same person
+ * @param {Array} clients - All clients
+ * @param {Object} [settings] - Validation settings
+ * @returns {Array} { a, b, reasons } with a listed before b in the roster
+ */
+function findDuplicatePairs(clients, settings) {
+  const pairs = [];
+  clients.forEach((client, index) => {
+    findDuplicateClients(client, clients.slice(index + 1), settings).forEach(({ match, reasons }) => {
+      pairs.push({ a: client, b: match, reasons });
+    });
+  });
+  return pairs;
+}
+
+/**
+ * Pick the default value for each field on the merge page:
+ * the first client's value unless it is empty, the earlier start date and the later end date
+ * @param {Object} a - Client that is kept
+ * @param {Object} b - Client merged into it
+ * @returns {Object} field key → "a" or "b" (plus sessionPlan)
+ */
+function defaultMergeChoices(a, b) {
+  const choices = {};
+  MERGE_FIELDS.forEach(({ key }) => {
+    choices[key] = a[key] || !b[key] ? "a" : "b";
+  });
+
+  if (a.startDate && b.startDate && b.startDate < a.startDate) choices.startDate = "b";
+  if (a.endDate && b.endDate && b.endDate > a.endDate) choices.endDate = "b";
+
+  choices.sessionPlan = a.sessionPlan || !b.sessionPlan ? "a" : "b";
+  return choices;
+}
+
+/**
+ * Append entries (sessions, renewals, measurements, bookings, visits, payments) from another client, giving new ids
+ * to any whose id is already taken
+ * @param {Array} kept - Entries of the kept client
+ * @param {Array} added - Entries of the merged client
+ * @returns {Array} Combined entries, oldest date first
+ */
+function combineEntries(kept, added) {
+  const usedIds = new Set(kept.map((entry) => entry.id));
+  let nextId = Math.max(Date.now(), ...kept.map((entry) => entry.id + 1), ...added.map((entry) => entry.id + 1));
+
+  const renumbered = added.map((entry) => {
+    if (!usedIds.has(entry.id)) {
+      usedIds.add(entry.id);
+      return entry;
+    }
+    return { ...entry, id: nextId++ };
+  });
+
+  return [...kept, ...renumbered].sort((x, y) => (x.date || "").localeCompare(y.date || ""));
+}
+
+/**
+ * Combine two client records into one
+ * Fields come from whichever client was chosen for them; training history
+ * (with its session notes), renewals, measurements, bookings, visits and payments from both are kept;
+ * the kept client's goal target wins if both have one
+ * @param {Object} a - Client that is kept (its id survives)
+ * @param {Object} b - Client merged into it
+ * @param {Object} choices - field key → "a" or "b" (see defaultMergeChoices)
+ * @returns {Object} Merged client
+ */
+function mergeClientRecords(a, b, choices) {
+  const merged = { ...a };
+
+  MERGE_FIELDS.forEach(({ key }) => {
+    merged[key] = choices[key] === "b" ? b[key] : a[key];
+  });
+
+  merged.sessionPlan = (choices.sessionPlan === "b" ? b.sessionPlan : a.sessionPlan) || null;
+  merged.history = combineEntries(a.history || [], b.history || []);
+  merged.renewals = combineEntries(a.renewals || [], b.renewals || []);
+  merged.measurements = combineEntries(a.measurements || [], b.measurements || []);
+  merged.bookings = combineEntries(a.bookings || [], b.bookings || []);
+  merged.visits = combineEntries(a.visits || [], b.visits || []);
+  merged.payments = combineEntries(a.payments || [], b.payments || []);
+  merged.goalTarget = a.goalTarget || b.goalTarget || null;
+
+  return merged;
+}
@@ -0,0 +1,68 @@
+// =========================
+// Wger: bundled fallback exercise catalogue
+// =========================
+// Used when the Wger API cannot be reached and nothing has been cached yet,
+// so exercise suggestions keep working offline on a first visit.
+// Same shape as normalizeWgerExercise() in main.js; ids are prefixed with
+// "local-" so they never clash with real Wger exercise ids.
+const WGER_FALLBACK_DATE = "2025-11-01T00:00:00.000Z";
+
+const WGER_FALLBACK_EXERCISES = [
+  // Cardio
+  { id: "local-1", name: "Jumping Jacks", category: "Cardio", muscles: ["Calves", "Shoulders"], equipment: ["none (bodyweight exercise)"] },
+  { id: "local-2", name: "Burpees", category: "Cardio", muscles: ["Quads", "Chest"], equipment: ["none (bodyweight exercise)"] },
+  { id: "local-3", name: "Mountain Climbers", category: "Cardio", muscles: ["Abs", "Quads"], equipment: ["none (bodyweight exercise)"] },
+  { id: "local-4", name: "High Knees", category: "Cardio", muscles: ["Quads", "Calves"], equipment: ["none (bodyweight exercise)"] },
+  { id: "local-5", name: "Jump Rope", category: "Cardio", muscles: ["Calves"], equipment: [] },
+  { id: "local-6", name: "Kettlebell Swing", category: "Cardio", muscles: ["Glutes", "Hamstrings"], equipment: ["Kettlebell"] },
+  { id: "local-7", name: "Rowing Machine", category: "Cardio", muscles: ["Lats", "Quads"], equipment: [] },
+
+  // Legs
+  { id: "local-10", name: "Bodyweight Squat", category: "Legs", muscles: ["Quads", "Glutes"], equipment: ["none (bodyweight exercise)"] },
+  { id: "local-11", name: "Barbell Back Squat", category: "Legs", muscles: ["Quads", "Glutes"], equipment: ["Barbell"] },
+  { id: "local-12", name: "Walking Lunges", category: "Legs", muscles: ["Quads", "Glutes"], equipment: ["none (bodyweight exercise)"] },
+  { id: "local-13", name: "Romanian Deadlift", category: "Legs", muscles: ["Hamstrings", "Glutes"], equipment: ["Barbell"] },
+  { id: "local-14", name: "Goblet Squat", category: "Legs", muscles: ["Quads", "Glutes"], equipment: ["Dumbbell", "Kettlebell"] },
+  { id: "local-15", name: "Glute Bridge", category: "Legs", muscles: ["Glutes", "Hamstrings"], equipment: ["Gym mat"] },
+  { id: "local-16", name: "Step-Ups", category: "Legs", muscles: ["Quads", "Glutes"], equipment: ["Bench"] },
+
+  // Calves
+  { id: "local-20", name: "Standing Calf Raises", category: "Calves", muscles: ["Calves"], equipment: ["none (bodyweight exercise)"] },
+  { id: "local-21", name: "Seated Calf Raises", category: "Calves", muscles: ["Calves"], equipment: ["Dumbbell", "Bench"] },
+
+  // Chest
+  { id: "local-30", name: "Push-Ups", category: "Chest", muscles: ["Chest", "Triceps"], equipment: ["none (bodyweight exercise)"] },
+  { id: "local-31", name: "Bench Press", category: "Chest", muscles: ["Chest", "Triceps"], equipment: ["Barbell", "Bench"] },
+  { id: "local-32", name: "Incline Dumbbell Press", category: "Chest", muscles: ["Chest", "Shoulders"], equipment: ["Dumbbell", "Incline bench"] },
+  { id: "local-33", name: "Dumbbell Flyes", category: "Chest", muscles: ["Chest"], equipment: ["Dumbbell", "Bench"] },
+
+  // Back
+  { id: "local-40", name: "Pull-Ups", category: "Back", muscles: ["Lats", "Biceps"], equipment: ["Pull-up bar"] },
+  { id: "local-41", name: "Bent Over Barbell Row", category: "Back", muscles: ["Lats", "Trapezius"], equipment: ["Barbell"] },
+  { id: "local-42", name: "One-Arm Dumbbell Row", category: "Back", muscles: ["Lats"], equipment: ["Dumbbell", "Bench"] },
+  { id: "local-43", name: "Deadlift", category: "Back", muscles: ["Hamstrings", "Glutes", "Lats"], equipment: ["Barbell"] },
+  { id: "local-44", name: "Superman Hold", category: "Back", muscles: ["Glutes"], equipment: ["Gym mat"] },
+  { id: "local-45", name: "Cat-Cow Stretch", category: "Back", muscles: [], equipment: ["Gym mat"] },
+  { id: "local-46", name: "Resistance Band Pull-Apart", category: "Back", muscles: ["Shoulders", "Trapezius"], equipment: ["Resistance band"] },
+
+  // Shoulders
+  { id: "local-50", name: "Overhead Press", category: "Shoulders", muscles: ["Shoulders", "Triceps"], equipment: ["Barbell"] },
+  { id: "local-51", name: "Dumbbell Lateral Raise", category: "Shoulders", muscles: ["Shoulders"], equipment: ["Dumbbell"] },
+  { id: "local-52", name: "Arnold Press", category: "Shoulders", muscles: ["Shoulders"], equipment: ["Dumbbell"] },
+  { id: "local-53", name: "Pike Push-Ups", category: "Shoulders", muscles: ["Shoulders", "Triceps"], equipment: ["none (bodyweight exercise)"] },
+
+  // Arms
+  { id: "local-60", name: "Barbell Curl", category: "Arms", muscles: ["Biceps"], equipment: ["Barbell"] },
+  { id: "local-61", name: "Hammer Curl", category: "Arms", muscles: ["Biceps"], equipment: ["Dumbbell"] },
+  { id: "local-62", name: "Skull Crushers", category: "Arms", muscles: ["Triceps"], equipment: ["SZ-Bar", "Bench"] },
+  { id: "local-63", name: "Bench Dips", category: "Arms", muscles: ["Triceps"], equipment: ["Bench"] },
+
+  // Abs
+  { id: "local-70", name: "Plank", category: "Abs", muscles: ["Abs"], equipment: ["Gym mat"] },
+  { id: "local-71", name: "Crunches", category: "Abs", muscles: ["Abs"], equipment: ["Gym mat"] },
+  { id: "local-72", name: "Russian Twist", category: "Abs", muscles: ["Abs"], equipment: ["none (bodyweight exercise)"] },
+  { id: "local-73", name: "Dead Bug", category: "Abs", muscles: ["Abs"], equipment: ["Gym mat"] },
+  { id: "local-74", name: "Swiss Ball Rollout", category: "Abs", muscles: ["Abs"], equipment: ["Swiss Ball"] },
+  { id: "local-75", name: "Bird Dog", category: "Abs", muscles: ["Abs", "Glutes"], equipment: ["Gym mat"] },
+  { id: "local-76", name: "Hanging Leg Raise", category: "Abs", muscles: ["Abs"], equipment: ["Pull-up bar"] },
+];
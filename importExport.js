@@ -0,0 +1,585 @@
+// =========================
+// IMPORT / EXPORT HELPERS
+// =========================
+// CSV and JSON conversion for the client roster, plus the column mapping,
+// validation and duplicate checks used by the import preview on the list page.
+// Event wiring lives in main.js.
+
+// Client fields included in exports and offered as import targets, in column order
+const CLIENT_EXPORT_FIELDS = [
+  { key: "id", label: "ID" },
+  { key: "fullName", label: "Full Name" },
+  { key: "age", label: "Age" },
+  { key: "gender", label: "Gender" },
+  { key: "email", label: "Email" },
+  { key: "phone", label: "Phone" },
+  { key: "goal", label: "Fitness Goal" },
+  { key: "startDate", label: "Membership Start Date" },
+  { key: "endDate", label: "Membership End Date" },
+];
+
+// Fields an import can fill in (the id is always generated)
+const CLIENT_IMPORT_FIELDS = CLIENT_EXPORT_FIELDS.filter((field) => field.key !== "id");
+
+// Extra header spellings recognised when guessing the column mapping
+const IMPORT_HEADER_ALIASES = {
+  fullName: ["name", "fullname", "clientname", "client"],
+  age: ["age", "years"],
+  gender: ["gender", "sex"],
+  email: ["email", "emailaddress", "mail"],
+  phone: ["phone", "phonenumber", "mobile", "tel", "telephone"],
+  goal: ["goal", "fitnessgoal", "objective"],
+  startDate: ["startdate", "start", "membershipstart", "membershipstartdate", "joined"],
+  endDate: ["enddate", "end", "membershipend", "membershipenddate", "expires", "expiry"],
+};
+
+// Lists of dated entries a FitCRM JSON export carries for each client
+const IMPORTED_ENTRY_LISTS = ["history", "measurements", "bookings", "renewals", "visits", "payments"];
+
+// Spreadsheets run a cell starting with one of these as a formula
+const CSV_FORMULA_START = /^[=+\-@\t\r]/;
+
+/**
+ * Quote a value for CSV when it contains a comma, quote or line break
+ * A value a spreadsheet would take for a formula (e.g. "=HYPERLINK(…)", or a
+ * phone number such as "+201012345678") gets a leading ' so it stays text
+ * @param {*} value - Cell value
+ * @returns {string} CSV-safe cell
+ */
+function toCsvCell(value) {
+  let text = value === null || value === undefined ? "" : String(value);
+  if (CSV_FORMULA_START.test(text)) {
+    text = `'${text}`;
+  }
+  if (/[",\r\n]/.test(text)) {
+    return `"${text.replace(/"/g, '""')}"`;
+  }
+  return text;
+}
+
+/**
+ * Build a CSV document from the clients (one row per client, all flat fields)
+ * @param {Array} clients - Client objects
+ * @returns {string} CSV text with a header row
+ */
+function clientsToCsv(clients) {
+  const header = CLIENT_EXPORT_FIELDS.map((field) => toCsvCell(field.label)).join(",");
+  const rows = clients.map((client) =>
+    CLIENT_EXPORT_FIELDS.map((field) => toCsvCell(client[field.key])).join(",")
+  );
+  return [header, ...rows].join("\r\n");
+}
+
+/**
+ * Build a JSON export of the full client records (history, plans, measurements, visits and payments included)
+ * @param {Array} clients - Client objects
+ * @returns {string} Pretty-printed JSON
+ */
+function clientsToJson(clients) {
+  return JSON.stringify(
+    {
+      app: "FitCRM",
+      exportedAt: new Date().toISOString(),
+      schemaVersion: CLIENT_SCHEMA_VERSION,
+      clients,
+    },
+    null,
+    2
+  );
+}
+
+/**
+ * Undo the formula guard toCsvCell() adds, so FitCRM exports import unchanged
+ * @param {string} cell - Cell as parsed
+ * @returns {string} The value (e.g. "'+201012345678" → "+201012345678")
+ */
+function fromCsvCell(cell) {
+  return cell.startsWith("'") && CSV_FORMULA_START.test(cell.slice(1)) ? cell.slice(1) : cell;
+}
+
+/**
+ * Parse CSV text (RFC 4180: quoted cells, escaped quotes, line breaks in quotes)
+ * @param {string} text - CSV document
+ * @returns {Array<Array<string>>} Rows of cells (blank lines are dropped)
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let inQuotes = false;
+  const input = text.replace(/^\uFEFF/, ""); // strip a UTF-8 byte order mark
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ",") {
+      row.push(cell);
+      cell = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && input[i + 1] === "\n") i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = "";
+    } else {
+      cell += char;
+    }
+  }
+
+  if (cell !== "" || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  return rows.filter((r) => r.some((value) => value.trim() !== ""));
+}
+
+/**
+ * Read an import file's text into rows keyed by source column name
+ * CSV files use their header row; JSON files may be an array of clients
+ * or a FitCRM export ({ clients: [...] })
+ * @param {string} text - File contents
+ * @param {string} fileName - Used to tell CSV from JSON
+ * @returns {Object} { columns: Array<string>, rows: Array<Object> }
+ */
+function parseImportFile(text, fileName) {
+  if (/\.json$/i.test(fileName) || /^\s*[[{]/.test(text)) {
+    const parsed = JSON.parse(text);
+    const records = Array.isArray(parsed) ? parsed : parsed && parsed.clients;
+    if (!Array.isArray(records)) {
+      throw new Error("The JSON file does not contain a list of clients.");
+    }
+    const columns = [];
+    records.forEach((record) => {
+      Object.keys(record || {}).forEach((key) => {
+        if (!columns.includes(key)) columns.push(key);
+      });
+    });
+    return { columns, rows: records.filter((record) => record && typeof record === "object") };
+  }
+
+  const [header, ...body] = parseCsv(text);
+  if (!header) {
+    throw new Error("The CSV file is empty.");
+  }
+  const columns = header.map((name) => name.trim());
+  const rows = body.map((cells) => {
+    const row = {};
+    columns.forEach((column, index) => {
+      row[column] = cells[index] !== undefined ? fromCsvCell(cells[index]) : "";
+    });
+    return row;
+  });
+  return { columns, rows };
+}
+
+/**
+ * Guess which source column feeds each client field
+ * Matches the export labels, the field keys and IMPORT_HEADER_ALIASES
+ * @param {Array<string>} columns - Source column names
+ * @returns {Object} field key → column name ("" when nothing matches)
+ */
+function guessColumnMapping(columns) {
+  const simplify = (name) => String(name).toLowerCase().replace(/[^a-z0-9]/g, "");
+  const mapping = {};
+
+  CLIENT_IMPORT_FIELDS.forEach((field) => {
+    const candidates = [simplify(field.key), simplify(field.label), ...IMPORT_HEADER_ALIASES[field.key]];
+    const match = columns.find((column) => candidates.includes(simplify(column)));
+    mapping[field.key] = match || "";
+  });
+
+  return mapping;
+}
+
+/**
+ * Convert a date cell to YYYY-MM-DD
+ * Accepts YYYY-MM-DD and DD/MM/YYYY (as written in Egypt and the UK)
+ * @param {string} value - Date as found in the file
+ * @returns {string|null} ISO date, or null if it is not a real date
+ */
+function normalizeImportDate(value) {
+  const text = String(value || "").trim();
+  let year, month, day;
+
+  let match = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/);
+  if (match) {
+    [, year, month, day] = match;
+  } else {
+    match = text.match(/^(\d{1,2})[/.](\d{1,2})[/.](\d{4})$/);
+    if (!match) return null;
+    [, day, month, year] = match;
+  }
+
+  const iso = `${year}-${String(month).padStart(2, "0")}-${String(day).padStart(2, "0")}`;
+  const date = new Date(`${iso}T00:00:00`);
+  // Reject dates like 2025-02-31 that Date would silently roll over
+  if (isNaN(date) || date.getDate() !== Number(day) || date.getMonth() + 1 !== Number(month)) {
+    return null;
+  }
+  return iso;
+}
+
+/**
+ * Check that an imported entry has a whole-number id not used by an earlier entry of the same list
+ * Saved sessions are keyed by client and id, so a missing id would fail every save and
+ * a repeated one would silently replace the earlier entry
+ * @param {Object} entry - Entry from the import row
+ * @param {Set<number>} seenIds - Ids of the earlier entries in the list (the id is added when valid)
+ * @returns {Array<string>} Problems with the id (empty when valid)
+ */
+function checkImportedEntryId(entry, seenIds) {
+  if (!entry || typeof entry !== "object" || !Number.isInteger(entry.id)) return ["It has no id."];
+  if (seenIds.has(entry.id)) return [`Its id ${entry.id} is used more than once.`];
+  seenIds.add(entry.id);
+  return [];
+}
+
+/**
+ * Check the sessions, measurements, bookings, renewals, visits and payments a FitCRM JSON export carries
+ * @param {Object} client - Client built from an import row
+ * @returns {Array<string>} Problems to show in the import preview
+ */
+function validateImportedEntries(client) {
+  const errors = [];
+  const sessionIds = new Set();
+  (client.history || []).forEach((session, index) => {
+    const problems = checkImportedEntryId(session, sessionIds);
+    if (session && typeof session === "object") {
+      if (!isValidDateString(session.date || "")) problems.push("Its date is not valid.");
+      if (!Array.isArray(session.exercises)) problems.push("It has no list of exercises.");
+    }
+    if (problems.length > 0) errors.push(`Session ${index + 1}: ${problems.join(" ")}`);
+  });
+  const measurementIds = new Set();
+  (client.measurements || []).forEach((measurement, index) => {
+    const problems = checkImportedEntryId(measurement, measurementIds);
+    if (measurement && typeof measurement === "object") problems.push(...validateMeasurement(measurement));
+    if (problems.length > 0) errors.push(`Measurement ${index + 1}: ${problems.join(" ")}`);
+  });
+  (client.bookings || []).forEach((booking, index) => {
+    const problems =
+      booking && typeof booking === "object" && Number.isInteger(booking.id)
+        ? validateBooking(booking)
+        : ["It has no id."];
+    if (problems.length > 0) errors.push(`Booking ${index + 1}: ${problems.join(" ")}`);
+  });
+  (client.renewals || []).forEach((renewal, index) => {
+    const valid =
+      renewal &&
+      Number.isInteger(renewal.id) &&
+      isValidDateString(renewal.date || "") &&
+      Number.isInteger(renewal.months) &&
+      renewal.months > 0 &&
+      isValidDateString(renewal.newEndDate || "");
+    if (!valid) errors.push(`Renewal ${index + 1} needs an id, a date, a number of months and a new end date.`);
+  });
+  const visitIds = new Set();
+  (client.visits || []).forEach((visit, index) => {
+    const problems = checkImportedEntryId(visit, visitIds);
+    // Visits are sorted and grouped by their toISOString() timestamp, so only that exact form is accepted
+    const time = visit && typeof visit === "object" ? new Date(visit.timestamp) : null;
+    if (time && (isNaN(time) || time.toISOString() !== visit.timestamp)) problems.push("Its check-in time is not valid.");
+    if (problems.length > 0) errors.push(`Visit ${index + 1}: ${problems.join(" ")}`);
+  });
+  const paymentIds = new Set();
+  (client.payments || []).forEach((payment, index) => {
+    const problems = checkImportedEntryId(payment, paymentIds);
+    if (payment && typeof payment === "object") problems.push(...validatePaymentRecord(payment));
+    if (problems.length > 0) errors.push(`Payment ${index + 1}: ${problems.join(" ")}`);
+  });
+  return errors;
+}
+
+/**
+ * Build a client from one import row using the column mapping and validate it
+ * Uses the same checks as the New Client form, except that start dates may be
+ * in the past: imported members usually joined before the import
+ * @param {Object} row - Source row
+ * @param {Object} mapping - field key → column name
+ * @param {Object} [settings] - Validation settings (phone formats)
+ * @returns {Object} { client, errors: Array<string> }
+ */
+function buildClientFromImportRow(row, mapping, settings) {
+  const client = {};
+  CLIENT_IMPORT_FIELDS.forEach((field) => {
+    const column = mapping[field.key];
+    const value = column ? row[column] : "";
+    client[field.key] = value === null || value === undefined ? "" : String(value).trim();
+  });
+
+  // FitCRM JSON exports carry history, plans, measurements, bookings, renewals, visits and payments;
+  // keep them when present
+  IMPORTED_ENTRY_LISTS.forEach((key) => {
+    if (Array.isArray(row[key])) client[key] = row[key];
+  });
+  if (row.goalTarget && typeof row.goalTarget === "object") client.goalTarget = row.goalTarget;
+  if (row.sessionPlan && typeof row.sessionPlan === "object") client.sessionPlan = row.sessionPlan;
+
+  // Normalise DD/MM/YYYY dates first; anything unrecognised is left as-is and reported
+  client.startDate = normalizeImportDate(client.startDate) || client.startDate;
+  client.endDate = normalizeImportDate(client.endDate) || client.endDate;
+
+  const errors = [
+    ...Object.values(validateClient(client, { mode: "import", settings })),
+    ...validateImportedEntries(client),
+  ];
+  client.phone = normalizePhone(client.phone, settings) || client.phone;
+
+  return { client, errors };
+}
+
+/**
+ * Find an existing client with the same email or phone (see findDuplicateClients)
+ * Similar names alone are not flagged here: imports are often large and name-only
+ * matches are better reviewed from the duplicates panel afterwards
+ * @param {Object} client - Client being imported
+ * @param {Array} candidates - Clients to compare against
+ * @param {Object} [settings] - Validation settings (phone formats)
+ * @returns {Object|null} { match, reason } for the strongest duplicate found
+ */
+function findImportDuplicate(client, candidates, settings) {
+  const [found] = findDuplicateClients({ ...client, id: undefined }, candidates, settings, { fuzzyNames: false });
+  return found ? { match: found.match, reason: found.reasons.join(", ") } : null;
+}
+
+/**
+ * Validate every import row and flag duplicates of existing clients
+ * and of earlier rows in the same file
+ * @param {Array} rows - Source rows
+ * @param {Object} mapping - field key → column name
+ * @param {Array} existingClients - Current roster
+ * @param {Object} [settings] - Validation settings
+ * @returns {Array} Preview entries: { rowNumber, client, errors, duplicate }
+ *   duplicate is { match, reason, inFile } or null
+ */
+function buildImportPreview(rows, mapping, existingClients, settings) {
+  const accepted = [];
+
+  return rows.map((row, index) => {
+    const { client, errors } = buildClientFromImportRow(row, mapping, settings);
+    let duplicate = findImportDuplicate(client, existingClients, settings);
+
+    if (!duplicate) {
+      const inFile = findImportDuplicate(client, accepted, settings);
+      if (inFile) duplicate = { ...inFile, inFile: true };
+    }
+
+    if (errors.length === 0 && !duplicate) {
+      accepted.push(client);
+    }
+
+    return { rowNumber: index + 1, client, errors, duplicate };
+  });
+}
+
+/**
+ * Entries of one list of the existing client, followed by the imported ones it does not have yet
+ * Unlike combineEntries() in duplicates.js nothing is renumbered: an imported entry
+ * with a known id is the same entry, exported from this roster before
+ * @param {Object} existing - Client already in the roster
+ * @param {Object} imported - Client built from the import row
+ * @param {string} key - One of IMPORTED_ENTRY_LISTS, e.g. "payments"
+ * @returns {Array} Combined entries
+ */
+function appendNewEntriesById(existing, imported, key) {
+  const knownIds = new Set((existing[key] || []).map((entry) => entry.id));
+  return [...(existing[key] || []), ...imported[key].filter((entry) => !knownIds.has(entry.id))];
+}
+
+/**
+ * Merge an imported client into an existing one
+ * Non-empty imported fields win; sessions, measurements, bookings, renewals, visits and payments
+ * are combined (entries the existing client already has, by id, are not added again), and
+ * the plan and goal target are kept unless the existing client has none
+ * @param {Object} existing - Client already in the roster
+ * @param {Object} imported - Client built from the import row
+ * @returns {Object} Merged client (same id as existing)
+ */
+function mergeImportedClient(existing, imported) {
+  const merged = { ...existing };
+
+  CLIENT_IMPORT_FIELDS.forEach((field) => {
+    if (imported[field.key]) merged[field.key] = imported[field.key];
+  });
+
+  IMPORTED_ENTRY_LISTS.forEach((key) => {
+    if (Array.isArray(imported[key]) && imported[key].length > 0) {
+      merged[key] = appendNewEntriesById(existing, imported, key);
+    }
+  });
+
+  if (!existing.sessionPlan && imported.sessionPlan) {
+    merged.sessionPlan = imported.sessionPlan;
+  }
+
+  if (!existing.goalTarget && imported.goalTarget) {
+    merged.goalTarget = imported.goalTarget;
+  }
+
+  return merged;
+}
+
+/**
+ * Trigger a browser download of generated text
+ * @param {string} fileName - Suggested file name
+ * @param {string} content - File contents
+ * @param {string} mimeType - e.g. "text/csv"
+ */
+function downloadTextFile(fileName, content, mimeType) {
+  const blob = new Blob([content], { type: `${mimeType};charset=utf-8` });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+// =========================
+// IMPORT PREVIEW RENDERING
+// =========================
+
+/**
+ * Render one <select> per client field for choosing its source column
+ * @param {Array<string>} columns - Source column names
+ * @param {Object} mapping - Current field key → column name
+ */
+function renderImportMapping(columns, mapping) {
+  const mappingEl = document.getElementById("importMapping");
+  if (!mappingEl) return;
+
+  mappingEl.innerHTML = "";
+
+  CLIENT_IMPORT_FIELDS.forEach((field) => {
+    const wrapper = document.createElement("div");
+    wrapper.className = "form-field";
+
+    const label = document.createElement("label");
+    label.htmlFor = `importMap-${field.key}`;
+    label.textContent = field.label;
+
+    const select = document.createElement("select");
+    select.id = `importMap-${field.key}`;
+    select.dataset.field = field.key;
+
+    const none = document.createElement("option");
+    none.value = "";
+    none.textContent = "— not imported —";
+    select.appendChild(none);
+
+    columns.forEach((column) => {
+      const option = document.createElement("option");
+      option.value = column;
+      option.textContent = column;
+      select.appendChild(option);
+    });
+    select.value = mapping[field.key] || "";
+
+    wrapper.appendChild(label);
+    wrapper.appendChild(select);
+    mappingEl.appendChild(wrapper);
+  });
+
+  mappingEl.hidden = false;
+}
+
+/**
+ * Render the import preview table with per-row status and duplicate actions
+ * @param {Array} preview - Result of buildImportPreview()
+ * @param {Map} rowActions - rowNumber → "skip" | "merge" | "add" for duplicate rows
+ */
+function renderImportPreview(preview, rowActions) {
+  const bodyEl = document.getElementById("importPreviewBody");
+  const summaryEl = document.getElementById("importSummary");
+  const previewEl = document.getElementById("importPreview");
+  if (!bodyEl) return;
+
+  bodyEl.innerHTML = "";
+
+  preview.forEach((entry) => {
+    const row = document.createElement("tr");
+    if (entry.errors.length > 0) row.className = "import-row-invalid";
+    else if (entry.duplicate) row.className = "import-row-duplicate";
+
+    [String(entry.rowNumber), entry.client.fullName, entry.client.email, entry.client.phone].forEach((text) => {
+      const cell = document.createElement("td");
+      cell.textContent = text || "–";
+      row.appendChild(cell);
+    });
+
+    const statusCell = document.createElement("td");
+    if (entry.errors.length > 0) {
+      statusCell.textContent = entry.errors.join(" ");
+    } else if (entry.duplicate) {
+      const where = entry.duplicate.inFile ? "an earlier row in this file" : entry.duplicate.match.fullName;
+      statusCell.textContent = `Possible duplicate of ${where} (${entry.duplicate.reason}).`;
+    } else {
+      statusCell.textContent = "Ready to import.";
+    }
+    row.appendChild(statusCell);
+
+    const actionCell = document.createElement("td");
+    if (entry.errors.length > 0) {
+      actionCell.textContent = "Skipped";
+    } else if (entry.duplicate) {
+      const select = document.createElement("select");
+      select.dataset.rowNumber = entry.rowNumber;
+      select.setAttribute("aria-label", `Action for row ${entry.rowNumber}`);
+
+      const choices = [
+        { value: "skip", text: "Skip" },
+        { value: "merge", text: "Merge" },
+        { value: "add", text: "Add as new" },
+      ].filter((choice) => !(choice.value === "merge" && entry.duplicate.inFile));
+
+      choices.forEach((choice) => {
+        const option = document.createElement("option");
+        option.value = choice.value;
+        option.textContent = choice.text;
+        select.appendChild(option);
+      });
+      select.value = rowActions.get(entry.rowNumber) || "skip";
+      actionCell.appendChild(select);
+    } else {
+      actionCell.textContent = "Add";
+    }
+    row.appendChild(actionCell);
+
+    bodyEl.appendChild(row);
+  });
+
+  const invalid = preview.filter((entry) => entry.errors.length > 0).length;
+  const duplicates = preview.filter((entry) => entry.errors.length === 0 && entry.duplicate).length;
+  if (summaryEl) {
+    summaryEl.textContent =
+      `${preview.length} rows: ${preview.length - invalid - duplicates} ready, ` +
+      `${duplicates} possible duplicates, ${invalid} with errors (errors are skipped).`;
+  }
+  if (previewEl) previewEl.hidden = false;
+}
+
+// Node (importExport.test.js) uses the same CSV helpers
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    clientsToCsv,
+    mergeImportedClient,
+    parseCsv,
+    parseImportFile,
+    toCsvCell,
+    validateImportedEntries,
+  };
+}
@@ -0,0 +1,96 @@
+// =========================
+// IMPORT / EXPORT TESTS
+// =========================
+// Run with `node --test` (Node 18+, no dependencies).
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+// In the browser the validation helpers are globals shared by the classic scripts
+global.isValidDateString = require("./validation.js").isValidDateString;
+
+const {
+  clientsToCsv,
+  mergeImportedClient,
+  parseImportFile,
+  toCsvCell,
+  validateImportedEntries,
+} = require("./importExport.js");
+
+test("toCsvCell quotes commas, quotes and line breaks", () => {
+  assert.equal(toCsvCell("Sara Ali"), "Sara Ali");
+  assert.equal(toCsvCell('Say "hi", then go'), '"Say ""hi"", then go"');
+  assert.equal(toCsvCell("two\nlines"), '"two\nlines"');
+  assert.equal(toCsvCell(null), "");
+});
+
+test("toCsvCell keeps formulas and phone numbers as text", () => {
+  assert.equal(toCsvCell("=HYPERLINK(\"http://x\")"), "\"'=HYPERLINK(\"\"http://x\"\")\"");
+  assert.equal(toCsvCell("+201012345678"), "'+201012345678");
+  assert.equal(toCsvCell("-2+3"), "'-2+3");
+  assert.equal(toCsvCell("@SUM(A1)"), "'@SUM(A1)");
+  assert.equal(toCsvCell("\tcmd"), "'\tcmd");
+  assert.equal(toCsvCell("2026-10-19"), "2026-10-19");
+});
+
+test("an exported CSV imports back unchanged", () => {
+  const client = {
+    id: 1,
+    fullName: "=cmd|' /C calc'!A0",
+    age: 29,
+    gender: "Female",
+    email: "sara@example.com",
+    phone: "+201012345678",
+    goal: "Weight Loss",
+    startDate: "2026-10-19",
+    endDate: "2026-11-19",
+  };
+  const { rows } = parseImportFile(clientsToCsv([client]), "clients.csv");
+  assert.equal(rows[0]["Full Name"], client.fullName);
+  assert.equal(rows[0].Phone, client.phone);
+  assert.equal(rows[0]["Membership End Date"], client.endDate);
+});
+
+test("imported sessions need a unique id, a date and a list of exercises", () => {
+  const session = { id: 1, date: "2026-10-19", exercises: [{ name: "Squat", sets: "3" }] };
+  assert.deepEqual(validateImportedEntries({ history: [session, { ...session, id: 2 }] }), []);
+
+  const errors = validateImportedEntries({
+    history: [session, { ...session }, { date: "2026-10-19", exercises: [] }, { id: 4, date: "19/10/2026" }],
+  });
+  assert.deepEqual(errors, [
+    "Session 2: Its id 1 is used more than once.",
+    "Session 3: It has no id.",
+    "Session 4: Its date is not valid. It has no list of exercises.",
+  ]);
+});
+
+test("merging an import adds only the entries the client does not have yet", () => {
+  const existing = {
+    id: 1,
+    fullName: "Sara Ali",
+    email: "sara@example.com",
+    history: [{ id: 1, date: "2026-10-01", exercises: [] }],
+    payments: [{ id: 5, date: "2026-10-01", amount: 40 }],
+    sessionPlan: { exercises: [] },
+  };
+  const imported = {
+    fullName: "Sara A.",
+    email: "",
+    history: [
+      { id: 1, date: "2026-10-01", exercises: [{ name: "Squat" }] },
+      { id: 2, date: "2026-10-08", exercises: [] },
+    ],
+    payments: [],
+    visits: [{ id: 9, timestamp: "2026-10-08T08:00:00.000Z" }],
+    sessionPlan: { exercises: [{ name: "Plank" }] },
+  };
+
+  const merged = mergeImportedClient(existing, imported);
+  assert.equal(merged.fullName, "Sara A.");
+  assert.equal(merged.email, "sara@example.com");
+  assert.deepEqual(merged.history, [existing.history[0], imported.history[1]]);
+  assert.equal(merged.payments, existing.payments);
+  assert.deepEqual(merged.visits, imported.visits);
+  assert.equal(merged.sessionPlan, existing.sessionPlan);
+});
@@ -1,32 +1,4 @@
-// =========================
-// DATA PERSISTENCE - localStorage
-// =========================
-// All client data is stored in browser's localStorage
-// Data persists across page refreshes and browser sessions
-const STORAGE_KEY = "fitCRM_clients";
-
-/**
- * Load clients from localStorage
- * @returns {Array} Array of client objects, or empty array if none exist
- */
-function loadClients() {
-  const stored = localStorage.getItem(STORAGE_KEY);
-  if (!stored) return [];
-  try {
-    return JSON.parse(stored);
-  } catch (e) {
-    console.error("Could not parse stored clients", e);
-    return [];
-  }
-}
-
-/**
- * Save clients array to localStorage
- * @param {Array} clients - Array of client objects to save
- */
-function saveClients(clients) {
-  localStorage.setItem(STORAGE_KEY, JSON.stringify(clients));
-}
+import { createClientStore, ClientValidationError } from "./clientStore.js";
 
 // =========================
 // UI HELPERS
@@ -35,9 +7,10 @@ function saveClients(clients) {
 
 /**
  * Update the client count display text
- * @param {number} count - Number of clients currently visible
+ * @param {number} count - Number of clients matching the current search / filters
+ * @param {Object} [range] - { start, end } (1-based) of the rows on the current page
  */
-function updateClientCount(count) {
+function updateClientCount(count, range) {
   const countEl = document.getElementById("clientCountText");
   if (!countEl) return;
 
@@ -45,76 +18,111 @@ function updateClientCount(count) {
     countEl.textContent = " (no clients to show)";
   } else if (count === 1) {
     countEl.textContent = " (1 client shown)";
+  } else if (range && (range.start > 1 || range.end < count)) {
+    countEl.textContent = ` (showing ${range.start}–${range.end} of ${count} clients)`;
   } else {
     countEl.textContent = ` (${count} clients shown)`;
   }
 }
 
 /**
- * Render all clients into the table
+ * Everything one client's table row shows
+ * (also used to tell whether a row has to be redrawn)
+ * @param {Object} client - Client object
+ * @param {Object} access - See renderClientTable
+ * @returns {Object} { id, cells, status, trainer, noVisitDays, balanceDue, canEdit, canDelete }
+ */
+function describeClientRow(client, access) {
+  const balance = getClientBalance(client);
+  return {
+    id: client.id,
+    cells: [client.fullName, client.email, client.phone, client.goal, client.startDate, client.endDate || "–"],
+    status: getMembershipStatus(client),
+    trainer: getAccountName(access.accounts || [], client.trainerId) || "–",
+    noVisitDays: access.noVisitDays && hasNoRecentVisit(client, access.noVisitDays) ? access.noVisitDays : 0,
+    balanceDue: balance > 0 ? describeBalance(balance, access.currency) : "",
+    canEdit: can(access.account, "client:edit", client),
+    canDelete: can(access.account, "client:delete", client),
+  };
+}
+
+/**
+ * Build one client's table row
+ * @param {Object} row - Result of describeClientRow()
+ * @returns {HTMLTableRowElement} The row
+ */
+function buildClientRow(row) {
+  const name = row.cells[0];
+  const iconButton = (className, label, icon) =>
+    buildElement("button", { className, type: "button", attrs: { "aria-label": `${label} ${name}` }, dataset: { id: row.id } }, [
+      buildElement("img", { src: `assets/icons/${icon}.svg`, alt: label }),
+    ]);
+
+  const statusCell = buildElement("td", {}, [buildStatusBadge(row.status)]);
+  if (row.noVisitDays) {
+    statusCell.append(" ", buildElement("span", {
+      className: "status-badge status-no-visit",
+      text: `No visit in ${row.noVisitDays}+ days`,
+    }));
+  }
+  if (row.balanceDue) {
+    statusCell.append(" ", buildElement("span", { className: "status-badge status-balance-due", text: row.balanceDue }));
+  }
+
+  return buildElement("tr", {}, [
+    ...row.cells.map((value) => buildElement("td", { text: value })),
+    statusCell,
+    buildElement("td", { text: row.trainer }),
+    buildElement("td", { className: "row-actions" }, [
+      buildElement("button", {
+        className: "icon-btn view-btn",
+        type: "button",
+        text: "View",
+        attrs: { "aria-label": `View ${name}` },
+        dataset: { id: row.id },
+      }),
+      row.canEdit && iconButton("icon-btn edit-btn", "Edit", "edit"),
+      row.canDelete && iconButton("icon-btn danger delete-btn", "Delete", "delete"),
+    ]),
+  ]);
+}
+
+/**
+ * Render clients into the table
+ * Edit / Delete buttons are only shown to accounts allowed to use them. Rows are
+ * updated in place: only clients whose row would look different are redrawn
  * @param {Array} clients - Array of client objects to display
+ * @param {Object} [pageInfo] - { total, start, end } when only one page of the results is shown
+ * @param {Object} [access] - { account, accounts, noVisitDays, currency }: who is signed in, every
+ *   staff account, after how many days without a visit a client is flagged, and the currency
  */
-function renderClientTable(clients) {
+function renderClientTable(clients, pageInfo, access = {}) {
   const tableBody = document.getElementById("clientTableBody");
   if (!tableBody) return;
 
-  // Clear existing rows
-  tableBody.innerHTML = "";
-
   // Update count text
-  updateClientCount(clients.length);
+  updateClientCount(pageInfo ? pageInfo.total : clients.length, pageInfo);
 
   // If no clients, show a placeholder row
   if (clients.length === 0) {
-    tableBody.innerHTML = `
-      <tr>
-        <td colspan="7" style="text-align:center; color:#888;">
-          No clients added yet.
-        </td>
-      </tr>
-    `;
+    const cell = buildElement("td", {
+      colSpan: 9,
+      text: "No clients added yet.",
+      attrs: { style: "text-align:center; color:#888;" },
+    });
+    tableBody.replaceChildren(buildElement("tr", {}, [cell]));
     return;
   }
 
-  // Add a row for each client
-  clients.forEach((client) => {
-    const row = document.createElement("tr");
-    row.innerHTML = `
-      <td>${client.fullName}</td>
-      <td>${client.email}</td>
-      <td>${client.phone}</td>
-      <td>${client.goal}</td>
-      <td>${client.startDate}</td>
-      <td>${client.endDate || '–'}</td>
-      <td class="row-actions">
-        <button
-          class="icon-btn view-btn"
-          type="button"
-          aria-label="View ${client.fullName}"
-          data-id="${client.id}"
-        >
-          View
-        </button>
-        <button
-          class="icon-btn edit-btn"
-          type="button"
-          aria-label="Edit ${client.fullName}"
-          data-id="${client.id}"
-        >
-          <img src="assets/icons/edit.svg" alt="Edit" />
-        </button>
-        <button
-          class="icon-btn danger delete-btn"
-          type="button"
-          aria-label="Delete ${client.fullName}"
-          data-id="${client.id}"
-        >
-          <img src="assets/icons/delete.svg" alt="Delete" />
-        </button>
-      </td>
-    `;
-    tableBody.appendChild(row);
-  });
+  renderKeyedList(
+    tableBody,
+    clients.map((client) => describeClientRow(client, access)),
+    {
+      key: (row) => row.id,
+      signature: (row) => JSON.stringify(row),
+      render: buildClientRow,
+    }
+  );
 }
 
 /**
@@ -149,6 +157,7 @@ function fillFormFromClient(client) {
 
   startDateInput.value = client.startDate || "";
   endDateInput.value = client.endDate || "";
+  document.getElementById("trainerId").value = client.trainerId || "";
 }
 
 /**
@@ -164,13 +173,19 @@ function clearForm() {
   document.getElementById("goalFree").value = "";
   document.getElementById("startDate").value = "";
   document.getElementById("endDate").value = "";
+  document.getElementById("trainerId").value = "";
+
+  renderFieldErrors({});
 }
 
 /**
  * Display client details on the Client View page
+ * Buttons the signed-in account may not use for this client are hidden
  * @param {Object} client - Client object to display
+ * @param {Object} [access] - { account, accounts, noVisitDays, currency }: who is signed in, every
+ *   staff account, after how many days without a visit a client is flagged, and the currency
  */
-function showClientDetails(client) {
+function showClientDetails(client, access = {}) {
   const nameEl = document.getElementById("viewName");
   const emailEl = document.getElementById("viewEmail");
   const phoneEl = document.getElementById("viewPhone");
@@ -187,578 +202,5997 @@ function showClientDetails(client) {
   startDateEl.textContent = client.startDate || "";
   endDateEl.textContent = client.endDate || "";
 
+  const statusEl = document.getElementById("viewStatus");
+  if (statusEl) {
+    statusEl.replaceChildren(buildStatusBadge(getMembershipStatus(client)));
+  }
+  displayRenewals(client);
+  displayPayments(client, access.currency, can(access.account, "client:payment", client));
+  displayMeasurements(client, can(access.account, "client:train", client));
+  displayUpcomingSessions(client, access.accounts);
+  displayAttendance(client, access.noVisitDays || DEFAULT_NO_VISIT_DAYS);
+
+  const trainerEl = document.getElementById("viewTrainer");
+  if (trainerEl) {
+    trainerEl.textContent = getAccountName(access.accounts || [], client.trainerId) || "Unassigned";
+  }
+  applyPermissions(document.getElementById("client-view"), access.account, client);
+
   // Initialize training history section
-  displayTrainingHistory(client);
+  displayTrainingHistory(client, can(access.account, "client:train", client));
+
+  // Changes timeline (newest first)
+  renderChangeTimeline(loadChangeLog().filter((entry) => entry.clientId === client.id).reverse());
+}
+
+/**
+ * Sort a client's training sessions newest first
+ * Sessions on the same day are ordered by when they were logged
+ * @param {Array} history - Array of session objects
+ * @returns {Array} New array sorted by date (descending)
+ */
+function sortSessionsNewestFirst(history) {
+  return [...(history || [])].sort((a, b) => {
+    if (a.date !== b.date) return a.date < b.date ? 1 : -1;
+    return b.id - a.id;
+  });
+}
+
+/**
+ * Build a short "3 x 10 @ 40 kg" summary for one exercise in a session
+ * @param {Object} exercise - Exercise object with sets, reps and weight
+ * @returns {string} Human-readable summary (empty if nothing was recorded)
+ */
+function formatExerciseSummary(exercise) {
+  const parts = [];
+  if (exercise.sets && exercise.reps) {
+    parts.push(`${exercise.sets} x ${exercise.reps}`);
+  } else if (exercise.sets) {
+    parts.push(`${exercise.sets} sets`);
+  } else if (exercise.reps) {
+    parts.push(`${exercise.reps} reps`);
+  }
+  if (exercise.weight) {
+    parts.push(`@ ${exercise.weight} kg`);
+  }
+  return parts.join(" ");
 }
 
 /**
- * Display training history for a client (placeholder for future implementation)
+ * Display training history for a client, newest session first
+ * Each session gets Edit / Delete buttons carrying the session id
  * @param {Object} client - Client object
+ * @param {boolean} [canEdit=true] - false to list the sessions without Edit / Delete
  */
-function displayTrainingHistory(client) {
+function displayTrainingHistory(client, canEdit = true) {
   const historyContent = document.getElementById("viewHistoryContent");
   const historyPlaceholder = document.getElementById("viewHistoryPlaceholder");
-  
-  if (!historyContent) return;
+  const historyList = document.getElementById("historyList");
+
+  if (!historyContent || !historyList) return;
+
+  historyList.innerHTML = "";
+  const sessions = sortSessionsNewestFirst(client.history);
 
-  // For now, show placeholder since training history is not yet implemented
-  // This can be extended later to show actual training sessions
   if (historyPlaceholder) {
-    historyPlaceholder.textContent = "No training history recorded yet.";
+    historyPlaceholder.textContent =
+      sessions.length === 0 ? "No training history recorded yet." : "";
   }
+
+  sessions.forEach((session) => {
+    const li = document.createElement("li");
+    li.className = "history-item";
+
+    const header = document.createElement("div");
+    header.className = "history-item-header";
+
+    const title = document.createElement("strong");
+    title.textContent = session.durationMinutes
+      ? `${session.date} · ${session.durationMinutes} min`
+      : session.date;
+    header.appendChild(title);
+
+    const actions = document.createElement("div");
+    actions.className = "row-actions";
+
+    const editBtn = document.createElement("button");
+    editBtn.type = "button";
+    editBtn.className = "icon-btn edit-session-btn";
+    editBtn.dataset.sessionId = session.id;
+    editBtn.setAttribute("aria-label", `Edit session on ${session.date}`);
+    editBtn.innerHTML = '<img src="assets/icons/edit.svg" alt="Edit" />';
+    actions.appendChild(editBtn);
+
+    const deleteBtn = document.createElement("button");
+    deleteBtn.type = "button";
+    deleteBtn.className = "icon-btn danger delete-session-btn";
+    deleteBtn.dataset.sessionId = session.id;
+    deleteBtn.setAttribute("aria-label", `Delete session on ${session.date}`);
+    deleteBtn.innerHTML = '<img src="assets/icons/delete.svg" alt="Delete" />';
+    actions.appendChild(deleteBtn);
+
+    if (canEdit) header.appendChild(actions);
+    li.appendChild(header);
+
+    if (session.exercises && session.exercises.length > 0) {
+      const exerciseList = document.createElement("ul");
+      exerciseList.className = "history-exercises";
+      session.exercises.forEach((exercise) => {
+        const exerciseItem = document.createElement("li");
+        const summary = formatExerciseSummary(exercise);
+        exerciseItem.textContent = summary
+          ? `${exercise.name} – ${summary}`
+          : exercise.name;
+        exerciseList.appendChild(exerciseItem);
+      });
+      li.appendChild(exerciseList);
+    }
+
+    if (session.notes) {
+      const notes = document.createElement("p");
+      notes.className = "subtle history-notes";
+      notes.textContent = session.notes;
+      li.appendChild(notes);
+    }
+
+    historyList.appendChild(li);
+  });
 }
 
 // =========================
-// FORM VALIDATION HELPERS
+// TRAINING SESSION FORM HELPERS
 // =========================
-// All validation functions return boolean (true = valid, false = invalid)
+// Functions for the "Log Session" form on the Client Details page
 
 /**
- * Validate email format - accepts any email ending in .com or .edu
- * Format: anything@anything.com or anything@anything.edu
- * @param {string} email - Email address to validate
- * @returns {boolean} True if valid, false otherwise
+ * Append one exercise row (name, sets, reps, weight) to the session form
+ * @param {Object} [exercise] - Optional exercise to pre-fill the row with
  */
-function isValidEmail(email) {
-  if (!email || typeof email !== 'string') return false;
-  // Accept any email format ending in .com or .edu
-  const emailRegex = /^[^\s@]+@[^\s@]+\.(com|edu)$/i;
-  return emailRegex.test(email.trim());
+function addSessionExerciseRow(exercise = {}) {
+  const rowsEl = document.getElementById("sessionExerciseRows");
+  if (!rowsEl) return;
+
+  const row = document.createElement("div");
+  row.className = "session-exercise-row";
+
+  const fields = [
+    { key: "name", label: "Exercise", type: "text", placeholder: "e.g., Squat" },
+    { key: "sets", label: "Sets", type: "number", placeholder: "3" },
+    { key: "reps", label: "Reps", type: "number", placeholder: "10" },
+    { key: "weight", label: "Weight (kg)", type: "number", placeholder: "40" },
+  ];
+
+  fields.forEach((field) => {
+    const input = document.createElement("input");
+    input.type = field.type;
+    input.name = field.key;
+    input.placeholder = field.placeholder;
+    input.setAttribute("aria-label", field.label);
+    if (field.type === "number") {
+      input.min = "0";
+      if (field.key === "weight") input.step = "0.5";
+    }
+    input.value = exercise[field.key] ?? "";
+    row.appendChild(input);
+  });
+
+  const removeBtn = document.createElement("button");
+  removeBtn.type = "button";
+  removeBtn.className = "icon-btn danger remove-exercise-btn";
+  removeBtn.setAttribute("aria-label", "Remove exercise");
+  removeBtn.innerHTML = '<img src="assets/icons/delete.svg" alt="Remove" />';
+  row.appendChild(removeBtn);
+
+  rowsEl.appendChild(row);
 }
 
 /**
- * Validate age - must be between 5 and 120 years old
- * @param {string|number} age - Age to validate
- * @returns {boolean} True if valid (>= 5 and <= 120), false otherwise
+ * Reset the session form to a blank session dated today
  */
-function isValidAge(age) {
-  if (!age) return false;
-  const ageNum = parseInt(age, 10);
-  return !isNaN(ageNum) && ageNum >= 5 && ageNum <= 120;
+function clearSessionForm() {
+  document.getElementById("sessionDate").value = getTodayDate();
+  document.getElementById("sessionDuration").value = "";
+  document.getElementById("sessionNotes").value = "";
+  document.getElementById("sessionExerciseRows").innerHTML = "";
+  addSessionExerciseRow();
 }
 
 /**
- * Validate phone number - must be exactly 11 digits
- * @param {string} phone - Phone number to validate
- * @returns {boolean} True if valid (exactly 11 digits), false otherwise
+ * Populate the session form with an existing session for editing
+ * @param {Object} session - Session object to edit
  */
-function isValidPhone(phone) {
-  if (!phone || typeof phone !== 'string') return false;
-  const digits = phone.replace(/\D/g, "");
-  return digits.length === 11;
+function fillSessionForm(session) {
+  document.getElementById("sessionDate").value = session.date || "";
+  document.getElementById("sessionDuration").value = session.durationMinutes || "";
+  document.getElementById("sessionNotes").value = session.notes || "";
+  document.getElementById("sessionExerciseRows").innerHTML = "";
+
+  const exercises = session.exercises || [];
+  if (exercises.length === 0) {
+    addSessionExerciseRow();
+  } else {
+    exercises.forEach((exercise) => addSessionExerciseRow(exercise));
+  }
 }
 
 /**
- * Get today's date in YYYY-MM-DD format
- * @returns {string} Today's date formatted as YYYY-MM-DD
+ * Read the session form into a plain object
+ * Exercise rows without a name are ignored
+ * @returns {Object} Session data (without id)
  */
-function getTodayDate() {
-  const today = new Date();
-  const year = today.getFullYear();
-  const month = String(today.getMonth() + 1).padStart(2, '0');
-  const day = String(today.getDate()).padStart(2, '0');
-  return `${year}-${month}-${day}`;
+function readSessionForm() {
+  const rows = document.querySelectorAll("#sessionExerciseRows .session-exercise-row");
+  const exercises = [];
+
+  rows.forEach((row) => {
+    const name = row.querySelector('[name="name"]').value.trim();
+    if (!name) return;
+    exercises.push({
+      name,
+      sets: row.querySelector('[name="sets"]').value.trim(),
+      reps: row.querySelector('[name="reps"]').value.trim(),
+      weight: row.querySelector('[name="weight"]').value.trim(),
+    });
+  });
+
+  return {
+    date: document.getElementById("sessionDate").value,
+    durationMinutes: document.getElementById("sessionDuration").value.trim(),
+    exercises,
+    notes: document.getElementById("sessionNotes").value.trim(),
+  };
 }
 
+// =========================
+// CLIENT FORM ERRORS
+// =========================
+// The rules themselves live in js/validation.js; these helpers read the
+// New Client form and show each field's error next to it.
+
+// Form fields that can carry an error (goal covers both the select and the custom goal box)
+const CLIENT_FORM_FIELDS = ["fullName", "age", "email", "phone", "goal", "startDate", "endDate"];
+
 /**
- * Validate that a date is not in the past
- * @param {string} dateString - Date string in YYYY-MM-DD format
- * @returns {boolean} True if date is today or in the future, false if in the past
+ * Read the New Client form
+ * @returns {Object} Trimmed values; goal is the selected goal or the custom one
  */
-function isDateNotInPast(dateString) {
-  if (!dateString) return false;
-  const inputDate = new Date(dateString);
-  const today = new Date();
-  // Reset time to midnight for accurate date comparison
-  today.setHours(0, 0, 0, 0);
-  inputDate.setHours(0, 0, 0, 0);
-  return inputDate >= today;
+function readClientForm() {
+  const value = (id) => document.getElementById(id).value.trim();
+
+  return {
+    fullName: value("fullName"),
+    age: value("age"),
+    gender: document.getElementById("gender").value,
+    email: value("email"),
+    phone: value("phone"),
+    goal: value("goal") || value("goalFree"),
+    startDate: document.getElementById("startDate").value,
+    endDate: document.getElementById("endDate").value,
+    trainerId: Number(document.getElementById("trainerId").value) || null,
+  };
 }
 
 /**
- * Validate that end date is after start date
- * @param {string} startDate - Start date string in YYYY-MM-DD format
- * @param {string} endDate - End date string in YYYY-MM-DD format
- * @returns {boolean} True if end date is after start date, false otherwise
+ * Show field errors on the New Client form
+ * Each field has a `<p id="<field>Error">` referenced by aria-describedby;
+ * fields not named in `errors` are cleared
+ * @param {Object} errors - field name → message (from validateClient)
  */
-function isEndDateAfterStartDate(startDate, endDate) {
-  if (!startDate || !endDate) return false;
-  const start = new Date(startDate);
-  const end = new Date(endDate);
-  return end > start;
+function renderFieldErrors(errors) {
+  CLIENT_FORM_FIELDS.forEach((field) => {
+    const message = errors[field] || "";
+    const errorEl = document.getElementById(`${field}Error`);
+    const inputs = field === "goal" ? ["goal", "goalFree"] : [field];
+
+    if (errorEl) errorEl.textContent = message;
+    inputs.forEach((id) => {
+      const input = document.getElementById(id);
+      if (!input) return;
+      if (message) {
+        input.setAttribute("aria-invalid", "true");
+      } else {
+        input.removeAttribute("aria-invalid");
+      }
+      input.closest(".form-field").classList.toggle("has-error", Boolean(message));
+    });
+  });
 }
 
 // =========================
-// Wger: Next Session Exercises
+// SEARCH & FILTER HELPERS
 // =========================
-// Wger API endpoint - retrieves exercises from the online workout manager
-// API Documentation: https://wger.de/en/software/api
-// Browsable API: https://wger.de/api/v2/exerciseinfo/
-// Note: exerciseinfo endpoint includes translations with exercise names
-// Language ID 2 = English (en)
-const WGER_API_BASE = "https://wger.de/api/v2";
-// Use exerciseinfo endpoint which includes exercise names in translations
-// language=2 ensures exercises are in English
-const WGER_API_URL = `${WGER_API_BASE}/exerciseinfo/?language=2&limit=50`;
+// The client list is narrowed by a free-text query plus structured filters.
+// Filters live in the URL hash (e.g. "#list?goal=Endurance&status=active"),
+// so a filtered view can be bookmarked or shared.
 
-async function loadNextSessionExercises() {
-  const listEl = document.getElementById("nextExercisesList");
-  const placeholderEl = document.getElementById("viewExercisesPlaceholder");
-  if (!listEl) return;
+// Filter keys, in the order they are written to the URL and shown as chips
+const LIST_FILTER_KEYS = [
+  "q",
+  "status",
+  "trainer",
+  "goal",
+  "gender",
+  "ageMin",
+  "ageMax",
+  "startFrom",
+  "startTo",
+  "endFrom",
+  "endTo",
+  "noVisit",
+];
 
-  // Clear old items and show a loading message
-  listEl.innerHTML = "";
-  if (placeholderEl) {
-    placeholderEl.textContent = "Loading exercises for the next session…";
-  }
+/**
+ * Create a filter object with every filter switched off
+ * @returns {Object} Filter key → "" for each of LIST_FILTER_KEYS
+ */
+function createEmptyFilters() {
+  const filters = {};
+  LIST_FILTER_KEYS.forEach((key) => {
+    filters[key] = "";
+  });
+  return filters;
+}
 
-  try {
-    // Fetch exercises from Wger REST API
-    // API endpoint: https://wger.de/api/v2/exercise/
-    // Documentation: https://wger.de/en/software/api
-    const response = await fetch(WGER_API_URL);
+/**
+ * Check whether a client matches a free-text search
+ * Matches name, email and goal as text, and phone by digits
+ * (so "0101 234" finds "+20 101 234 5678")
+ * @param {Object} client - Client object
+ * @param {string} query - Search text (any case)
+ * @returns {boolean} True if the client matches (or the query is empty)
+ */
+function matchesSearchQuery(client, query) {
+  const text = (query || "").trim().toLowerCase();
+  if (!text) return true;
 
-    if (!response.ok) {
-      throw new Error(`API request failed with status: ${response.status} ${response.statusText}`);
-    }
+  const fields = [client.fullName, client.email, client.goal];
+  if (fields.some((value) => value && String(value).toLowerCase().includes(text))) {
+    return true;
+  }
 
-    const data = await response.json();
-    
-    // Wger API returns results in a 'results' array
-    const results = data.results || [];
+  // Phones are stored in E.164 ("+2010..."), so also try the number without its national "0"
+  const digits = text.replace(/\D/g, "");
+  const phoneDigits = (client.phone || "").replace(/\D/g, "");
+  return (
+    digits.length >= 3 &&
+    (phoneDigits.includes(digits) || (digits.length >= 4 && phoneDigits.includes(digits.replace(/^0/, ""))))
+  );
+}
 
-    if (results.length === 0) {
-      if (placeholderEl) {
-        placeholderEl.textContent = "No exercises found from the API at the moment.";
-      }
-      return;
-    }
+/**
+ * Check whether a client is assigned to the trainer a filter asks for
+ * @param {Object} client - Client object
+ * @param {string} trainer - "me", "none" or an account id ("" matches everyone)
+ * @param {number|null} accountId - Signed-in account (what "me" means)
+ * @returns {boolean} True if the client matches
+ */
+function matchesTrainerFilter(client, trainer, accountId) {
+  if (!trainer) return true;
+  if (trainer === "me") return client.trainerId === accountId;
+  if (trainer === "none") return !client.trainerId;
+  return String(client.trainerId) === trainer;
+}
 
-    // Filter exercises to only include those with English translations (language ID = 2)
-    const exercisesWithEnglish = results.filter(exercise => {
-      if (exercise.translations && Array.isArray(exercise.translations)) {
-        return exercise.translations.some(t => t.language === 2 && t.name);
-      }
-      return false;
-    });
+/**
+ * Check whether a client passes the search query and every structured filter
+ * @param {Object} client - Client object
+ * @param {Object} filters - Filter values (see LIST_FILTER_KEYS)
+ * @param {string} today - Date string in YYYY-MM-DD format (for membership status)
+ * @param {number|null} [accountId] - Signed-in account (for "My clients")
+ * @returns {boolean} True if the client should be listed
+ */
+function matchesFilters(client, filters, today, accountId = null) {
+  if (!matchesSearchQuery(client, filters.q)) return false;
+  if (filters.status && getMembershipStatus(client, today) !== filters.status) return false;
+  if (!matchesTrainerFilter(client, filters.trainer, accountId)) return false;
+  if (filters.goal && client.goal !== filters.goal) return false;
+  if (filters.gender && client.gender !== filters.gender) return false;
 
-    if (exercisesWithEnglish.length === 0) {
-      if (placeholderEl) {
-        placeholderEl.textContent = "No English exercises found from the API at the moment.";
-      }
-      return;
-    }
+  if (filters.ageMin || filters.ageMax) {
+    const age = parseInt(client.age, 10);
+    if (isNaN(age)) return false;
+    if (filters.ageMin && age < Number(filters.ageMin)) return false;
+    if (filters.ageMax && age > Number(filters.ageMax)) return false;
+  }
 
-    // Select 5 random exercises from exercises with English translations
-    // Only include exercises that have a valid English name
-    const selectedExercises = [];
-    const availableExercises = [...exercisesWithEnglish]; // Copy array to avoid modifying original
-    
-    // Keep selecting until we have 5 exercises with valid English names
-    while (selectedExercises.length < 5 && availableExercises.length > 0) {
-      const randomIndex = Math.floor(Math.random() * availableExercises.length);
-      const exercise = availableExercises[randomIndex];
-      
-      // Verify this exercise has a valid English translation
-      let hasEnglishName = false;
-      if (exercise.translations && Array.isArray(exercise.translations)) {
-        const englishTranslation = exercise.translations.find(t => t.language === 2 && t.name);
-        if (englishTranslation && englishTranslation.name && englishTranslation.name.trim()) {
-          hasEnglishName = true;
-        }
-      }
-      
-      if (hasEnglishName) {
-        selectedExercises.push(exercise);
-      }
-      
-      // Remove from available exercises to avoid infinite loop
-      availableExercises.splice(randomIndex, 1);
-    }
+  // Dates are YYYY-MM-DD strings, so they compare correctly as text
+  if (filters.startFrom && !(client.startDate >= filters.startFrom)) return false;
+  if (filters.startTo && !(client.startDate <= filters.startTo)) return false;
+  if (filters.endFrom && !(client.endDate >= filters.endFrom)) return false;
+  if (filters.endTo && !(client.endDate <= filters.endTo)) return false;
 
-    // Display exercises retrieved from the API - ONLY English names
-    selectedExercises.forEach((exercise) => {
-      const li = document.createElement("li");
+  if (filters.noVisit && !hasNoRecentVisit(client, Number(filters.noVisit), today)) return false;
 
-      // Wger API structure: exercise names are in the 'translations' array
-      // Each translation object has a 'name' field and 'language' field
-      // Language ID 2 = English (en)
-      let exerciseName = null;
-      
-      // STRICT: ONLY use English translation (language ID = 2)
-      // Do not fallback to other languages - this ensures English only
-      if (exercise.translations && Array.isArray(exercise.translations)) {
-        // Find ONLY English translation (language ID = 2)
-        const englishTranslation = exercise.translations.find(t => {
-          return t.language === 2 && t.name && String(t.name).trim().length > 0;
-        });
-        
-        if (englishTranslation && englishTranslation.name) {
-          exerciseName = String(englishTranslation.name).trim();
-          
-          // Additional validation: ensure it's not empty and looks like English text
-          // (basic check - English typically uses ASCII characters)
-          if (exerciseName.length === 0) {
-            exerciseName = null;
-          }
-        }
-      }
-      
-      // If no valid English name found, skip this exercise
-      if (!exerciseName || exerciseName === '') {
-        console.warn("Exercise has no valid English translation. Skipping.", {
-          exerciseId: exercise.id,
-          translations: exercise.translations?.map(t => ({ language: t.language, name: t.name }))
-        });
-        return; // Skip this exercise - don't display it
-      }
+  return true;
+}
 
-      // Display ONLY the English name
-      li.textContent = exerciseName;
-      listEl.appendChild(li);
-    });
+/**
+ * Narrow a client list down to the ones matching the filters
+ * @param {Array} clients - Client objects
+ * @param {Object} filters - Filter values
+ * @param {number|null} [accountId] - Signed-in account (for "My clients")
+ * @returns {Array} Matching clients, in their original order
+ */
+function filterClients(clients, filters, accountId = null) {
+  const today = getTodayDate();
+  return clients.filter((client) => matchesFilters(client, filters, today, accountId));
+}
 
-    // Hide the placeholder text once we have items
-    if (placeholderEl) {
-      placeholderEl.textContent = "";
-    }
-  } catch (error) {
-    console.error("Error loading exercises from Wger API:", error);
-    console.error("API URL attempted:", WGER_API_URL);
-    
-    if (placeholderEl) {
-      // More specific error message
-      if (error.message.includes('Failed to fetch') || error.message.includes('NetworkError')) {
-        placeholderEl.textContent =
-          "Unable to connect to the Wger exercise API. Please check your internet connection and try again.";
-      } else if (error.message.includes('CORS')) {
-        placeholderEl.textContent =
-          "CORS error: Unable to access the exercise API. The API may have restrictions.";
-      } else {
-        placeholderEl.textContent =
-          `Could not load exercises: ${error.message}. Please try again later.`;
-      }
+/**
+ * Build the list page hash for a set of filters (and optionally sort / paging)
+ * @param {Object} filters - Filter values
+ * @param {Object} [view] - { sort, dir, page, size }; defaults are left out
+ * @returns {string} e.g. "#list?q=sara&status=active" (just "#list" when nothing is set)
+ */
+function filtersToHash(filters, view) {
+  const params = new URLSearchParams();
+  LIST_FILTER_KEYS.forEach((key) => {
+    if (filters[key]) params.set(key, filters[key]);
+  });
+  if (view) {
+    if (view.sort) {
+      params.set("sort", view.sort);
+      params.set("dir", view.dir);
     }
+    if (view.page !== DEFAULT_LIST_VIEW.page) params.set("page", view.page);
+    if (view.size !== DEFAULT_LIST_VIEW.size) params.set("size", view.size);
   }
+  const query = params.toString();
+  return query ? `#list?${query}` : "#list";
 }
 
-// =========================
-// Main app logic
-// =========================
-document.addEventListener("DOMContentLoaded", () => {
-  console.log("main.js is connected!");
-  console.log("DOM fully loaded");
+/**
+ * Read filters back from a list page hash
+ * @param {string} hash - e.g. window.location.hash
+ * @returns {Object} Filter values (unknown parameters are ignored)
+ */
+function filtersFromHash(hash) {
+  const filters = createEmptyFilters();
+  const queryStart = hash.indexOf("?");
+  if (queryStart === -1) return filters;
 
-  const addClientBtn = document.getElementById("addClientBtn");
-  const cancelEditBtn = document.getElementById("cancelEditBtn");
-  const tableBody = document.getElementById("clientTableBody");
-  const addNewLink = document.querySelector("#list .table-toolbar a.btn.primary");
-  const searchInput = document.getElementById("searchName");
-  const searchBtn = document.getElementById("searchBtn");
-  const editFromViewBtn = document.getElementById("editFromViewBtn");
+  const params = new URLSearchParams(hash.slice(queryStart + 1));
+  LIST_FILTER_KEYS.forEach((key) => {
+    filters[key] = params.get(key) || "";
+  });
+  return filters;
+}
 
-  // current state
-  let clients = loadClients();
-  let editingId = null;        // null = adding, not editing
-  let currentViewedId = null;  // which client is shown on Page 3
+/**
+ * Describe each active filter for its chip
+ * @param {Object} filters - Filter values
+ * @param {Array} [accounts] - Staff accounts (for trainer names)
+ * @returns {Array} { key, text } for every filter that is set
+ */
+function describeActiveFilters(filters, accounts = []) {
+  const describe = {
+    q: (value) => `Search: "${value}"`,
+    status: (value) => `Status: ${MEMBERSHIP_STATUS_LABELS[value] || value}`,
+    trainer: (value) => {
+      if (value === "me") return "My clients";
+      if (value === "none") return "Unassigned";
+      return `Trainer: ${getAccountName(accounts, Number(value))}`;
+    },
+    goal: (value) => `Goal: ${value}`,
+    gender: (value) => `Gender: ${value}`,
+    ageMin: (value) => `Age ≥ ${value}`,
+    ageMax: (value) => `Age ≤ ${value}`,
+    startFrom: (value) => `Starts on/after ${value}`,
+    startTo: (value) => `Starts on/before ${value}`,
+    endFrom: (value) => `Ends on/after ${value}`,
+    endTo: (value) => `Ends on/before ${value}`,
+    noVisit: (value) => `No visit in ${value}+ days`,
+  };
 
-  // initial render
-  renderClientTable(clients);
+  return LIST_FILTER_KEYS.filter((key) => filters[key]).map((key) => ({
+    key,
+    text: describe[key](filters[key]),
+  }));
+}
 
-  // Helpers to switch modes
-  function enterAddMode() {
-    editingId = null;
-    if (addClientBtn) addClientBtn.textContent = "Add Client";
-    if (cancelEditBtn) cancelEditBtn.style.display = "none";
-    clearForm();
-  }
+/**
+ * Render the active filters as removable chips above the table
+ * @param {Object} filters - Filter values
+ * @param {Array} [accounts] - Staff accounts (for trainer names)
+ */
+function renderFilterChips(filters, accounts) {
+  const chipsEl = document.getElementById("filterChips");
+  if (!chipsEl) return;
 
-  function enterEditMode(client) {
-    editingId = client.id;
-    fillFormFromClient(client);
-    if (addClientBtn) addClientBtn.textContent = "Save Changes";
-    if (cancelEditBtn) cancelEditBtn.style.display = "inline-block";
+  chipsEl.innerHTML = "";
+  const active = describeActiveFilters(filters, accounts);
 
-    // Jump to the form
-    window.location.hash = "#new";
-    const newSection = document.getElementById("new");
-    if (newSection) {
-      newSection.scrollIntoView({ behavior: "smooth" });
-    }
+  active.forEach((filter) => {
+    const chip = document.createElement("button");
+    chip.type = "button";
+    chip.className = "filter-chip";
+    chip.dataset.filterKey = filter.key;
+    chip.setAttribute("aria-label", `Remove filter ${filter.text}`);
+    chip.textContent = `${filter.text} ✕`;
+    chipsEl.appendChild(chip);
+  });
+
+  if (active.length > 1) {
+    const clearAll = document.createElement("button");
+    clearAll.type = "button";
+    clearAll.className = "filter-chip clear-all";
+    clearAll.dataset.filterKey = "*";
+    clearAll.textContent = "Clear all";
+    chipsEl.appendChild(clearAll);
   }
+}
 
-  // -------------------------
-  // Add / Save Client button
-  // -------------------------
-  if (addClientBtn) {
-    addClientBtn.addEventListener("click", () => {
-      const fullName = document.getElementById("fullName").value.trim();
-      const age = document.getElementById("age").value.trim();
-      const gender = document.getElementById("gender").value;
-      const email = document.getElementById("email").value.trim();
-      const phone = document.getElementById("phone").value.trim();
-      const goal = document.getElementById("goal").value.trim();
-      const goalFree = document.getElementById("goalFree").value.trim();
-      const startDate = document.getElementById("startDate").value;
-      const endDate = document.getElementById("endDate").value;
+/**
+ * Fill the goal filter with every goal used by a client, keeping the selection
+ * @param {Array} clients - Client objects
+ * @param {string} selected - Goal currently filtered on
+ */
+function populateGoalFilter(clients, selected) {
+  const select = document.getElementById("filterGoal");
+  if (!select) return;
 
-      const finalGoal = goal || goalFree;
+  const goals = [...new Set(clients.map((c) => c.goal).filter(Boolean))];
+  if (selected && !goals.includes(selected)) goals.push(selected);
+  goals.sort((a, b) => a.localeCompare(b));
 
-      // Basic validation
-      if (!fullName || !email || !phone || !finalGoal || !startDate || !endDate) {
-        alert("Please fill in all required fields.");
-        return;
-      }
+  select.innerHTML = "";
+  const any = document.createElement("option");
+  any.value = "";
+  any.textContent = "Any goal";
+  select.appendChild(any);
 
-      if (!isValidEmail(email)) {
-        alert("Please enter a valid email address ending in .com or .edu");
-        return;
-      }
+  goals.forEach((goal) => {
+    const option = document.createElement("option");
+    option.value = goal;
+    option.textContent = goal;
+    select.appendChild(option);
+  });
+  select.value = selected || "";
+}
 
-      if (age && !isValidAge(age)) {
-        alert("Age must be between 5 and 120 years old.");
-        return;
-      }
+/**
+ * Fill the trainer filter ("My clients" means the signed-in account's clients)
+ * @param {Array} accounts - Staff accounts
+ * @param {string} selected - Trainer currently filtered on
+ */
+function populateTrainerFilter(accounts, selected) {
+  populateTrainerSelect(document.getElementById("filterTrainer"), accounts, selected, [
+    ["", "All trainers"],
+    ["me", "My clients"],
+    ["none", "Unassigned"],
+  ]);
+}
 
-      if (!isValidPhone(phone)) {
-        alert("Phone number must be exactly 11 digits.");
-        return;
-      }
+// =========================
+// SETTINGS PAGE HELPERS
+// =========================
 
-      // Date validation
-      if (!isDateNotInPast(startDate)) {
-        alert("Membership Start Date cannot be in the past. Please select today or a future date.");
-        return;
-      }
+/**
+ * Fill the Settings page from the current settings
+ * @param {Object} settings - Validation settings (resolved)
+ */
+function renderSettingsForm(settings) {
+  const countryList = document.getElementById("phoneCountryOptions");
+  const defaultCountrySelect = document.getElementById("defaultPhoneCountry");
+  if (!countryList || !defaultCountrySelect) return;
 
-      if (!isEndDateAfterStartDate(startDate, endDate)) {
-        alert("Membership End Date must be after the Start Date.");
-        return;
-      }
+  countryList.innerHTML = "";
+  defaultCountrySelect.innerHTML = "";
 
-      // Were we in edit mode?
-      const wasEditing = editingId !== null;
+  Object.entries(PHONE_COUNTRY_FORMATS).forEach(([code, format]) => {
+    const label = document.createElement("label");
+    label.className = "check-option";
+    const checkbox = document.createElement("input");
+    checkbox.type = "checkbox";
+    checkbox.name = "phoneCountries";
+    checkbox.value = code;
+    checkbox.checked = settings.phoneCountries.includes(code);
+    label.append(checkbox, ` ${format.name} (+${format.dialCode})`);
+    countryList.appendChild(label);
 
-      if (!wasEditing) {
-        // ADD NEW CLIENT
-        const client = {
-          id: Date.now(),
-          fullName,
-          age,
-          gender,
-          email,
-          phone,
-          goal: finalGoal,
-          startDate,
-          endDate,
-        };
+    const option = document.createElement("option");
+    option.value = code;
+    option.textContent = `${format.name} (+${format.dialCode})`;
+    defaultCountrySelect.appendChild(option);
+  });
 
-        clients.push(client);
-        alert(`New client saved: ${client.fullName}`);
-      } else {
-        // UPDATE EXISTING CLIENT
-        const index = clients.findIndex((c) => c.id === editingId);
-        if (index !== -1) {
-          clients[index] = {
-            ...clients[index],
-            fullName,
-            age,
-            gender,
-            email,
-            phone,
-            goal: finalGoal,
-            startDate,
-            endDate,
-          };
-          alert(`Client updated: ${fullName}`);
-        }
+  defaultCountrySelect.value = settings.defaultPhoneCountry;
+  document.getElementById("backdateDays").value = settings.backdateDays;
+  document.getElementById("allowPastStartOnEdit").checked = settings.allowPastStartOnEdit;
+  document.getElementById("noVisitDays").value = resolveNoVisitDays(settings);
+  document.getElementById("apiUrl").value = settings.apiUrl || "";
+  document.getElementById("currency").value = resolveCurrency(settings);
+  document.getElementById("planTableBody").replaceChildren(...resolveMembershipPlans(settings).map(buildPlanRow));
 
-        // Exit edit mode
-        enterAddMode();
-      }
+  const templates = resolveReminderTemplates(settings);
+  const transportSelect = document.getElementById("reminderTransport");
+  transportSelect.replaceChildren(
+    ...Object.entries(REMINDER_TRANSPORTS).map(([name, transport]) =>
+      buildElement("option", { value: name, text: transport.label })
+    )
+  );
+  transportSelect.value = resolveReminderTransportName(settings);
+  document.getElementById("reminderDays").value = resolveReminderDays(settings);
+  document.getElementById("expiryTemplate").value = templates.expiry;
+  document.getElementById("sessionTemplate").value = templates.session;
+  document.getElementById("templatePlaceholders").replaceChildren(
+    ...Object.entries(TEMPLATE_PLACEHOLDERS).flatMap(([name, label]) => [
+      buildElement("dt", {}, [buildElement("code", { text: `{${name}}` })]),
+      buildElement("dd", { text: label }),
+    ])
+  );
+}
 
-      // Save + re-render + clear form
-      saveClients(clients);
-      renderClientTable(clients);
-      clearForm();
+/**
+ * Build one editable row of the membership plan table on the Settings page
+ * @param {Object} plan - { id, name, months, price } (empty values for a new plan)
+ * @returns {HTMLTableRowElement} The row
+ */
+function buildPlanRow(plan) {
+  const input = (name, label, props) =>
+    buildElement("td", {}, [buildElement("input", { name, attrs: { "aria-label": label }, ...props })]);
 
-      // If we just finished editing, go back to the Client List
-      if (wasEditing) {
-        window.location.hash = "#list";
-        const listSection = document.getElementById("list");
-        if (listSection) {
-          listSection.scrollIntoView({ behavior: "smooth" });
-        }
-      }
-    });
-  }
+  return buildElement("tr", { dataset: { planId: plan.id } }, [
+    input("planName", "Plan name", { type: "text", value: plan.name, placeholder: "e.g., Monthly" }),
+    input("planMonths", "Months", { type: "number", min: "1", max: String(MAX_PLAN_MONTHS), step: "1", value: plan.months }),
+    input("planPrice", "Price", { type: "number", min: "0", step: "0.01", value: plan.price }),
+    buildElement("td", {}, [
+      buildElement("button", {
+        className: "icon-btn danger remove-plan-btn",
+        type: "button",
+        text: "Remove",
+        attrs: { "aria-label": `Remove plan ${plan.name}`.trim() },
+      }),
+    ]),
+  ]);
+}
 
-  // -------------------------
+/**
+ * Read the membership plan table on the Settings page
+ * @returns {Array} { id, name, months, price } as entered (empty numbers become NaN)
+ */
+function readPlanRows() {
+  const number = (row, name) => {
+    const value = row.querySelector(`input[name="${name}"]`).value.trim();
+    return value === "" ? NaN : Number(value);
+  };
+  return [...document.querySelectorAll("#planTableBody tr")].map((row) => ({
+    id: Number(row.dataset.planId),
+    name: row.querySelector('input[name="planName"]').value.trim(),
+    months: number(row, "planMonths"),
+    price: number(row, "planPrice"),
+  }));
+}
+
+/**
+ * Read the Settings page
+ * @returns {Object} Settings as entered (not yet resolved)
+ */
+function readSettingsForm() {
+  return {
+    phoneCountries: [...document.querySelectorAll('#phoneCountryOptions input[name="phoneCountries"]:checked')].map(
+      (checkbox) => checkbox.value
+    ),
+    defaultPhoneCountry: document.getElementById("defaultPhoneCountry").value,
+    backdateDays: Number(document.getElementById("backdateDays").value) || 0,
+    allowPastStartOnEdit: document.getElementById("allowPastStartOnEdit").checked,
+    noVisitDays: Number(document.getElementById("noVisitDays").value) || 0,
+    apiUrl: document.getElementById("apiUrl").value.trim(),
+    membershipPlans: readPlanRows(),
+    currency: document.getElementById("currency").value.trim().toUpperCase(),
+    reminderDays: Number(document.getElementById("reminderDays").value) || 0,
+    reminderTransport: document.getElementById("reminderTransport").value,
+    reminderTemplates: {
+      expiry: document.getElementById("expiryTemplate").value.trim(),
+      session: document.getElementById("sessionTemplate").value.trim(),
+    },
+  };
+}
+
+// =========================
+// ACCOUNT UI HELPERS
+// =========================
+// Accounts, roles and the permission rules live in js/accounts.js; these
+// helpers show who is signed in and hide what their role may not use.
+// Elements marked data-permission="<action>" are hidden without that permission.
+
+/**
+ * Name of a staff account
+ * @param {Array} accounts - Staff accounts
+ * @param {number|null} id - Account id (e.g. a client's trainerId)
+ * @returns {string} The name, "" for no id, or "Removed account"
+ */
+function getAccountName(accounts, id) {
+  if (!id) return "";
+  const account = accounts.find((a) => a.id === id);
+  return account ? account.name : "Removed account";
+}
+
+/**
+ * Fill a select with trainers, after some fixed leading options
+ * @param {HTMLSelectElement} select - Select to fill
+ * @param {Array} accounts - Staff accounts (only the given roles are listed)
+ * @param {string|number} selected - Value to keep selected
+ * @param {Array} leadingOptions - [value, label] pairs listed first
+ * @param {Array<string>} [roles] - Roles to list (default: trainers)
+ */
+function populateTrainerSelect(select, accounts, selected, leadingOptions, roles = ["trainer"]) {
+  if (!select) return;
+
+  const trainers = accounts.filter((a) => roles.includes(a.role));
+  // Keep showing a client's current trainer if their role has changed since
+  const current = accounts.find((a) => String(a.id) === String(selected));
+  if (current && !trainers.includes(current)) trainers.push(current);
+
+  select.innerHTML = "";
+  [...leadingOptions, ...trainers.map((a) => [String(a.id), a.name])].forEach(([value, label]) => {
+    const option = document.createElement("option");
+    option.value = value;
+    option.textContent = label;
+    select.appendChild(option);
+  });
+  select.value = selected ? String(selected) : "";
+}
+
+/**
+ * Hide the data-permission elements an account may not use
+ * @param {ParentNode} root - Where to look (e.g. document, or the Client Details page)
+ * @param {Object|null} account - Signed-in account
+ * @param {Object} [client] - Client the elements act on
+ */
+function applyPermissions(root, account, client) {
+  if (!root) return;
+  root.querySelectorAll("[data-permission]").forEach((el) => {
+    el.hidden = !can(account, el.dataset.permission, client);
+  });
+}
+
+/**
+ * Show who is signed in in the header
+ * @param {Object|null} account - Signed-in account
+ */
+function renderAccountBar(account) {
+  const signedInAs = document.getElementById("signedInAs");
+  const switchUserBtn = document.getElementById("switchUserBtn");
+
+  if (signedInAs) {
+    signedInAs.textContent = account
+      ? `Signed in as ${account.name} (${ACCOUNT_ROLES[account.role]})`
+      : "Not signed in";
+  }
+  if (switchUserBtn) switchUserBtn.hidden = !account;
+}
+
+/**
+ * Fill the account picker on the Sign In page
+ * @param {Array} accounts - Staff accounts
+ */
+function renderSignInOptions(accounts) {
+  const select = document.getElementById("signInAccount");
+  if (!select) return;
+
+  const selected = select.value;
+  select.innerHTML = "";
+  accounts.forEach((account) => {
+    const option = document.createElement("option");
+    option.value = account.id;
+    option.textContent = `${account.name} (${ACCOUNT_ROLES[account.role]})`;
+    select.appendChild(option);
+  });
+  if (accounts.some((account) => String(account.id) === selected)) select.value = selected;
+}
+
+/**
+ * Render the table on the Accounts page
+ * @param {Array} accounts - Staff accounts
+ * @param {Array} clients - All clients (to count each trainer's clients)
+ * @param {Object} currentAccount - Signed-in account (cannot remove itself)
+ */
+function renderAccountsTable(accounts, clients, currentAccount) {
+  const body = document.getElementById("accountsTableBody");
+  if (!body) return;
+  body.innerHTML = "";
+
+  const activeClients = getActiveClients(clients);
+  accounts.forEach((account) => {
+    const row = document.createElement("tr");
+    const clientCount = activeClients.filter((client) => client.trainerId === account.id).length;
+    [account.name, ACCOUNT_ROLES[account.role], account.hasPin ? "Set" : "None", clientCount].forEach((value) => {
+      const cell = document.createElement("td");
+      cell.textContent = value;
+      row.appendChild(cell);
+    });
+
+    const actions = document.createElement("td");
+    actions.className = "row-actions";
+    [
+      ["edit-account-btn", "Edit", "btn small"],
+      ["remove-account-btn", "Remove", "btn small danger"],
+    ].forEach(([action, label, className]) => {
+      if (action === "remove-account-btn" && currentAccount && account.id === currentAccount.id) return;
+      const button = document.createElement("button");
+      button.type = "button";
+      button.className = `${className} ${action}`;
+      button.dataset.id = account.id;
+      button.textContent = label;
+      button.setAttribute("aria-label", `${label} ${account.name}`);
+      actions.appendChild(button);
+    });
+    row.appendChild(actions);
+    body.appendChild(row);
+  });
+}
+
+// =========================
+// DUPLICATES & MERGE UI HELPERS
+// =========================
+
+/**
+ * Describe possible duplicates for the "save anyway?" prompt
+ * @param {Array} duplicates - Result of findDuplicateClients()
+ * @returns {string} One line per match, e.g. "- Sara Ali (same email, similar name)"
+ */
+function describeDuplicates(duplicates) {
+  return duplicates.map(({ match, reasons }) => `- ${match.fullName} (${reasons.join(", ")})`).join("\n");
+}
+
+/**
+ * List possible duplicate pairs in the duplicates panel on the list page
+ * @param {Array} pairs - Result of findDuplicatePairs()
+ */
+function renderDuplicatePairs(pairs) {
+  const list = document.getElementById("duplicateList");
+  if (!list) return;
+  list.innerHTML = "";
+
+  if (pairs.length === 0) {
+    const item = document.createElement("li");
+    item.className = "subtle";
+    item.textContent = "No possible duplicates found.";
+    list.appendChild(item);
+    return;
+  }
+
+  pairs.forEach(({ a, b, reasons }) => {
+    const item = document.createElement("li");
+    const text = document.createElement("span");
+    text.textContent = `${a.fullName} ↔ ${b.fullName} — ${reasons.join(", ")}`;
+
+    const link = document.createElement("a");
+    link.className = "btn small";
+    link.href = mergeHash(a.id, b.id);
+    link.textContent = "Review & merge";
+
+    item.append(text, link);
+    list.appendChild(item);
+  });
+}
+
+/**
+ * Summarise a saved plan for the merge page
+ * @param {Object|null} plan - Client's sessionPlan
+ * @returns {string} e.g. "5 exercises (saved 2025-03-09)"
+ */
+function describeSessionPlan(plan) {
+  if (!plan || !Array.isArray(plan.exercises) || plan.exercises.length === 0) return "No saved plan";
+  const count = plan.exercises.length === 1 ? "1 exercise" : `${plan.exercises.length} exercises`;
+  return plan.savedAt ? `${count} (saved ${plan.savedAt.slice(0, 10)})` : count;
+}
+
+/**
+ * Fill the merge page: one row per field with a radio button for each client's value
+ * @param {Object} a - Client that is kept
+ * @param {Object} b - Client merged into it
+ * @param {Object} choices - field key → "a" or "b" (see defaultMergeChoices)
+ */
+function renderMergeTable(a, b, choices) {
+  const body = document.getElementById("mergeTableBody");
+  if (!body) return;
+  body.innerHTML = "";
+
+  document.getElementById("mergeNameA").textContent = a.fullName;
+  document.getElementById("mergeNameB").textContent = b.fullName;
+
+  const rows = [
+    ...MERGE_FIELDS.map(({ key, label }) => ({ key, label, valueA: a[key] || "–", valueB: b[key] || "–" })),
+    {
+      key: "sessionPlan",
+      label: "Next Session Plan",
+      valueA: describeSessionPlan(a.sessionPlan),
+      valueB: describeSessionPlan(b.sessionPlan),
+    },
+  ];
+
+  rows.forEach(({ key, label, valueA, valueB }) => {
+    const row = document.createElement("tr");
+    if (valueA === valueB) row.className = "merge-row-same";
+
+    const th = document.createElement("th");
+    th.scope = "row";
+    th.textContent = label;
+    row.appendChild(th);
+
+    [["a", valueA], ["b", valueB]].forEach(([side, value]) => {
+      const cell = document.createElement("td");
+      const option = document.createElement("label");
+      const radio = document.createElement("input");
+      radio.type = "radio";
+      radio.name = `merge-${key}`;
+      radio.value = side;
+      radio.checked = choices[key] === side;
+      option.append(radio, ` ${value}`);
+      cell.appendChild(option);
+      row.appendChild(cell);
+    });
+
+    body.appendChild(row);
+  });
+
+  const sessions = (client) => (client.history || []).length;
+  const renewals = (client) => (client.renewals || []).length;
+  document.getElementById("mergeSummary").textContent =
+    `Training sessions: ${sessions(a)} + ${sessions(b)} will be combined. ` +
+    `Renewals: ${renewals(a)} + ${renewals(b)} will be combined. ` +
+    `${b.fullName}'s record is removed after merging.`;
+}
+
+/**
+ * Read the merge page choices
+ * @returns {Object} field key → "a" or "b"
+ */
+function readMergeChoices() {
+  const choices = {};
+  document.querySelectorAll('#mergeTableBody input[type="radio"]:checked').forEach((radio) => {
+    choices[radio.name.replace(/^merge-/, "")] = radio.value;
+  });
+  return choices;
+}
+
+// =========================
+// TRASH & UNDO / REDO HELPERS
+// =========================
+// Deleting moves a client to the Trash (deletedAt is set); only "Delete Forever"
+// removes the record. Adds, edits, deletes and restores made in this session can
+// be undone and redone.
+
+const UNDO_LIMIT = 50;        // oldest entries are dropped beyond this
+const UNDO_TOAST_MS = 8000;   // how long the "Undo" toast stays up
+
+// Fields saved by the client form (what edits change and the change log compares)
+const EDITABLE_CLIENT_FIELDS = [
+  "fullName",
+  "age",
+  "gender",
+  "email",
+  "phone",
+  "goal",
+  "startDate",
+  "endDate",
+  "trainerId",
+];
+
+/**
+ * Clients that are not in the Trash
+ * @param {Array} clients - All clients
+ * @returns {Array} Active clients, in their original order
+ */
+function getActiveClients(clients) {
+  return clients.filter((client) => !client.deletedAt);
+}
+
+/**
+ * Clients in the Trash, most recently deleted first
+ * @param {Array} clients - All clients
+ * @returns {Array} Trashed clients
+ */
+function getTrashedClients(clients) {
+  return clients.filter((client) => client.deletedAt).sort((a, b) => b.deletedAt.localeCompare(a.deletedAt));
+}
+
+/**
+ * Create the undo / redo stack for this session
+ * Entries are { type: "add" | "edit" | "delete" | "restore", clientId, label, before, after };
+ * edits keep only the fields they changed, so undoing one never rolls back
+ * sessions or renewals logged since
+ * @param {number} [limit=UNDO_LIMIT] - Maximum number of undo entries kept
+ * @returns {Object} { record, takeUndo, takeRedo, peekUndo, peekRedo, forgetClient, clear }
+ */
+function createUndoStack(limit = UNDO_LIMIT) {
+  let undoEntries = [];
+  let redoEntries = [];
+
+  return {
+    // A new change clears the redo side
+    record(entry) {
+      undoEntries.push(entry);
+      if (undoEntries.length > limit) undoEntries.shift();
+      redoEntries = [];
+    },
+    takeUndo() {
+      const entry = undoEntries.pop() || null;
+      if (entry) redoEntries.push(entry);
+      return entry;
+    },
+    takeRedo() {
+      const entry = redoEntries.pop() || null;
+      if (entry) undoEntries.push(entry);
+      return entry;
+    },
+    peekUndo() {
+      return undoEntries[undoEntries.length - 1] || null;
+    },
+    peekRedo() {
+      return redoEntries[redoEntries.length - 1] || null;
+    },
+    // Purged clients cannot be brought back, so drop their entries
+    forgetClient(clientId) {
+      undoEntries = undoEntries.filter((entry) => entry.clientId !== clientId);
+      redoEntries = redoEntries.filter((entry) => entry.clientId !== clientId);
+    },
+    // Another account signed in: their undo history starts empty
+    clear() {
+      undoEntries = [];
+      redoEntries = [];
+    },
+  };
+}
+
+/**
+ * The fields that undoing or redoing one entry sets on its client
+ * @param {Object} entry - Undo stack entry
+ * @param {string} direction - "undo" or "redo"
+ * @returns {Object} field → value, for the client store's update()
+ */
+function getUndoFields(entry, direction) {
+  if (entry.type === "edit") return direction === "undo" ? entry.before : entry.after;
+
+  // Undoing an add or restore trashes the client; undoing a delete restores it
+  const trashed = (entry.type === "delete") === (direction === "redo");
+  return { deletedAt: trashed ? new Date().toISOString() : null };
+}
+
+/**
+ * Show what Undo / Redo would do on their buttons
+ * @param {Object} undoStack - Result of createUndoStack()
+ */
+function updateUndoButtons(undoStack) {
+  [
+    ["undoBtn", undoStack.peekUndo(), "Undo"],
+    ["redoBtn", undoStack.peekRedo(), "Redo"],
+  ].forEach(([id, entry, verb]) => {
+    const button = document.getElementById(id);
+    if (!button) return;
+    button.disabled = !entry;
+    button.title = entry ? `${verb}: ${entry.label}` : `Nothing to ${verb.toLowerCase()}`;
+  });
+}
+
+/**
+ * Render the Trash page table and the Trash count on the list page
+ * @param {Array} trashed - Result of getTrashedClients()
+ */
+function renderTrashTable(trashed) {
+  const body = document.getElementById("trashTableBody");
+  const countEl = document.getElementById("trashCount");
+  const emptyTrashBtn = document.getElementById("emptyTrashBtn");
+
+  if (countEl) countEl.textContent = trashed.length;
+  if (emptyTrashBtn) emptyTrashBtn.disabled = trashed.length === 0;
+  if (!body) return;
+  body.innerHTML = "";
+
+  if (trashed.length === 0) {
+    const row = document.createElement("tr");
+    const cell = document.createElement("td");
+    cell.colSpan = 4;
+    cell.className = "subtle";
+    cell.textContent = "The Trash is empty.";
+    row.appendChild(cell);
+    body.appendChild(row);
+    return;
+  }
+
+  trashed.forEach((client) => {
+    const row = document.createElement("tr");
+    [client.fullName, client.email, client.deletedAt.slice(0, 10)].forEach((value) => {
+      const cell = document.createElement("td");
+      cell.textContent = value || "–";
+      row.appendChild(cell);
+    });
+
+    const actions = document.createElement("td");
+    actions.className = "row-actions";
+    [
+      ["restore-btn", "Restore", "btn small"],
+      ["purge-btn", "Delete Forever", "btn small danger"],
+    ].forEach(([action, label, className]) => {
+      const button = document.createElement("button");
+      button.type = "button";
+      button.className = `${className} ${action}`;
+      button.dataset.id = client.id;
+      button.textContent = label;
+      button.setAttribute("aria-label", `${label} ${client.fullName}`);
+      actions.appendChild(button);
+    });
+    row.appendChild(actions);
+    body.appendChild(row);
+  });
+}
+
+// =========================
+// CHANGE LOG HELPERS
+// =========================
+// Every create, update, renewal, payment, booking, delete, restore and merge is written to the
+// change log (see appendChangeLog in storage.js) with the signed-in account's name.
+
+const CHANGE_FIELD_LABELS = {
+  fullName: "Name",
+  age: "Age",
+  gender: "Gender",
+  email: "Email",
+  phone: "Phone",
+  goal: "Fitness Goal",
+  startDate: "Start Date",
+  endDate: "End Date",
+  trainerId: "Trainer",
+  goalTarget: "Goal Target",
+};
+
+const CHANGE_ACTION_LABELS = {
+  create: "Created",
+  update: "Updated",
+  renew: "Renewed",
+  pay: "Payment recorded",
+  unpay: "Payment removed",
+  delete: "Moved to Trash",
+  restore: "Restored",
+  purge: "Deleted forever",
+  merge: "Merged",
+  book: "Session booked",
+  rebook: "Booking changed",
+  unbook: "Booking cancelled",
+};
+
+/**
+ * List the form fields that differ between two versions of a client
+ * @param {Object} before - Earlier values ({} for a new client)
+ * @param {Object} after - Later values
+ * @returns {Array} { field, oldValue, newValue } for each changed field
+ */
+function diffClientFields(before, after) {
+  const text = (value) => (value === null || value === undefined ? "" : String(value));
+  return EDITABLE_CLIENT_FIELDS.filter((field) => text(before[field]) !== text(after[field])).map((field) => ({
+    field,
+    oldValue: text(before[field]),
+    newValue: text(after[field]),
+  }));
+}
+
+/**
+ * Format a change log timestamp for display
+ * @param {string} isoTimestamp - ISO 8601 timestamp
+ * @returns {string} Local date and time, e.g. "2025-03-09 14:05"
+ */
+function formatChangeTime(isoTimestamp) {
+  const date = new Date(isoTimestamp);
+  const time = `${String(date.getHours()).padStart(2, "0")}:${String(date.getMinutes()).padStart(2, "0")}`;
+  return `${formatDateString(date)} ${time}`;
+}
+
+/**
+ * Describe one field change
+ * @param {Object} change - { field, oldValue, newValue }
+ * @returns {string} e.g. "End Date: 2025-01-01 → 2025-07-01"
+ */
+function describeFieldChange(change) {
+  const label = CHANGE_FIELD_LABELS[change.field] || change.field;
+  if (!change.oldValue) return `${label}: ${change.newValue}`;
+  return `${label}: ${change.oldValue} → ${change.newValue || "–"}`;
+}
+
+/**
+ * Build the list item for one change log entry
+ * @param {Object} entry - Change log entry
+ * @param {Object} [clientLink] - { href } to link the client name (activity log only)
+ * @returns {HTMLLIElement}
+ */
+function buildChangeItem(entry, clientLink) {
+  const item = document.createElement("li");
+
+  const heading = document.createElement("p");
+  heading.className = "change-heading";
+  const action = document.createElement("strong");
+  action.textContent = CHANGE_ACTION_LABELS[entry.action] || entry.action;
+  heading.appendChild(action);
+
+  if (clientLink !== undefined) {
+    heading.append(" ");
+    if (clientLink) {
+      const link = document.createElement("a");
+      link.href = clientLink.href;
+      link.textContent = entry.clientName;
+      heading.appendChild(link);
+    } else {
+      heading.append(entry.clientName);
+    }
+  }
+  if (entry.note) heading.append(` (${entry.note})`);
+
+  const meta = document.createElement("span");
+  meta.className = "subtle";
+  meta.textContent = ` · ${formatChangeTime(entry.timestamp)} · ${entry.user}`;
+  heading.appendChild(meta);
+  item.appendChild(heading);
+
+  if (entry.changes.length > 0) {
+    const list = document.createElement("ul");
+    entry.changes.forEach((change) => {
+      const line = document.createElement("li");
+      line.textContent = describeFieldChange(change);
+      list.appendChild(line);
+    });
+    item.appendChild(list);
+  }
+  return item;
+}
+
+/**
+ * Show a client's changes on the Client Details page
+ * @param {Array} entries - This client's change log entries, newest first
+ */
+function renderChangeTimeline(entries) {
+  const list = document.getElementById("changeTimeline");
+  const placeholder = document.getElementById("changePlaceholder");
+  if (!list) return;
+
+  list.innerHTML = "";
+  if (placeholder) placeholder.hidden = entries.length > 0;
+  entries.forEach((entry) => list.appendChild(buildChangeItem(entry)));
+}
+
+/**
+ * Show every change on the Activity page, newest first
+ * @param {Array} entries - Change log entries, newest first
+ * @param {Array} clients - All clients (names link to clients that still exist)
+ */
+function renderActivityLog(entries, clients) {
+  const list = document.getElementById("activityList");
+  const placeholder = document.getElementById("activityPlaceholder");
+  if (!list) return;
+
+  const activeIds = new Set(getActiveClients(clients).map((client) => client.id));
+  list.innerHTML = "";
+  if (placeholder) placeholder.hidden = entries.length > 0;
+  entries.forEach((entry) => {
+    const link = activeIds.has(entry.clientId) ? { href: clientHash(entry.clientId) } : null;
+    list.appendChild(buildChangeItem(entry, link));
+  });
+}
+
+// =========================
+// ROUTER HELPERS
+// =========================
+// Every page is reached through the URL hash:
+//   #home (dashboard), #new, #list?<filters>, #checkin, #calendar?<view>, #reminders, #trash,
+//   #activity, #settings, #accounts, #signin,
+//   #client/<id>, #client/<id>/edit, #client/<id>/invoice/<paymentId>,
+//   #merge/<keptId>/<mergedId>
+// Anything else (or an unknown client id) shows the not-found page; pages the
+// signed-in account may not use show it with a "no access" message
+
+// Pages only some roles may open (client edit pages are checked per client)
+const ROUTE_PERMISSIONS = {
+  new: "client:create",
+  checkin: "client:checkin",
+  reminders: "client:remind",
+  trash: "trash:manage",
+  settings: "settings:edit",
+  accounts: "accounts:manage",
+  merge: "clients:merge",
+};
+
+/**
+ * Work out which route a hash points to
+ * @param {string} hash - e.g. window.location.hash
+ * @returns {Object} { name, clientId, otherId, paymentId, section } — name is "home", "new", "list",
+ *   "checkin", "reminders", "trash", "activity", "calendar", "settings", "accounts", "signin",
+ *   "client", "client-edit", "invoice", "merge" or "not-found"; clientId is set for client,
+ *   invoice and merge routes, otherId only for merge (the client merged into clientId),
+ *   paymentId only for invoices, section only for client pages opened at a card ("plan")
+ */
+function parseRoute(hash) {
+  const [path] = hash.replace(/^#/, "").split("?");
+
+  if (path === "" || path === "home") return { name: "home", clientId: null };
+  if (path === "new") return { name: "new", clientId: null };
+  if (path === "list") return { name: "list", clientId: null };
+  if (path === "checkin") return { name: "checkin", clientId: null };
+  if (path === "reminders") return { name: "reminders", clientId: null };
+  if (path === "trash") return { name: "trash", clientId: null };
+  if (path === "activity") return { name: "activity", clientId: null };
+  if (path === "calendar") return { name: "calendar", clientId: null };
+  if (path === "settings") return { name: "settings", clientId: null };
+  if (path === "accounts") return { name: "accounts", clientId: null };
+  if (path === "signin") return { name: "signin", clientId: null };
+
+  const match = path.match(/^client\/(\d+)(\/edit|\/plan)?$/);
+  if (match) {
+    if (match[2] === "/edit") return { name: "client-edit", clientId: Number(match[1]) };
+    return { name: "client", clientId: Number(match[1]), section: match[2] ? "plan" : null };
+  }
+
+  const invoiceMatch = path.match(/^client\/(\d+)\/invoice\/(\d+)$/);
+  if (invoiceMatch) {
+    return { name: "invoice", clientId: Number(invoiceMatch[1]), paymentId: Number(invoiceMatch[2]) };
+  }
+
+  const mergeMatch = path.match(/^merge\/(\d+)\/(\d+)$/);
+  if (mergeMatch) {
+    return { name: "merge", clientId: Number(mergeMatch[1]), otherId: Number(mergeMatch[2]) };
+  }
+
+  return { name: "not-found", clientId: null };
+}
+
+/**
+ * Hash of a client's details page
+ * @param {number} id - Client id
+ * @returns {string} e.g. "#client/1718000000000"
+ */
+function clientHash(id) {
+  return `#client/${id}`;
+}
+
+/**
+ * Hash of a client's edit form
+ * @param {number} id - Client id
+ * @returns {string} e.g. "#client/1718000000000/edit"
+ */
+function clientEditHash(id) {
+  return `${clientHash(id)}/edit`;
+}
+
+/**
+ * Hash of the invoice for one payment
+ * @param {number} clientId - Client id
+ * @param {number} paymentId - Payment id
+ * @returns {string} e.g. "#client/1718000000000/invoice/1718000009000"
+ */
+function invoiceHash(clientId, paymentId) {
+  return `${clientHash(clientId)}/invoice/${paymentId}`;
+}
+
+/**
+ * Hash of the merge page
+ * @param {number} keptId - Client that is kept
+ * @param {number} mergedId - Client merged into it
+ * @returns {string} e.g. "#merge/1718000000000/1718000005000"
+ */
+function mergeHash(keptId, mergedId) {
+  return `#merge/${keptId}/${mergedId}`;
+}
+
+/**
+ * Show one page and hide the others; mark the matching nav link as current
+ * @param {string} pageId - id of a .page section
+ */
+function showPage(pageId) {
+  document.querySelectorAll(".page").forEach((page) => {
+    page.classList.toggle("is-active", page.id === pageId);
+  });
+
+  document.querySelectorAll(".top-nav .nav-link").forEach((link) => {
+    if (link.getAttribute("href") === `#${pageId}`) {
+      link.setAttribute("aria-current", "page");
+    } else {
+      link.removeAttribute("aria-current");
+    }
+  });
+}
+
+/**
+ * Fill in the not-found page
+ * @param {string} hash - The hash that could not be resolved
+ * @param {boolean} isClient - true when it was a client link with an unknown id
+ */
+function showNotFound(hash, isClient) {
+  const titleEl = document.getElementById("notFoundTitle");
+  const messageEl = document.getElementById("notFoundMessage");
+
+  if (titleEl) titleEl.textContent = isClient ? "Client not found" : "Page not found";
+  if (messageEl) {
+    messageEl.textContent = isClient
+      ? "This client does not exist or has been deleted."
+      : `There is no page at "${hash}".`;
+  }
+  showPage("not-found");
+}
+
+/**
+ * Fill in the not-found page for a page the signed-in account may not use
+ * @param {string} action - Permission that is missing (see ROLE_PERMISSIONS)
+ */
+function showNoAccess(action) {
+  const titleEl = document.getElementById("notFoundTitle");
+  const messageEl = document.getElementById("notFoundMessage");
+
+  if (titleEl) titleEl.textContent = "No access";
+  if (messageEl) messageEl.textContent = describeMissingPermission(action);
+  showPage("not-found");
+}
+
+// =========================
+// SORTING & PAGINATION HELPERS
+// =========================
+// Sort column, direction, page and page size are kept in the list page URL
+// next to the filters (e.g. "#list?status=active&sort=endDate&dir=desc&page=2")
+
+// Columns that can be sorted (client field → header label)
+const SORTABLE_COLUMNS = {
+  fullName: "Name",
+  email: "Email",
+  goal: "Fitness Goal",
+  startDate: "Start Date",
+  endDate: "End Date",
+};
+
+const PAGE_SIZE_OPTIONS = [10, 25, 50, 100];
+
+// Defaults are left out of the URL
+const DEFAULT_LIST_VIEW = { sort: "", dir: "asc", page: 1, size: 25 };
+
+/**
+ * Read sort / paging settings from a list page hash
+ * Invalid values fall back to DEFAULT_LIST_VIEW
+ * @param {string} hash - e.g. window.location.hash
+ * @returns {Object} { sort, dir, page, size }
+ */
+function listViewFromHash(hash) {
+  const queryStart = hash.indexOf("?");
+  const params = new URLSearchParams(queryStart === -1 ? "" : hash.slice(queryStart + 1));
+
+  const sort = params.get("sort");
+  const page = parseInt(params.get("page"), 10);
+  const size = parseInt(params.get("size"), 10);
+
+  return {
+    sort: SORTABLE_COLUMNS[sort] ? sort : DEFAULT_LIST_VIEW.sort,
+    dir: params.get("dir") === "desc" ? "desc" : "asc",
+    page: page > 0 ? page : DEFAULT_LIST_VIEW.page,
+    size: PAGE_SIZE_OPTIONS.includes(size) ? size : DEFAULT_LIST_VIEW.size,
+  };
+}
+
+/**
+ * Sort clients by a column
+ * Text is compared case-insensitively with numbers in natural order;
+ * clients with an empty value always go last
+ * @param {Array} clients - Client objects
+ * @param {string} key - Client field (one of SORTABLE_COLUMNS), "" keeps the order
+ * @param {string} dir - "asc" or "desc"
+ * @returns {Array} New sorted array
+ */
+function sortClients(clients, key, dir) {
+  if (!key) return [...clients];
+
+  const factor = dir === "desc" ? -1 : 1;
+  return [...clients].sort((a, b) => {
+    const valueA = a[key] ? String(a[key]) : "";
+    const valueB = b[key] ? String(b[key]) : "";
+    if (!valueA || !valueB) return valueA ? -1 : valueB ? 1 : 0;
+    return factor * valueA.localeCompare(valueB, undefined, { numeric: true, sensitivity: "base" });
+  });
+}
+
+/**
+ * Cut one page out of a list
+ * @param {Array} items - Full (sorted) list
+ * @param {number} page - Requested page (1-based, clamped to the available pages)
+ * @param {number} size - Rows per page
+ * @returns {Object} { rows, page, pageCount, total, start, end }
+ */
+function paginate(items, page, size) {
+  const total = items.length;
+  const pageCount = Math.max(1, Math.ceil(total / size));
+  const current = Math.min(Math.max(1, page), pageCount);
+  const startIndex = (current - 1) * size;
+  const rows = items.slice(startIndex, startIndex + size);
+
+  return {
+    rows,
+    page: current,
+    pageCount,
+    total,
+    start: total === 0 ? 0 : startIndex + 1,
+    end: startIndex + rows.length,
+  };
+}
+
+/**
+ * Show the sort direction on the column headers (arrow + aria-sort)
+ * @param {Object} view - { sort, dir }
+ */
+function updateSortIndicators(view) {
+  document.querySelectorAll("#clientTable .sort-btn").forEach((button) => {
+    const th = button.closest("th");
+    const active = button.dataset.sort === view.sort;
+    const indicator = button.querySelector(".sort-indicator");
+
+    th.setAttribute("aria-sort", active ? (view.dir === "asc" ? "ascending" : "descending") : "none");
+    if (indicator) {
+      indicator.textContent = active ? (view.dir === "asc" ? "▲" : "▼") : "";
+    }
+  });
+}
+
+/**
+ * Update the pager under the client table
+ * @param {Object} pageInfo - Result of paginate()
+ * @param {number} size - Rows per page
+ */
+function renderPager(pageInfo, size) {
+  const pageStatus = document.getElementById("pageStatus");
+  const prevBtn = document.getElementById("prevPageBtn");
+  const nextBtn = document.getElementById("nextPageBtn");
+  const sizeSelect = document.getElementById("pageSize");
+
+  if (pageStatus) pageStatus.textContent = `Page ${pageInfo.page} of ${pageInfo.pageCount}`;
+  if (prevBtn) prevBtn.disabled = pageInfo.page <= 1;
+  if (nextBtn) nextBtn.disabled = pageInfo.page >= pageInfo.pageCount;
+  if (sizeSelect) sizeSelect.value = String(size);
+}
+
+// =========================
+// MEMBERSHIP STATUS HELPERS
+// =========================
+// Membership status is computed from startDate / endDate, never stored
+
+// A membership ending within this many days counts as "expiring soon"
+const EXPIRING_SOON_DAYS = 14;
+
+// Plan lengths offered by the "Renew" action, in months
+const RENEWAL_PLAN_MONTHS = [1, 3, 6, 12];
+
+const MEMBERSHIP_STATUS_LABELS = {
+  upcoming: "Upcoming",
+  active: "Active",
+  expiring: "Expiring soon",
+  expired: "Expired",
+};
+
+/**
+ * Count whole days from one date to another
+ * @param {string} fromDate - Date string in YYYY-MM-DD format
+ * @param {string} toDate - Date string in YYYY-MM-DD format
+ * @returns {number} Days (negative if toDate is before fromDate)
+ */
+function daysBetween(fromDate, toDate) {
+  const toUtc = (dateString) => {
+    const [year, month, day] = dateString.split("-").map(Number);
+    return Date.UTC(year, month - 1, day);
+  };
+  return Math.round((toUtc(toDate) - toUtc(fromDate)) / 86400000);
+}
+
+/**
+ * Add months to a date, clamping to the end of shorter months (Jan 31 + 1 month = Feb 28)
+ * @param {string} dateString - Date string in YYYY-MM-DD format
+ * @param {number} months - Months to add
+ * @returns {string} New date in YYYY-MM-DD format
+ */
+function addMonths(dateString, months) {
+  const [year, month, day] = dateString.split("-").map(Number);
+  const target = new Date(Date.UTC(year, month - 1 + months, 1));
+  const lastDay = new Date(Date.UTC(target.getUTCFullYear(), target.getUTCMonth() + 1, 0)).getUTCDate();
+  target.setUTCDate(Math.min(day, lastDay));
+  return target.toISOString().slice(0, 10);
+}
+
+/**
+ * Work out where a client's membership stands
+ * The end date is the last day of the membership (still active on that day)
+ * @param {Object} client - Client with startDate / endDate
+ * @param {string} [today] - Date string in YYYY-MM-DD format (defaults to today)
+ * @param {number} [expiringDays] - Window for "expiring soon"
+ * @returns {string} "upcoming" | "active" | "expiring" | "expired"
+ */
+function getMembershipStatus(client, today = getTodayDate(), expiringDays = EXPIRING_SOON_DAYS) {
+  if (client.startDate && today < client.startDate) return "upcoming";
+  if (!client.endDate) return "active";
+  if (client.endDate < today) return "expired";
+  if (daysBetween(today, client.endDate) <= expiringDays) return "expiring";
+  return "active";
+}
+
+/**
+ * Build a membership status badge
+ * @param {string} status - Result of getMembershipStatus()
+ * @returns {HTMLSpanElement} Badge element
+ */
+function buildStatusBadge(status) {
+  return buildElement("span", { className: `status-badge status-${status}`, text: MEMBERSHIP_STATUS_LABELS[status] });
+}
+
+/**
+ * Work out the new end date for a renewal
+ * Active memberships are extended from their current end date;
+ * expired ones restart from today so no paid time is lost
+ * @param {Object} client - Client being renewed
+ * @param {number} months - Plan length in months
+ * @param {string} [today] - Date string in YYYY-MM-DD format (defaults to today)
+ * @returns {string} New end date in YYYY-MM-DD format
+ */
+function getRenewedEndDate(client, months, today = getTodayDate()) {
+  const base = client.endDate && client.endDate >= today ? client.endDate : today;
+  return addMonths(base, months);
+}
+
+/**
+ * Display the renewal log for a client, newest first
+ * @param {Object} client - Client object
+ */
+function displayRenewals(client) {
+  const listEl = document.getElementById("renewalList");
+  const placeholderEl = document.getElementById("renewalPlaceholder");
+  if (!listEl) return;
+
+  listEl.innerHTML = "";
+  const renewals = [...(client.renewals || [])].sort((a, b) => b.id - a.id);
+
+  if (placeholderEl) {
+    placeholderEl.textContent = renewals.length === 0 ? "No renewals yet." : "";
+  }
+
+  renewals.forEach((renewal) => {
+    const li = document.createElement("li");
+    const plan = renewal.months === 1 ? "1 month" : `${renewal.months} months`;
+    li.textContent =
+      `${renewal.date}: renewed for ${plan} – end date ${renewal.previousEndDate || "–"} → ${renewal.newEndDate}`;
+    listEl.appendChild(li);
+  });
+}
+
+// =========================
+// PAYMENT & INVOICE HELPERS
+// =========================
+// Plans, balances and payment checks live in js/payments.js; these helpers
+// work out the membership a payment buys and draw the payment list, the
+// payment form and the invoice page.
+
+/**
+ * Membership dates after paying for a plan
+ * A running membership (or one that has not started yet) is extended from its
+ * end date; an expired one restarts on the payment date. Memberships without
+ * an end date are covered from the payment date (or their later start date)
+ * @param {Object} client - Client paying
+ * @param {number} months - Plan length in months
+ * @param {string} date - Payment date (YYYY-MM-DD)
+ * @returns {Object} { startDate, endDate, periodStart } — the client's new dates and the first day paid for
+ */
+function getPaidMembershipDates(client, months, date) {
+  const status = getMembershipStatus(client, date);
+  if (client.endDate && status !== "expired") {
+    return {
+      startDate: client.startDate || date,
+      endDate: addMonths(client.endDate, months),
+      periodStart: addDays(client.endDate, 1),
+    };
+  }
+
+  const periodStart = status === "upcoming" ? client.startDate : date;
+  return {
+    startDate: status === "expired" || !client.startDate ? date : client.startDate,
+    endDate: addMonths(periodStart, months),
+    periodStart,
+  };
+}
+
+/**
+ * Fill the plan and method lists of the payment form
+ * @param {Array} plans - Result of resolveMembershipPlans()
+ * @param {string} currency - ISO 4217 code
+ */
+function renderPaymentFormOptions(plans, currency) {
+  const planSelect = document.getElementById("paymentPlan");
+  const methodSelect = document.getElementById("paymentMethod");
+  if (!planSelect || !methodSelect) return;
+
+  planSelect.replaceChildren(
+    ...plans.map((plan) => {
+      const length = plan.months === 1 ? "1 month" : `${plan.months} months`;
+      return buildElement("option", { value: String(plan.id), text: `${plan.name} – ${length}, ${formatMoney(plan.price, currency)}` });
+    }),
+    buildElement("option", { value: "", text: "No plan (pay toward the balance)" })
+  );
+  methodSelect.replaceChildren(
+    ...Object.entries(PAYMENT_METHODS).map(([value, label]) => buildElement("option", { value, text: label }))
+  );
+}
+
+/**
+ * Read the payment form
+ * @returns {Object} { date, planId, amount, method, note } as entered (an empty amount is NaN)
+ */
+function readPaymentForm() {
+  const amount = document.getElementById("paymentAmount").value.trim();
+  return {
+    date: document.getElementById("paymentDate").value,
+    planId: Number(document.getElementById("paymentPlan").value) || null,
+    amount: amount === "" ? NaN : Number(amount),
+    method: document.getElementById("paymentMethod").value,
+    note: document.getElementById("paymentNote").value.trim(),
+  };
+}
+
+/**
+ * Fill the payment list and balance on the Membership card, newest first
+ * @param {Object} client - Client object
+ * @param {string} currency - ISO 4217 code
+ * @param {boolean} [canEdit] - Whether payments may be deleted
+ */
+function displayPayments(client, currency, canEdit = true) {
+  const balanceEl = document.getElementById("viewBalance");
+  const listEl = document.getElementById("paymentList");
+  const placeholderEl = document.getElementById("paymentPlaceholder");
+  if (!listEl) return;
+
+  const balance = getClientBalance(client);
+  balanceEl.replaceChildren(
+    balance > 0
+      ? buildElement("span", { className: "status-badge status-balance-due", text: describeBalance(balance, currency) })
+      : describeBalance(balance, currency)
+  );
+
+  const payments = sortPaymentsNewestFirst(client.payments);
+  if (placeholderEl) placeholderEl.textContent = payments.length === 0 ? "No payments yet." : "";
+
+  listEl.replaceChildren(
+    ...payments.map((payment) => {
+      const header = buildElement("div", { className: "history-item-header" }, [
+        buildElement("strong", { text: `${payment.date}: ${formatMoney(payment.amount, currency)}` }),
+        buildElement("span", { className: "payment-actions" }, [
+          buildElement("a", { className: "btn small ghost", href: invoiceHash(client.id, payment.id), text: "Invoice" }),
+          canEdit &&
+            buildElement(
+              "button",
+              {
+                className: "icon-btn danger delete-payment-btn",
+                type: "button",
+                attrs: { "aria-label": `Delete payment on ${payment.date}` },
+                dataset: { paymentId: payment.id },
+              },
+              [buildElement("img", { src: "assets/icons/delete.svg", alt: "Delete" })]
+            ),
+        ]),
+      ]);
+      return buildElement("li", { className: "history-item" }, [
+        header,
+        buildElement("p", { className: "measurement-values", text: describePayment(payment, currency) }),
+        payment.note && buildElement("p", { className: "subtle", text: payment.note }),
+      ]);
+    })
+  );
+}
+
+/**
+ * Fill the invoice page for one payment
+ * Payments that leave nothing to pay are shown as a receipt
+ * @param {Object} client - Client who paid
+ * @param {Object} payment - The payment
+ * @param {string} currency - ISO 4217 code
+ */
+function renderInvoice(client, payment, currency) {
+  const due = (toCents(payment.price) - toCents(payment.amount)) / 100;
+  const title = due > 0 ? "Invoice" : "Receipt";
+  const money = (amount) => formatMoney(amount, currency);
+
+  document.getElementById("invoiceTitle").textContent = title;
+  document.getElementById("invoiceNumber").textContent = `No. ${getInvoiceNumber(payment)}`;
+  document.getElementById("invoiceBackLink").href = clientHash(client.id);
+
+  const details = [
+    ["Billed to", client.fullName],
+    ["Email", client.email],
+    ["Phone", client.phone],
+    ["Date", payment.date],
+    ["Paid by", PAYMENT_METHODS[payment.method]],
+    ["Recorded by", payment.recordedBy],
+  ].filter(([, value]) => value);
+  document.getElementById("invoiceDetails").replaceChildren(
+    ...details.flatMap(([label, value]) => [buildElement("dt", { text: label }), buildElement("dd", { text: value })])
+  );
+
+  const line = payment.planId
+    ? [`${payment.planName} membership`, `${payment.periodStart} – ${payment.periodEnd}`, money(payment.price)]
+    : ["Payment toward the outstanding balance", "–", money(payment.amount)];
+  document.getElementById("invoiceLines").replaceChildren(
+    buildElement("tr", {}, line.map((text) => buildElement("td", { text })))
+  );
+
+  const totals = payment.planId
+    ? [
+        ["Total", money(payment.price)],
+        ["Paid", money(payment.amount)],
+        [due >= 0 ? "Amount due" : "Credit", money(Math.abs(due))],
+      ]
+    : [["Paid", money(payment.amount)]];
+  document.getElementById("invoiceTotals").replaceChildren(
+    ...totals.map(([label, value]) =>
+      buildElement("tr", {}, [
+        buildElement("th", { scope: "row", colSpan: 2, text: label }),
+        buildElement("td", { text: value }),
+      ])
+    )
+  );
+
+  const notes = [payment.note, `Account balance today: ${describeBalance(getClientBalance(client), currency)}.`];
+  document.getElementById("invoiceNote").textContent = notes.filter(Boolean).join(" · ");
+}
+
+// =========================
+// ATTENDANCE HELPERS
+// =========================
+// Check-ins are kept on the client:
+//   visits: [{ id, timestamp, checkedInBy }]  (timestamp is ISO 8601)
+// Only clients whose membership is running (active or expiring soon) can be
+// checked in. Streaks count weeks in a row (Monday to Sunday) with a visit.
+
+// Clients with no visit for this many days are flagged on the list (Settings can change it)
+const DEFAULT_NO_VISIT_DAYS = 14;
+// Visit frequency is averaged over this many recent weeks
+const VISIT_RATE_WEEKS = 4;
+// Results shown on the Check-In page
+const CHECK_IN_RESULT_LIMIT = 10;
+
+/**
+ * Days without a visit before a client is flagged
+ * @param {Object} settings - App settings
+ * @returns {number} Whole days (at least 1)
+ */
+function resolveNoVisitDays(settings) {
+  const days = parseInt(settings.noVisitDays, 10);
+  return days > 0 ? days : DEFAULT_NO_VISIT_DAYS;
+}
+
+/**
+ * Local date a visit happened on
+ * @param {Object} visit - Visit with an ISO timestamp
+ * @returns {string} Date string in YYYY-MM-DD format
+ */
+function getVisitDate(visit) {
+  return formatDateString(new Date(visit.timestamp));
+}
+
+/**
+ * Why a client cannot be checked in
+ * @param {Object} client - Client object
+ * @param {string} [today] - Date string in YYYY-MM-DD format (defaults to today)
+ * @returns {string} A message for the user, or "" when check-in is allowed
+ */
+function getCheckInProblem(client, today = getTodayDate()) {
+  const status = getMembershipStatus(client, today);
+  if (status === "upcoming") return `${client.fullName}'s membership only starts on ${client.startDate}.`;
+  if (status === "expired") return `${client.fullName}'s membership ended on ${client.endDate}. Renew it first.`;
+  return "";
+}
+
+/**
+ * Most recent visit
+ * @param {Object} client - Client object
+ * @returns {Object|null} Visit, or null if they have never checked in
+ */
+function getLastVisit(client) {
+  const visits = client.visits || [];
+  return visits.reduce((latest, visit) => (!latest || visit.timestamp > latest.timestamp ? visit : latest), null);
+}
+
+/**
+ * Attendance figures for Client Details
+ * @param {Object} client - Client object
+ * @param {string} [today] - Date string in YYYY-MM-DD format (defaults to today)
+ * @returns {Object} { total, lastVisit, visitsPerWeek, currentStreak, longestStreak } — streaks in weeks
+ */
+function getVisitStats(client, today = getTodayDate()) {
+  const visitDates = (client.visits || []).map(getVisitDate);
+  const rateFrom = addDays(today, -7 * VISIT_RATE_WEEKS + 1);
+  const recent = visitDates.filter((date) => date >= rateFrom && date <= today).length;
+
+  // Weeks with a visit, as Monday dates, oldest first
+  const weeks = [...new Set(visitDates.map(getWeekStart))].sort();
+  let longestStreak = 0;
+  let run = 0;
+  weeks.forEach((week, index) => {
+    run = index > 0 && addDays(weeks[index - 1], 7) === week ? run + 1 : 1;
+    longestStreak = Math.max(longestStreak, run);
+  });
+
+  // The current streak may end last week: this week is not over yet
+  const thisWeek = getWeekStart(today);
+  const lastWeek = weeks[weeks.length - 1];
+  const currentStreak = lastWeek === thisWeek || lastWeek === addDays(thisWeek, -7) ? run : 0;
+
+  return {
+    total: visitDates.length,
+    lastVisit: getLastVisit(client),
+    visitsPerWeek: Math.round((recent / VISIT_RATE_WEEKS) * 10) / 10,
+    currentStreak,
+    longestStreak,
+  };
+}
+
+/**
+ * Whether a client with a running membership has stayed away too long
+ * Counts from their last visit, or from their start date if they never came
+ * @param {Object} client - Client object
+ * @param {number} days - Days without a visit that count as too long
+ * @param {string} [today] - Date string in YYYY-MM-DD format (defaults to today)
+ * @returns {boolean}
+ */
+function hasNoRecentVisit(client, days, today = getTodayDate()) {
+  if (getCheckInProblem(client, today)) return false;
+  const lastVisit = getLastVisit(client);
+  const since = lastVisit ? getVisitDate(lastVisit) : client.startDate;
+  return Boolean(since) && daysBetween(since, today) >= days;
+}
+
+/**
+ * Format a visit time for display
+ * @param {Object} visit - Visit
+ * @returns {string} e.g. "2026-10-19 07:45"
+ */
+function formatVisitTime(visit) {
+  return formatChangeTime(visit.timestamp);
+}
+
+/**
+ * Fill the attendance card on Client Details
+ * @param {Object} client - Client object
+ * @param {number} noVisitDays - Days without a visit that get a client flagged
+ */
+function displayAttendance(client, noVisitDays) {
+  const statsEl = document.getElementById("attendanceStats");
+  const listEl = document.getElementById("visitList");
+  if (!statsEl || !listEl) return;
+
+  const stats = getVisitStats(client);
+  const weeks = (count) => (count === 1 ? "1 week" : `${count} weeks`);
+  const rows = [
+    ["Visits", String(stats.total)],
+    ["Last visit", stats.lastVisit ? formatVisitTime(stats.lastVisit) : "Never"],
+    [`Per week (last ${VISIT_RATE_WEEKS} weeks)`, String(stats.visitsPerWeek)],
+    ["Current streak", weeks(stats.currentStreak)],
+    ["Longest streak", weeks(stats.longestStreak)],
+  ];
+
+  statsEl.innerHTML = "";
+  rows.forEach(([label, value]) => {
+    const term = document.createElement("dt");
+    term.textContent = label;
+    const detail = document.createElement("dd");
+    detail.textContent = value;
+    statsEl.append(term, detail);
+  });
+
+  const flag = document.getElementById("noVisitWarning");
+  if (flag) {
+    flag.hidden = !hasNoRecentVisit(client, noVisitDays);
+    flag.textContent = `No visit in ${noVisitDays}+ days.`;
+  }
+
+  listEl.innerHTML = "";
+  [...(client.visits || [])]
+    .sort((a, b) => b.timestamp.localeCompare(a.timestamp))
+    .slice(0, 5)
+    .forEach((visit) => {
+      const li = document.createElement("li");
+      li.textContent = visit.checkedInBy
+        ? `${formatVisitTime(visit)} · checked in by ${visit.checkedInBy}`
+        : formatVisitTime(visit);
+      listEl.appendChild(li);
+    });
+}
+
+/**
+ * Show the Check-In page's search results
+ * @param {Array} clients - Matching clients
+ * @param {string} query - Search text ("" shows the hint instead)
+ * @param {Object|null} account - Signed-in account
+ */
+function renderCheckInResults(clients, query, account) {
+  const listEl = document.getElementById("checkInResults");
+  const placeholderEl = document.getElementById("checkInPlaceholder");
+  if (!listEl) return;
+
+  listEl.innerHTML = "";
+  if (placeholderEl) {
+    if (!query.trim()) {
+      placeholderEl.textContent = "Type a name, email or phone number.";
+    } else if (clients.length === 0) {
+      placeholderEl.textContent = `No clients match "${query.trim()}".`;
+    } else {
+      placeholderEl.textContent = clients.length > CHECK_IN_RESULT_LIMIT
+        ? `Showing the first ${CHECK_IN_RESULT_LIMIT} of ${clients.length} matches.`
+        : "";
+    }
+  }
+  if (!query.trim()) return;
+
+  clients.slice(0, CHECK_IN_RESULT_LIMIT).forEach((client) => {
+    const li = document.createElement("li");
+    li.className = "checkin-result";
+
+    const info = document.createElement("div");
+    const name = document.createElement("a");
+    name.href = clientHash(client.id);
+    name.textContent = client.fullName;
+    const lastVisit = getLastVisit(client);
+    const details = document.createElement("p");
+    details.className = "subtle";
+    details.textContent = `${client.phone || client.email} · last visit: ${lastVisit ? formatVisitTime(lastVisit) : "never"}`;
+    info.append(name, " ", buildStatusBadge(getMembershipStatus(client)), details);
+
+    const problem = getCheckInProblem(client);
+    if (problem) {
+      const warning = document.createElement("p");
+      warning.className = "field-error";
+      warning.textContent = problem;
+      info.appendChild(warning);
+    }
+
+    li.appendChild(info);
+    if (can(account, "client:checkin", client)) {
+      const button = document.createElement("button");
+      button.type = "button";
+      button.className = "btn primary check-in-btn";
+      button.dataset.id = client.id;
+      button.textContent = "Check In";
+      li.appendChild(button);
+    }
+    listEl.appendChild(li);
+  });
+}
+
+/**
+ * List today's check-ins, newest first
+ * @param {Array} clients - Active clients
+ */
+function renderTodayCheckIns(clients) {
+  const listEl = document.getElementById("todayCheckIns");
+  const placeholderEl = document.getElementById("todayCheckInsPlaceholder");
+  if (!listEl) return;
+
+  const today = getTodayDate();
+  const visits = [];
+  clients.forEach((client) => {
+    (client.visits || []).forEach((visit) => {
+      if (getVisitDate(visit) === today) visits.push({ client, visit });
+    });
+  });
+  visits.sort((a, b) => b.visit.timestamp.localeCompare(a.visit.timestamp));
+
+  listEl.innerHTML = "";
+  if (placeholderEl) placeholderEl.textContent = visits.length === 0 ? "No check-ins yet today." : "";
+  visits.forEach(({ client, visit }) => {
+    const li = document.createElement("li");
+    li.textContent = `${formatVisitTime(visit).slice(11)} ${client.fullName}`;
+    listEl.appendChild(li);
+  });
+}
+
+// =========================
+// MEASUREMENTS & PROGRESS (Page 3)
+// =========================
+// Metrics, targets and progress maths live in js/measurements.js; these
+// helpers draw the Progress card: goal progress, one line chart per metric
+// and the measurement log.
+
+const SVG_NS = "http://www.w3.org/2000/svg";
+const CHART_WIDTH = 320;
+const CHART_HEIGHT = 160;
+const CHART_PADDING = { top: 14, right: 12, bottom: 24, left: 44 };
+
+/**
+ * Create an SVG element with attributes
+ * @param {string} tag - SVG tag name
+ * @param {Object} attributes - Attribute name → value
+ * @returns {SVGElement}
+ */
+function createSvgElement(tag, attributes = {}) {
+  const element = document.createElementNS(SVG_NS, tag);
+  Object.entries(attributes).forEach(([name, value]) => element.setAttribute(name, value));
+  return element;
+}
+
+/**
+ * Draw a line chart of one metric over time
+ * @param {string} metric - Metric key
+ * @param {Array} series - { date, value } oldest first (see getMetricSeries)
+ * @param {number|null} target - Goal target for this metric, drawn as a dashed line
+ * @returns {HTMLElement} A <figure> with the chart and its caption
+ */
+function renderMetricChart(metric, series, target) {
+  const figure = document.createElement("figure");
+  figure.className = "metric-chart";
+
+  const values = series.map((point) => point.value);
+  if (target !== null) values.push(target);
+  let min = Math.min(...values);
+  let max = Math.max(...values);
+  if (min === max) {
+    min -= 1;
+    max += 1;
+  }
+
+  const plotWidth = CHART_WIDTH - CHART_PADDING.left - CHART_PADDING.right;
+  const plotHeight = CHART_HEIGHT - CHART_PADDING.top - CHART_PADDING.bottom;
+  const totalDays = series.length > 1 ? daysBetween(series[0].date, series[series.length - 1].date) : 0;
+  const x = (date) =>
+    CHART_PADDING.left +
+    (totalDays === 0 ? plotWidth / 2 : (daysBetween(series[0].date, date) / totalDays) * plotWidth);
+  const y = (value) => CHART_PADDING.top + ((max - value) / (max - min)) * plotHeight;
+
+  const latest = series[series.length - 1];
+  const svg = createSvgElement("svg", {
+    viewBox: `0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`,
+    role: "img",
+    "aria-label":
+      `${getMetricLabel(metric)}: ${series.length} measurement${series.length === 1 ? "" : "s"}, ` +
+      `latest ${formatMetricValue(metric, latest.value)} on ${latest.date}`,
+  });
+
+  // Axes and labels (lowest / highest value, first / last date)
+  const bottom = CHART_HEIGHT - CHART_PADDING.bottom;
+  svg.appendChild(createSvgElement("line", {
+    class: "chart-axis", x1: CHART_PADDING.left, y1: bottom, x2: CHART_WIDTH - CHART_PADDING.right, y2: bottom,
+  }));
+  [
+    [max, CHART_PADDING.top + 4],
+    [min, bottom],
+  ].forEach(([value, labelY]) => {
+    const label = createSvgElement("text", { class: "chart-label", x: CHART_PADDING.left - 6, y: labelY, "text-anchor": "end" });
+    label.textContent = String(Math.round(value * 10) / 10);
+    svg.appendChild(label);
+  });
+  const firstDate = createSvgElement("text", { class: "chart-label", x: CHART_PADDING.left, y: CHART_HEIGHT - 6 });
+  firstDate.textContent = series[0].date;
+  svg.appendChild(firstDate);
+  if (series.length > 1) {
+    const lastDate = createSvgElement("text", {
+      class: "chart-label", x: CHART_WIDTH - CHART_PADDING.right, y: CHART_HEIGHT - 6, "text-anchor": "end",
+    });
+    lastDate.textContent = latest.date;
+    svg.appendChild(lastDate);
+  }
+
+  if (target !== null) {
+    svg.appendChild(createSvgElement("line", {
+      class: "chart-target", x1: CHART_PADDING.left, y1: y(target), x2: CHART_WIDTH - CHART_PADDING.right, y2: y(target),
+    }));
+  }
+
+  svg.appendChild(createSvgElement("polyline", {
+    class: "chart-line",
+    points: series.map((point) => `${x(point.date).toFixed(1)},${y(point.value).toFixed(1)}`).join(" "),
+  }));
+  series.forEach((point) => {
+    const dot = createSvgElement("circle", { class: "chart-point", cx: x(point.date), cy: y(point.value), r: 3.5 });
+    const title = createSvgElement("title");
+    title.textContent = `${point.date}: ${formatMetricValue(metric, point.value)}`;
+    dot.appendChild(title);
+    svg.appendChild(dot);
+  });
+
+  const caption = document.createElement("figcaption");
+  caption.textContent = target === null
+    ? getMetricLabel(metric)
+    : `${getMetricLabel(metric)} · target ${formatMetricValue(metric, target)}`;
+  figure.append(caption, svg);
+  return figure;
+}
+
+/**
+ * Describe progress toward a client's goal target
+ * @param {Object} client - Client with measurements / goalTarget
+ * @returns {string} e.g. "Weight Loss: 40% of the way from 90 kg to 80 kg (now 86 kg)"
+ */
+function describeGoalProgress(client) {
+  const goalTarget = client.goalTarget;
+  if (!goalTarget) return "No target set for this goal yet.";
+
+  const target = formatMetricValue(goalTarget.metric, goalTarget.value);
+  const progress = getGoalProgress(client);
+  if (!progress) return `Target: ${describeGoalTarget(goalTarget)}. Add a measurement to track progress.`;
+
+  const goal = client.goal ? `${client.goal}: ` : "";
+  if (progress.reached) {
+    return `${goal}target of ${target} reached (now ${formatMetricValue(progress.metric, progress.current)}).`;
+  }
+  return (
+    `${goal}${progress.percent}% of the way from ${formatMetricValue(progress.metric, progress.start)} ` +
+    `to ${target} (now ${formatMetricValue(progress.metric, progress.current)}).`
+  );
+}
+
+/**
+ * Add one number field per standard metric to the measurement form
+ */
+function renderMeasurementFields() {
+  const container = document.getElementById("measurementFields");
+  if (!container) return;
+
+  container.innerHTML = "";
+  Object.entries(MEASUREMENT_METRICS).forEach(([metric, { min, max }]) => {
+    const field = document.createElement("div");
+    field.className = "form-field";
+    const label = document.createElement("label");
+    label.htmlFor = `measure-${metric}`;
+    label.textContent = getMetricLabel(metric);
+    const input = document.createElement("input");
+    input.id = `measure-${metric}`;
+    input.type = "number";
+    input.step = "0.1";
+    input.min = min;
+    input.max = max;
+    input.dataset.metric = metric;
+    field.append(label, input);
+    container.appendChild(field);
+  });
+}
+
+/**
+ * Empty the measurement form (dated today)
+ * @param {Object} client - Client being measured (offers their custom metric names)
+ */
+function clearMeasurementForm(client) {
+  document.getElementById("measurementDate").value = getTodayDate();
+  document.querySelectorAll("#measurementFields input").forEach((input) => {
+    input.value = "";
+  });
+  document.getElementById("customMetricName").value = "";
+  document.getElementById("customMetricValue").value = "";
+
+  const names = document.getElementById("customMetricNames");
+  names.innerHTML = "";
+  listClientMetrics(client)
+    .filter((metric) => !MEASUREMENT_METRICS[metric])
+    .forEach((metric) => {
+      const option = document.createElement("option");
+      option.value = getMetricLabel(metric);
+      names.appendChild(option);
+    });
+}
+
+/**
+ * Read the measurement form; empty fields are left out
+ * @returns {Object} { date, values } (custom metric without a name → values[""])
+ */
+function readMeasurementForm() {
+  const values = {};
+  document.querySelectorAll("#measurementFields input").forEach((input) => {
+    if (input.value.trim() !== "") values[input.dataset.metric] = Number(input.value);
+  });
+
+  const customName = document.getElementById("customMetricName").value.trim();
+  const customValue = document.getElementById("customMetricValue").value.trim();
+  if (customName || customValue) {
+    values[customName ? customMetricKey(customName) : ""] = customValue === "" ? NaN : Number(customValue);
+  }
+
+  return { date: document.getElementById("measurementDate").value, values };
+}
+
+/**
+ * Fill the Progress card for a client
+ * @param {Object} client - Client object
+ * @param {boolean} [canEdit] - Whether measurements may be deleted
+ */
+function displayMeasurements(client, canEdit = true) {
+  const progressText = document.getElementById("goalProgressText");
+  const progressBar = document.getElementById("goalProgressBar");
+  const targetMetric = document.getElementById("goalTargetMetric");
+  const charts = document.getElementById("measurementCharts");
+  const listEl = document.getElementById("measurementList");
+  const placeholderEl = document.getElementById("measurementPlaceholder");
+  if (!listEl) return;
+
+  const progress = getGoalProgress(client);
+  progressText.textContent = describeGoalProgress(client);
+  progressBar.hidden = !progress;
+  progressBar.value = progress ? progress.percent : 0;
+
+  // Target metric: the current target, else the one that suits the goal
+  targetMetric.innerHTML = "";
+  const metrics = [...new Set([...Object.keys(MEASUREMENT_METRICS), ...listClientMetrics(client)])];
+  metrics.forEach((metric) => {
+    const option = document.createElement("option");
+    option.value = metric;
+    option.textContent = getMetricLabel(metric);
+    targetMetric.appendChild(option);
+  });
+  targetMetric.value = client.goalTarget ? client.goalTarget.metric : GOAL_DEFAULT_METRICS[client.goal] || "weight";
+  document.getElementById("goalTargetValue").value = client.goalTarget ? client.goalTarget.value : "";
+
+  charts.innerHTML = "";
+  listClientMetrics(client).forEach((metric) => {
+    const series = getMetricSeries(client, metric);
+    if (series.length === 0) return;
+    const target = client.goalTarget && client.goalTarget.metric === metric ? client.goalTarget.value : null;
+    charts.appendChild(renderMetricChart(metric, series, target));
+  });
+
+  listEl.innerHTML = "";
+  const measurements = sortMeasurementsOldestFirst(client.measurements).reverse();
+  if (placeholderEl) {
+    placeholderEl.textContent = measurements.length === 0 ? "No measurements yet." : "";
+  }
+
+  measurements.forEach((measurement) => {
+    const li = document.createElement("li");
+    li.className = "history-item";
+
+    const header = document.createElement("div");
+    header.className = "history-item-header";
+    const title = document.createElement("strong");
+    title.textContent = measurement.date;
+    header.appendChild(title);
+
+    if (canEdit) {
+      const deleteBtn = document.createElement("button");
+      deleteBtn.type = "button";
+      deleteBtn.className = "icon-btn danger delete-measurement-btn";
+      deleteBtn.dataset.measurementId = measurement.id;
+      deleteBtn.setAttribute("aria-label", `Delete measurement on ${measurement.date}`);
+      deleteBtn.innerHTML = '<img src="assets/icons/delete.svg" alt="Delete" />';
+      header.appendChild(deleteBtn);
+    }
+    li.appendChild(header);
+
+    const values = document.createElement("p");
+    values.className = "measurement-values";
+    values.textContent = Object.entries(measurement.values)
+      .map(([metric, value]) => `${getMetricName(metric)}: ${formatMetricValue(metric, value)}`)
+      .join(" · ");
+    li.appendChild(values);
+
+    listEl.appendChild(li);
+  });
+}
+
+// =========================
+// DASHBOARD HELPERS
+// =========================
+// The home page sums up the roster in tiles. Every figure is counted with the
+// same filters as the client list (see matchesFilters), so each one links to
+// the list showing exactly the clients it counts.
+
+// Months of new clients (by membership start date) shown on the dashboard
+const DASHBOARD_MONTHS = 6;
+
+// Age groups on the dashboard, as [ageMin, ageMax] filters ("" = open-ended)
+const DASHBOARD_AGE_GROUPS = [
+  ["", "24"],
+  ["25", "34"],
+  ["35", "44"],
+  ["45", "54"],
+  ["55", ""],
+];
+
+/**
+ * Count the clients matching some list filters
+ * @param {Array} clients - Clients not in the Trash
+ * @param {string} label - What is counted
+ * @param {Object} filters - Some of LIST_FILTER_KEYS
+ * @param {string} today - Date string in YYYY-MM-DD format
+ * @returns {Object} { label, count, href } — href opens the client list with those filters
+ */
+function countDashboardItem(clients, label, filters, today) {
+  const listFilters = { ...createEmptyFilters(), ...filters };
+  return {
+    label,
+    count: clients.filter((client) => matchesFilters(client, listFilters, today)).length,
+    href: filtersToHash(listFilters),
+  };
+}
+
+/**
+ * Whether a client has renewed at least once
+ * (a renewal on the Membership card, or a second payment for a plan)
+ * @param {Object} client - Client object
+ * @returns {boolean}
+ */
+function hasRenewedMembership(client) {
+  const planPayments = (client.payments || []).filter((payment) => payment.planId);
+  return (client.renewals || []).length > 0 || planPayments.length > 1;
+}
+
+/**
+ * Percentage for a rate tile
+ * @param {number} part - Clients counted
+ * @param {number} whole - Clients it is out of
+ * @returns {string} e.g. "75%" ("–" when there is no one to count)
+ */
+function formatRate(part, whole) {
+  return whole === 0 ? "–" : `${Math.round((part / whole) * 100)}%`;
+}
+
+/**
+ * Work out every dashboard tile
+ * @param {Array} clients - Clients not in the Trash
+ * @param {string} [today] - Date string in YYYY-MM-DD format (defaults to today)
+ * @returns {Array} Tiles: { title, figure?, caption?, items: [{ label, count, href }] }
+ */
+function getDashboardTiles(clients, today = getTodayDate()) {
+  const item = (label, filters) => countDashboardItem(clients, label, filters, today);
+  // Values in use, most common first
+  const byCount = (field) => {
+    const values = [...new Set(clients.map((client) => client[field]).filter(Boolean))];
+    return values
+      .map((value) => item(value, { [field]: value }))
+      .sort((a, b) => b.count - a.count || a.label.localeCompare(b.label));
+  };
+
+  const statuses = ["active", "expiring", "expired", "upcoming"].map((status) =>
+    item(MEMBERSHIP_STATUS_LABELS[status], { status })
+  );
+  const [active, expiring, expired] = statuses;
+  const running = active.count + expiring.count;
+
+  const thisMonth = `${today.slice(0, 7)}-01`;
+  const newClients = [];
+  for (let back = DASHBOARD_MONTHS - 1; back >= 0; back--) {
+    const monthStart = addMonths(thisMonth, -back);
+    const [year, month] = monthStart.split("-").map(Number);
+    const monthName = new Date(Date.UTC(year, month - 1, 1)).toLocaleString("en", { month: "short", timeZone: "UTC" });
+    newClients.push(item(`${monthName} ${year}`, { startFrom: monthStart, startTo: addDays(addMonths(monthStart, 1), -1) }));
+  }
+
+  const renewed = clients.filter(hasRenewedMembership).length;
+  const lapsed = clients.filter((client) => getMembershipStatus(client, today) === "expired" && !hasRenewedMembership(client));
+
+  return [
+    {
+      title: "Memberships",
+      figure: `${running} running · ${expired.count} expired`,
+      items: statuses,
+    },
+    {
+      title: "Expiring Soon",
+      items: [
+        item("This week", { endFrom: today, endTo: addDays(getWeekStart(today), 6) }),
+        item("This month", { endFrom: today, endTo: addDays(addMonths(thisMonth, 1), -1) }),
+      ],
+    },
+    { title: "New Clients per Month", caption: "by membership start date", items: newClients },
+    { title: "Goals", items: byCount("goal") },
+    { title: "Gender", items: byCount("gender") },
+    {
+      title: "Age",
+      items: DASHBOARD_AGE_GROUPS.map(([ageMin, ageMax]) => {
+        const label = !ageMin ? `Under ${Number(ageMax) + 1}` : !ageMax ? `${ageMin}+` : `${ageMin}–${ageMax}`;
+        return item(label, { ageMin, ageMax });
+      }),
+    },
+    {
+      title: "Retention",
+      figure: formatRate(running, running + expired.count),
+      caption:
+        "of memberships that have started are still running. " +
+        `Renewal rate: ${formatRate(renewed, renewed + lapsed.length)} ` +
+        `(${renewed} renewed, ${lapsed.length} lapsed without renewing).`,
+      items: [item("Lapsed (expired)", { status: "expired" })],
+    },
+  ];
+}
+
+/**
+ * Draw the dashboard tiles on the home page
+ * Every row is a link to the client list filtered to the clients it counts
+ * @param {Array} tiles - Result of getDashboardTiles()
+ * @param {number} clientCount - Clients not in the Trash
+ */
+function renderDashboard(tiles, clientCount) {
+  const container = document.getElementById("dashboard");
+  const placeholderEl = document.getElementById("dashboardPlaceholder");
+  if (!container) return;
+
+  if (placeholderEl) placeholderEl.hidden = clientCount > 0;
+  container.hidden = clientCount === 0;
+
+  container.replaceChildren(
+    ...tiles.map((tile) => {
+      const most = Math.max(1, ...tile.items.map((entry) => entry.count));
+      return buildElement("div", { className: "card dashboard-tile" }, [
+        buildElement("h2", { text: tile.title }),
+        tile.figure && buildElement("p", { className: "dashboard-figure", text: tile.figure }),
+        tile.caption && buildElement("p", { className: "subtle", text: tile.caption }),
+        tile.items.length === 0
+          ? buildElement("p", { className: "subtle", text: "Nothing recorded yet." })
+          : buildElement(
+              "ul",
+              { className: "dashboard-list" },
+              tile.items.map((entry) =>
+                buildElement("li", {}, [
+                  buildElement("a", { className: "dashboard-row", href: entry.href }, [
+                    buildElement("span", { className: "dashboard-label", text: entry.label }),
+                    buildElement("span", { className: "dashboard-bar", attrs: { "aria-hidden": "true" } }, [
+                      buildElement("span", { attrs: { style: `width: ${Math.round((entry.count / most) * 100)}%` } }),
+                    ]),
+                    buildElement("strong", { text: entry.count }),
+                  ]),
+                ])
+              )
+            ),
+      ]);
+    })
+  );
+}
+
+// =========================
+// REMINDER HELPERS
+// =========================
+// The reminder queue, message templates, transports and the .ics export live
+// in js/reminders.js; these helpers draw the header's reminder panel, the
+// Reminders page and its test outbox.
+
+// How many reminders the header panel lists (the Reminders page lists them all)
+const REMINDER_PANEL_LIMIT = 5;
+
+/**
+ * Describe what a reminder is about
+ * @param {Object} reminder - From buildReminderQueue()
+ * @param {string} [today] - Date string in YYYY-MM-DD format (defaults to today)
+ * @returns {string} e.g. "Membership ends 2026-10-25 (in 6 days)" or "Session tomorrow, 18:00–19:00"
+ */
+function describeReminder(reminder, today = getTodayDate()) {
+  if (reminder.kind === "session") {
+    return `Session ${reminder.date === today ? "today" : "tomorrow"}, ${formatBookingTime(reminder.booking)}`;
+  }
+  const days = Math.round((Date.parse(reminder.date) - Date.parse(today)) / 86400000);
+  const when = days === 0 ? "today" : days === 1 ? "tomorrow" : `in ${days} days`;
+  return `Membership ends ${reminder.date} (${when})`;
+}
+
+/**
+ * Show the number of due reminders in the header and list the first few in its panel
+ * @param {Array} reminders - Due reminders, soonest first
+ */
+function renderReminderPanel(reminders) {
+  const countEl = document.getElementById("reminderCount");
+  const listEl = document.getElementById("reminderPanelList");
+  const placeholderEl = document.getElementById("reminderPanelPlaceholder");
+  if (!countEl || !listEl) return;
+
+  countEl.hidden = reminders.length === 0;
+  countEl.textContent = reminders.length;
+  if (placeholderEl) {
+    placeholderEl.textContent =
+      reminders.length === 0
+        ? "Nothing to remind anyone about today."
+        : reminders.length > REMINDER_PANEL_LIMIT
+          ? `${reminders.length} reminders are due; the first ${REMINDER_PANEL_LIMIT} are shown.`
+          : "";
+  }
+
+  listEl.replaceChildren(
+    ...reminders.slice(0, REMINDER_PANEL_LIMIT).map((reminder) =>
+      buildElement("li", {}, [
+        buildElement("a", { href: clientHash(reminder.client.id), text: reminder.client.fullName }),
+        buildElement("p", { className: "subtle", text: describeReminder(reminder) }),
+      ])
+    )
+  );
+}
+
+/**
+ * List due reminders on the Reminders page, each with its message and Send / Copy / Done buttons
+ * Rows that did not change keep their chosen channel (see renderKeyedList)
+ * @param {Array} reminders - Due reminders, soonest first
+ * @param {Object} templates - Result of resolveReminderTemplates()
+ * @param {Array} accounts - Staff accounts (for trainer names)
+ */
+function renderReminderList(reminders, templates, accounts) {
+  const listEl = document.getElementById("reminderList");
+  const placeholderEl = document.getElementById("reminderPlaceholder");
+  if (!listEl) return;
+
+  if (placeholderEl) placeholderEl.textContent = reminders.length === 0 ? "Nothing to remind anyone about today." : "";
+
+  const items = reminders.map((reminder) => {
+    const channels = getClientChannels(reminder.client);
+    const message = buildReminderMessage(reminder, channels[0] || "email", templates, accounts);
+    return { reminder, channels, body: message.body, when: describeReminder(reminder) };
+  });
+
+  renderKeyedList(listEl, items, {
+    key: (item) => item.reminder.id,
+    signature: ({ reminder, channels, body, when }) => {
+      const addresses = channels.map((channel) => reminder.client[REMINDER_CHANNELS[channel].field]);
+      return JSON.stringify([reminder.client.fullName, when, body, addresses]);
+    },
+    render: ({ reminder, channels, body, when }) => {
+      const client = reminder.client;
+      const channelSelect = buildElement(
+        "select",
+        { className: "filter-select reminder-channel", attrs: { "aria-label": `Send to ${client.fullName} by` } },
+        channels.map((channel) =>
+          buildElement("option", {
+            value: channel,
+            text: `${REMINDER_CHANNELS[channel].label}: ${client[REMINDER_CHANNELS[channel].field]}`,
+          })
+        )
+      );
+
+      return buildElement("li", { className: "reminder-item" }, [
+        buildElement("div", { className: "reminder-info" }, [
+          buildElement("a", { href: clientHash(client.id), text: client.fullName }),
+          " ",
+          buildElement("span", {
+            className: `reminder-kind ${reminder.kind}`,
+            text: REMINDER_KINDS[reminder.kind].label,
+          }),
+          buildElement("p", { className: "subtle", text: when }),
+          buildElement("p", { className: "reminder-message", text: body }),
+        ]),
+        buildElement("div", { className: "reminder-actions" }, [
+          channels.length > 0
+            ? channelSelect
+            : buildElement("p", { className: "subtle", text: "No email or phone number on file." }),
+          channels.length > 0 &&
+            buildElement("button", { type: "button", className: "btn small primary send-reminder-btn", text: "Send" }),
+          buildElement("button", { type: "button", className: "btn small copy-reminder-btn", text: "Copy" }),
+          buildElement("button", { type: "button", className: "btn small ghost done-reminder-btn", text: "Done" }),
+        ]),
+      ]);
+    },
+  });
+}
+
+/**
+ * Show what the test transport was given (hidden for other transports)
+ * @param {Array} [outbox] - The mock transport's messages, oldest first
+ */
+function renderReminderOutbox(outbox) {
+  const card = document.getElementById("reminderOutboxCard");
+  const listEl = document.getElementById("reminderOutbox");
+  const placeholderEl = document.getElementById("reminderOutboxPlaceholder");
+  const noteEl = document.getElementById("reminderTransportNote");
+  if (!card || !listEl) return;
+
+  card.hidden = !outbox;
+  if (noteEl) noteEl.textContent = outbox ? "Test mode: nothing is sent." : "";
+  if (!outbox) return;
+
+  if (placeholderEl) placeholderEl.textContent = outbox.length === 0 ? "No messages yet." : "";
+  listEl.replaceChildren(
+    ...[...outbox].reverse().map((message) =>
+      buildElement("li", {}, [
+        buildElement("p", {
+          className: "subtle",
+          text: `${formatChangeTime(message.sentAt)} · ${REMINDER_CHANNELS[message.channel].label} to ${message.to}` +
+            (message.channel === "email" ? ` · "${message.subject}"` : ""),
+        }),
+        buildElement("p", { className: "reminder-message", text: message.body }),
+      ])
+    )
+  );
+}
+
+// =========================
+// CALENDAR PAGE HELPERS
+// =========================
+// Bookings, recurrence and trainer conflicts live in js/calendar.js; these
+// helpers draw the Calendar page (week or month) and the booked sessions on
+// Client Details. The calendar's view, date and trainer filter are kept in the
+// URL, e.g. #calendar?view=month&date=2026-10-01&trainer=me
+
+const CALENDAR_VIEWS = ["week", "month"];
+// How far ahead Client Details looks for upcoming sessions, and how many it lists
+const UPCOMING_SESSION_DAYS = 56;
+const UPCOMING_SESSION_LIMIT = 5;
+
+/**
+ * Read the calendar state from a hash
+ * @param {string} hash - e.g. window.location.hash
+ * @returns {Object} { view, date, trainer, book } — book is a client id to open the booking form for
+ */
+function calendarStateFromHash(hash) {
+  const queryStart = hash.indexOf("?");
+  const params = new URLSearchParams(queryStart === -1 ? "" : hash.slice(queryStart + 1));
+  const date = params.get("date");
+  return {
+    view: CALENDAR_VIEWS.includes(params.get("view")) ? params.get("view") : "week",
+    date: isValidDateString(date) ? date : getTodayDate(),
+    trainer: params.get("trainer") || "",
+    book: Number(params.get("book")) || null,
+  };
+}
+
+/**
+ * Build a calendar hash
+ * @param {Object} state - { view, date, trainer }
+ * @returns {string} e.g. "#calendar?view=month&date=2026-10-01"
+ */
+function calendarHash(state) {
+  const params = new URLSearchParams();
+  if (state.view !== "week") params.set("view", state.view);
+  if (state.date !== getTodayDate()) params.set("date", state.date);
+  if (state.trainer) params.set("trainer", state.trainer);
+  const query = params.toString();
+  return query ? `#calendar?${query}` : "#calendar";
+}
+
+/**
+ * Hash of a client's details page, scrolled to their next session plan
+ * @param {number} id - Client id
+ * @returns {string} e.g. "#client/1718000000000/plan"
+ */
+function clientPlanHash(id) {
+  return `${clientHash(id)}/plan`;
+}
+
+/**
+ * First and last date shown by a calendar view
+ * @param {Object} state - { view, date }
+ * @returns {Object} { from, to, weeks } — weeks of 7 date strings
+ */
+function getCalendarRange(state) {
+  const weeks = state.view === "month"
+    ? getMonthWeeks(state.date)
+    : [WEEKDAY_NAMES.map((name, index) => addDays(getWeekStart(state.date), index))];
+  return { from: weeks[0][0], to: weeks[weeks.length - 1][6], weeks };
+}
+
+/**
+ * Move the calendar one week or month back or forward
+ * @param {Object} state - { view, date }
+ * @param {number} step - -1 or 1
+ * @returns {string} New date in YYYY-MM-DD format
+ */
+function shiftCalendarDate(state, step) {
+  if (state.view === "month") return addMonths(`${state.date.slice(0, 7)}-01`, step);
+  return addDays(state.date, step * 7);
+}
+
+/**
+ * Title for the calendar
+ * @param {Object} state - { view, date }
+ * @returns {string} e.g. "October 2026" or "Week of 2026-10-19"
+ */
+function describeCalendarPeriod(state) {
+  if (state.view === "week") return `Week of ${getWeekStart(state.date)}`;
+  const [year, month] = state.date.split("-").map(Number);
+  const monthName = new Date(Date.UTC(year, month - 1, 1)).toLocaleString("en", { month: "long", timeZone: "UTC" });
+  return `${monthName} ${year}`;
+}
+
+/**
+ * Whether a booked session passes the calendar's trainer filter
+ * @param {Object} session - { booking, client }
+ * @param {string} trainer - "" (everyone), "me" or an account id
+ * @param {number|null} accountId - Signed-in account
+ * @returns {boolean}
+ */
+function matchesCalendarTrainer(session, trainer, accountId) {
+  if (!trainer) return true;
+  const trainerId = trainer === "me" ? accountId : Number(trainer);
+  return session.booking.trainerId === trainerId;
+}
+
+/**
+ * Build the element for one booked session
+ * @param {Object} session - { date, booking, client }
+ * @param {Object} access - { account, accounts }
+ * @param {boolean} compact - Month view: time and name only
+ * @returns {HTMLElement}
+ */
+function buildBookingChip(session, access, compact) {
+  const { date, booking, client } = session;
+  const chip = document.createElement("div");
+  chip.className = "booking-chip";
+  if (date < getTodayDate()) chip.classList.add("is-past");
+
+  const time = document.createElement("span");
+  time.className = "booking-time";
+  time.textContent = compact ? booking.startTime : formatBookingTime(booking);
+
+  // Each booking links to the client's next session plan
+  const link = document.createElement("a");
+  link.href = clientPlanHash(client.id);
+  link.textContent = client.fullName;
+  chip.append(time, " ", link);
+  if (compact) return chip;
+
+  const details = document.createElement("span");
+  details.className = "booking-details subtle";
+  const repeat = booking.repeat === "none" ? "" : ` · ${BOOKING_REPEAT_OPTIONS[booking.repeat].label.toLowerCase()}`;
+  details.textContent = `with ${getAccountName(access.accounts || [], booking.trainerId) || "no trainer"}${repeat}`;
+  chip.appendChild(details);
+
+  if (can(access.account, "client:book", client)) {
+    const actions = document.createElement("div");
+    actions.className = "booking-actions";
+    [
+      ["edit-booking-btn", "Edit"],
+      ["cancel-booking-btn", booking.repeat === "none" ? "Cancel" : "Cancel this date"],
+      ...(booking.repeat === "none" ? [] : [["cancel-series-btn", "Cancel all"]]),
+    ].forEach(([className, label]) => {
+      const button = document.createElement("button");
+      button.type = "button";
+      button.className = `btn small ghost ${className}`;
+      button.dataset.clientId = client.id;
+      button.dataset.bookingId = booking.id;
+      button.dataset.date = date;
+      button.textContent = label;
+      actions.appendChild(button);
+    });
+    chip.appendChild(actions);
+  }
+  return chip;
+}
+
+/**
+ * Draw the calendar
+ * @param {Object} state - { view, date, trainer }
+ * @param {Array} clients - All clients
+ * @param {Object} access - { account, accounts }
+ */
+function renderCalendar(state, clients, access) {
+  const grid = document.getElementById("calendarGrid");
+  if (!grid) return;
+
+  document.getElementById("calendarTitle").textContent = describeCalendarPeriod(state);
+  document.querySelectorAll("[data-calendar-view]").forEach((button) => {
+    button.setAttribute("aria-pressed", String(button.dataset.calendarView === state.view));
+  });
+
+  const { from, to, weeks } = getCalendarRange(state);
+  const accountId = access.account ? access.account.id : null;
+  const byDate = new Map();
+  listBookedSessions(clients, from, to)
+    .filter((session) => matchesCalendarTrainer(session, state.trainer, accountId))
+    .forEach((session) => {
+      if (!byDate.has(session.date)) byDate.set(session.date, []);
+      byDate.get(session.date).push(session);
+    });
+
+  const compact = state.view === "month";
+  const month = state.date.slice(0, 7);
+  grid.innerHTML = "";
+  grid.className = `calendar-grid ${state.view}-view`;
+
+  WEEKDAY_NAMES.forEach((name) => {
+    const heading = document.createElement("div");
+    heading.className = "calendar-weekday";
+    heading.textContent = name;
+    grid.appendChild(heading);
+  });
+
+  weeks.flat().forEach((date) => {
+    const day = document.createElement("div");
+    day.className = "calendar-day";
+    day.classList.toggle("is-today", date === getTodayDate());
+    day.classList.toggle("is-other-month", compact && date.slice(0, 7) !== month);
+
+    // Month view: the day number opens that week
+    const label = document.createElement(compact ? "a" : "div");
+    label.className = "calendar-date";
+    label.textContent = compact ? String(Number(date.slice(8))) : date;
+    if (compact) label.href = calendarHash({ ...state, view: "week", date });
+    day.appendChild(label);
+
+    (byDate.get(date) || []).forEach((session) => day.appendChild(buildBookingChip(session, access, compact)));
+    grid.appendChild(day);
+  });
+}
+
+/**
+ * Fill the booking form's client list with the clients an account may book for
+ * @param {Array} clients - Active clients
+ * @param {Object|null} account - Signed-in account
+ * @param {number|null} selected - Client to keep selected
+ */
+function populateBookingClients(clients, account, selected) {
+  const select = document.getElementById("bookingClient");
+  if (!select) return;
+
+  select.innerHTML = '<option value="">Choose a client</option>';
+  clients
+    .filter((client) => can(account, "client:book", client))
+    .sort((a, b) => a.fullName.localeCompare(b.fullName))
+    .forEach((client) => {
+      const option = document.createElement("option");
+      option.value = client.id;
+      option.textContent = client.fullName;
+      select.appendChild(option);
+    });
+  select.value = selected ? String(selected) : "";
+}
+
+/**
+ * Read the booking form
+ * @returns {Object} { clientId, booking } — booking without id / skippedDates
+ */
+function readBookingForm() {
+  const repeat = document.getElementById("bookingRepeat").value;
+  return {
+    clientId: Number(document.getElementById("bookingClient").value) || null,
+    booking: {
+      date: document.getElementById("bookingDate").value,
+      startTime: document.getElementById("bookingTime").value,
+      durationMinutes: Number(document.getElementById("bookingDuration").value),
+      trainerId: Number(document.getElementById("bookingTrainer").value) || null,
+      repeat,
+      until: repeat === "none" ? null : document.getElementById("bookingUntil").value,
+      notes: document.getElementById("bookingNotes").value.trim(),
+    },
+  };
+}
+
+/**
+ * Fill the booking form
+ * @param {Object} booking - Booking (or defaults for a new one)
+ */
+function fillBookingForm(booking) {
+  document.getElementById("bookingDate").value = booking.date || "";
+  document.getElementById("bookingTime").value = booking.startTime || "";
+  document.getElementById("bookingDuration").value = booking.durationMinutes || DEFAULT_BOOKING_MINUTES;
+  document.getElementById("bookingRepeat").value = booking.repeat || "none";
+  document.getElementById("bookingUntil").value = booking.until || "";
+  document.getElementById("bookingUntilField").hidden = (booking.repeat || "none") === "none";
+  document.getElementById("bookingNotes").value = booking.notes || "";
+}
+
+/**
+ * Show a client's upcoming booked sessions on Client Details
+ * @param {Object} client - Client object
+ * @param {Array} [accounts] - Staff accounts (for trainer names)
+ */
+function displayUpcomingSessions(client, accounts = []) {
+  const listEl = document.getElementById("upcomingSessionList");
+  const placeholderEl = document.getElementById("upcomingSessionPlaceholder");
+  const nextSessionEl = document.getElementById("nextBookedSession");
+  const bookLink = document.getElementById("bookForClientLink");
+  if (!listEl) return;
+
+  if (bookLink) bookLink.href = `#calendar?book=${client.id}`;
+
+  const today = getTodayDate();
+  const sessions = listBookedSessions([client], today, addDays(today, UPCOMING_SESSION_DAYS));
+  const describe = ({ date, booking }) =>
+    `${WEEKDAY_NAMES[getWeekdayIndex(date)]} ${date} · ${formatBookingTime(booking)}` +
+    (booking.trainerId ? ` · with ${getAccountName(accounts, booking.trainerId)}` : "");
+
+  listEl.innerHTML = "";
+  if (placeholderEl) {
+    placeholderEl.textContent = sessions.length === 0 ? "No sessions booked." : "";
+  }
+  sessions.slice(0, UPCOMING_SESSION_LIMIT).forEach((session) => {
+    const li = document.createElement("li");
+    li.textContent = describe(session);
+    if (session.booking.notes) {
+      const notes = document.createElement("span");
+      notes.className = "subtle";
+      notes.textContent = ` – ${session.booking.notes}`;
+      li.appendChild(notes);
+    }
+    listEl.appendChild(li);
+  });
+
+  if (nextSessionEl) {
+    nextSessionEl.textContent = sessions.length > 0
+      ? `Next booked session: ${describe(sessions[0])}`
+      : "No session booked yet.";
+  }
+}
+
+// =========================
+// Wger: Next Session Exercises
+// =========================
+// Wger API endpoint - retrieves exercises from the online workout manager
+// API Documentation: https://wger.de/en/software/api
+// Browsable API: https://wger.de/api/v2/exerciseinfo/
+// Note: exerciseinfo endpoint includes translations with exercise names
+// Language ID 2 = English (en)
+const WGER_API_BASE = "https://wger.de/api/v2";
+// Use exerciseinfo endpoint which includes exercise names in translations
+// language=2 ensures exercises are in English
+const WGER_PAGE_SIZE = 100;
+const WGER_API_URL = `${WGER_API_BASE}/exerciseinfo/?language=2&limit=${WGER_PAGE_SIZE}`;
+const WGER_ENGLISH_LANGUAGE_ID = 2;
+// Safety cap on how many pages are followed through the API's "next" links
+const WGER_MAX_PAGES = 10;
+
+// The catalogue is cached in localStorage and refreshed once it is older than this
+const EXERCISE_CACHE_KEY = "fitCRM_exerciseCatalogue";
+const EXERCISE_CACHE_MAX_AGE_MS = 7 * 24 * 60 * 60 * 1000; // 7 days
+
+// How many exercises a fresh plan suggests
+const PLAN_SIZE = 5;
+
+// Goal profiles used to rank Wger exercises for a client's fitness goal
+// Weights are matched against the Wger category, muscle (English name) and equipment names
+// sets/reps are the defaults given to each suggested exercise
+const GOAL_EXERCISE_PROFILES = {
+  "Weight Loss": {
+    categories: { Cardio: 3, Legs: 2, Abs: 1 },
+    muscles: { Quads: 1, Glutes: 1 },
+    equipment: { "none (bodyweight exercise)": 2, Kettlebell: 1 },
+    sets: 3,
+    reps: 15,
+  },
+  "Muscle Gain": {
+    categories: { Chest: 2, Back: 2, Legs: 2, Arms: 1, Shoulders: 1 },
+    muscles: { Chest: 1, Lats: 1, Quads: 1 },
+    equipment: { Barbell: 2, Dumbbell: 2, "SZ-Bar": 1, Bench: 1 },
+    sets: 4,
+    reps: 8,
+  },
+  "General Fitness": {
+    categories: { Legs: 1, Back: 1, Chest: 1, Abs: 1, Cardio: 1, Shoulders: 1 },
+    muscles: {},
+    equipment: { "none (bodyweight exercise)": 1, Dumbbell: 1 },
+    sets: 3,
+    reps: 12,
+  },
+  Endurance: {
+    categories: { Cardio: 3, Legs: 2, Calves: 1 },
+    muscles: { Calves: 1, Quads: 1 },
+    equipment: { "none (bodyweight exercise)": 1 },
+    sets: 3,
+    reps: 20,
+  },
+  "Mobility & Flexibility": {
+    categories: { Abs: 2, Back: 2, Legs: 1 },
+    muscles: { Hamstrings: 1, Glutes: 1 },
+    equipment: { "Gym mat": 2, "Swiss Ball": 2, "Resistance band": 1, "none (bodyweight exercise)": 1 },
+    sets: 2,
+    reps: 12,
+  },
+};
+
+// Keywords used to map a custom (free text) goal onto one of the profiles above
+const GOAL_KEYWORDS = [
+  { profile: "Weight Loss", words: ["weight", "lose", "loss", "fat", "slim", "lean"] },
+  { profile: "Muscle Gain", words: ["muscle", "strength", "strong", "bulk", "gain", "mass", "power"] },
+  { profile: "Endurance", words: ["endurance", "run", "marathon", "stamina", "cardio", "cycling"] },
+  { profile: "Mobility & Flexibility", words: ["mobility", "flexib", "stretch", "yoga", "posture", "rehab"] },
+];
+
+/**
+ * Get the English name of a Wger exercise
+ * STRICT: only the English translation (language ID = 2) is used, never another language
+ * @param {Object} exercise - Raw exercise from the Wger exerciseinfo endpoint
+ * @returns {string|null} Trimmed English name, or null if there is none
+ */
+function getEnglishExerciseName(exercise) {
+  if (!exercise.translations || !Array.isArray(exercise.translations)) return null;
+
+  const englishTranslation = exercise.translations.find((t) => {
+    return t.language === WGER_ENGLISH_LANGUAGE_ID && t.name && String(t.name).trim().length > 0;
+  });
+
+  return englishTranslation ? String(englishTranslation.name).trim() : null;
+}
+
+/**
+ * Convert a raw Wger exercise into the small shape used by the session plan
+ * @param {Object} exercise - Raw exercise from the Wger exerciseinfo endpoint
+ * @returns {Object|null} { id, name, category, muscles, equipment }, or null without an English name
+ */
+function normalizeWgerExercise(exercise) {
+  const name = getEnglishExerciseName(exercise);
+  if (!name) return null;
+
+  const muscles = [...(exercise.muscles || []), ...(exercise.muscles_secondary || [])]
+    .map((m) => m.name_en || m.name)
+    .filter(Boolean);
+
+  return {
+    id: exercise.id,
+    name,
+    category: exercise.category ? exercise.category.name : "",
+    muscles,
+    equipment: (exercise.equipment || []).map((e) => e.name).filter(Boolean),
+  };
+}
+
+/**
+ * Fetch the exercise catalogue from the Wger API
+ * Follows the paginated "next" links (up to WGER_MAX_PAGES pages)
+ * @returns {Promise<Array>} Normalized exercises that have an English name
+ */
+async function fetchExerciseCatalogue() {
+  const exercises = [];
+  let url = WGER_API_URL;
+  let pages = 0;
+
+  while (url && pages < WGER_MAX_PAGES) {
+    // Fetch exercises from Wger REST API
+    // Documentation: https://wger.de/en/software/api
+    const response = await fetch(url);
+
+    if (!response.ok) {
+      throw new Error(`API request failed with status: ${response.status} ${response.statusText}`);
+    }
+
+    const data = await response.json();
+
+    // Wger API returns results in a 'results' array and the next page URL in 'next'
+    const results = data.results || [];
+    exercises.push(...results.map(normalizeWgerExercise).filter(Boolean));
+
+    url = data.next || null;
+    pages++;
+  }
+
+  return exercises;
+}
+
+/**
+ * Read the cached exercise catalogue from localStorage
+ * @returns {Object|null} { fetchedAt, exercises }, or null if nothing usable is cached
+ */
+function loadCachedCatalogue() {
+  const stored = localStorage.getItem(EXERCISE_CACHE_KEY);
+  if (!stored) return null;
+  try {
+    const cache = JSON.parse(stored);
+    if (!cache || !Array.isArray(cache.exercises) || !cache.fetchedAt) return null;
+    return cache;
+  } catch (e) {
+    console.error("Could not parse cached exercise catalogue", e);
+    return null;
+  }
+}
+
+/**
+ * Cache the exercise catalogue in localStorage
+ * @param {Array} exercises - Normalized exercises
+ * @returns {Object} The cache entry that was written
+ */
+function saveCachedCatalogue(exercises) {
+  const cache = { fetchedAt: new Date().toISOString(), exercises };
+  try {
+    localStorage.setItem(EXERCISE_CACHE_KEY, JSON.stringify(cache));
+  } catch (e) {
+    // Quota errors should not break suggestions; the data is still used for this visit
+    console.error("Could not cache exercise catalogue", e);
+  }
+  return cache;
+}
+
+/**
+ * Get the exercise catalogue, using the cache and the bundled fallback when offline
+ * Refresh policy:
+ * - a cache younger than EXERCISE_CACHE_MAX_AGE_MS is used as is
+ * - otherwise (or when forced) the API is tried and the result cached
+ * - if the API fails, a stale cache is used, then the bundled WGER_FALLBACK_EXERCISES
+ * @param {Object} [options]
+ * @param {boolean} [options.forceRefresh] - Skip a fresh cache and go to the API
+ * @returns {Promise<Object>} { exercises, fetchedAt, source: "live" | "cache" | "fallback", error }
+ */
+async function loadExerciseCatalogue({ forceRefresh = false } = {}) {
+  const cache = loadCachedCatalogue();
+  const cacheAge = cache ? Date.now() - new Date(cache.fetchedAt).getTime() : Infinity;
+
+  if (cache && !forceRefresh && cacheAge < EXERCISE_CACHE_MAX_AGE_MS) {
+    return { exercises: cache.exercises, fetchedAt: cache.fetchedAt, source: "cache", error: null };
+  }
+
+  let error = null;
+
+  if (navigator.onLine !== false) {
+    try {
+      const exercises = await fetchExerciseCatalogue();
+      if (exercises.length > 0) {
+        const fresh = saveCachedCatalogue(exercises);
+        return { exercises, fetchedAt: fresh.fetchedAt, source: "live", error: null };
+      }
+      error = new Error("No English exercises found from the API");
+    } catch (e) {
+      error = e;
+    }
+  } else {
+    error = new Error("Failed to fetch (browser is offline)");
+  }
+
+  console.error("Error loading exercises from Wger API:", error);
+  console.error("API URL attempted:", WGER_API_URL);
+
+  if (cache) {
+    return { exercises: cache.exercises, fetchedAt: cache.fetchedAt, source: "cache", error };
+  }
+
+  return {
+    exercises: WGER_FALLBACK_EXERCISES,
+    fetchedAt: WGER_FALLBACK_DATE,
+    source: "fallback",
+    error,
+  };
+}
+
+/**
+ * Describe how old a timestamp is, e.g. "3 days ago"
+ * @param {string} isoDate - ISO date string
+ * @returns {string} Relative age in words
+ */
+function formatDataAge(isoDate) {
+  const minutes = Math.floor((Date.now() - new Date(isoDate).getTime()) / 60000);
+  if (minutes < 1) return "just now";
+  if (minutes < 60) return minutes === 1 ? "1 minute ago" : `${minutes} minutes ago`;
+
+  const hours = Math.floor(minutes / 60);
+  if (hours < 24) return hours === 1 ? "1 hour ago" : `${hours} hours ago`;
+
+  const days = Math.floor(hours / 24);
+  return days === 1 ? "1 day ago" : `${days} days ago`;
+}
+
+/**
+ * Show where the exercise data came from and how old it is
+ * @param {Object} catalogue - Result of loadExerciseCatalogue()
+ */
+function renderCatalogueAge(catalogue) {
+  const ageEl = document.getElementById("exerciseDataAge");
+  if (!ageEl) return;
+
+  const sources = {
+    live: "from Wger",
+    cache: "cached from Wger",
+    fallback: "built-in offline list",
+  };
+
+  let text = `Exercise data: ${sources[catalogue.source]}, updated ${formatDataAge(catalogue.fetchedAt)}`;
+  text += ` · ${catalogue.exercises.length} exercises`;
+  if (catalogue.error) {
+    text += " (Wger is unreachable right now)";
+  }
+  ageEl.textContent = text;
+}
+
+/**
+ * Pick the goal profile that best matches a client's goal
+ * Preset goals map directly; custom goals are matched by keyword
+ * @param {string} goal - The client's fitness goal
+ * @returns {Object} One of GOAL_EXERCISE_PROFILES (General Fitness if nothing matches)
+ */
+function getGoalProfile(goal) {
+  if (goal && GOAL_EXERCISE_PROFILES[goal]) return GOAL_EXERCISE_PROFILES[goal];
+
+  const text = (goal || "").toLowerCase();
+  const match = GOAL_KEYWORDS.find((entry) => entry.words.some((word) => text.includes(word)));
+  return GOAL_EXERCISE_PROFILES[match ? match.profile : "General Fitness"];
+}
+
+/**
+ * Score how well an exercise fits a goal profile (higher is better)
+ * @param {Object} exercise - Normalized exercise
+ * @param {Object} profile - Goal profile
+ * @returns {number} Score (0 = unrelated to the goal)
+ */
+function scoreExerciseForGoal(exercise, profile) {
+  let score = (profile.categories[exercise.category] || 0) * 2;
+  exercise.muscles.forEach((muscle) => {
+    score += profile.muscles[muscle] || 0;
+  });
+  exercise.equipment.forEach((equipment) => {
+    score += profile.equipment[equipment] || 0;
+  });
+  return score;
+}
+
+/**
+ * Suggest exercises for a goal from the catalogue
+ * Exercises are shuffled first so equally good matches vary between visits,
+ * and no more than two exercises are taken from the same category
+ * @param {Array} catalogue - Normalized exercises
+ * @param {string} goal - The client's fitness goal
+ * @param {number} count - How many exercises to suggest
+ * @param {Array} [excludeIds] - Exercise ids that must not be suggested (already in the plan)
+ * @returns {Array} Plan exercises: { exerciseId, name, category, sets, reps }
+ */
+function suggestExercisesForGoal(catalogue, goal, count, excludeIds = []) {
+  const profile = getGoalProfile(goal);
+
+  const shuffled = [...catalogue];
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+
+  const ranked = shuffled
+    .filter((exercise) => !excludeIds.includes(exercise.id))
+    .map((exercise) => ({ exercise, score: scoreExerciseForGoal(exercise, profile) }))
+    .sort((a, b) => b.score - a.score);
+
+  const picked = [];
+  const perCategory = {};
+
+  ranked.forEach(({ exercise }) => {
+    if (picked.length >= count) return;
+    const used = perCategory[exercise.category] || 0;
+    if (used >= 2) return;
+    perCategory[exercise.category] = used + 1;
+    picked.push(exercise);
+  });
+
+  // Not enough variety in the catalogue: fill up with the next best regardless of category
+  ranked.forEach(({ exercise }) => {
+    if (picked.length >= count || picked.includes(exercise)) return;
+    picked.push(exercise);
+  });
+
+  return picked.map((exercise) => ({
+    exerciseId: exercise.id,
+    name: exercise.name,
+    category: exercise.category,
+    sets: profile.sets,
+    reps: profile.reps,
+  }));
+}
+
+/**
+ * Render the session plan into the Next Session Exercises card
+ * Each item has sets/reps inputs plus move up/down, swap and remove buttons
+ * @param {Array} exercises - Plan exercises
+ */
+function renderSessionPlan(exercises) {
+  const listEl = document.getElementById("nextExercisesList");
+  if (!listEl) return;
+
+  listEl.innerHTML = "";
+
+  exercises.forEach((exercise, index) => {
+    const li = document.createElement("li");
+    li.dataset.index = index;
+
+    const info = document.createElement("div");
+    info.className = "plan-exercise-info";
+
+    const name = document.createElement("strong");
+    name.textContent = exercise.name;
+    info.appendChild(name);
+
+    if (exercise.category) {
+      const category = document.createElement("span");
+      category.className = "subtle";
+      category.textContent = exercise.category;
+      info.appendChild(category);
+    }
+    li.appendChild(info);
+
+    const controls = document.createElement("div");
+    controls.className = "plan-exercise-controls";
+
+    [
+      { key: "sets", label: "Sets" },
+      { key: "reps", label: "Reps" },
+    ].forEach((field) => {
+      const input = document.createElement("input");
+      input.type = "number";
+      input.min = "1";
+      input.name = field.key;
+      input.value = exercise[field.key] ?? "";
+      input.setAttribute("aria-label", `${field.label} for ${exercise.name}`);
+      controls.appendChild(input);
+    });
+
+    [
+      { action: "up", text: "↑", label: "Move up", disabled: index === 0 },
+      { action: "down", text: "↓", label: "Move down", disabled: index === exercises.length - 1 },
+      { action: "swap", text: "Swap", label: "Swap" },
+      { action: "remove", text: "✕", label: "Remove" },
+    ].forEach((button) => {
+      const btn = document.createElement("button");
+      btn.type = "button";
+      btn.className = "icon-btn";
+      btn.dataset.action = button.action;
+      btn.textContent = button.text;
+      btn.disabled = Boolean(button.disabled);
+      btn.setAttribute("aria-label", `${button.label} ${exercise.name}`);
+      controls.appendChild(btn);
+    });
+
+    li.appendChild(controls);
+    listEl.appendChild(li);
+  });
+}
+
+/**
+ * Show a status / error message in the Next Session Exercises card
+ * @param {string} message - Text to show (empty string hides it)
+ */
+function setSessionPlanStatus(message) {
+  const placeholderEl = document.getElementById("viewExercisesPlaceholder");
+  if (placeholderEl) {
+    placeholderEl.textContent = message;
+  }
+}
+
+/**
+ * Turn an exercise API error into a message for the trainer
+ * @param {Error} error - Error thrown while loading the catalogue
+ * @returns {string} Message to display
+ */
+function describeExerciseApiError(error) {
+  if (error.message.includes("Failed to fetch") || error.message.includes("NetworkError")) {
+    return "Unable to connect to the Wger exercise API. Please check your internet connection and try again.";
+  }
+  if (error.message.includes("CORS")) {
+    return "CORS error: Unable to access the exercise API. The API may have restrictions.";
+  }
+  return `Could not load exercises: ${error.message}. Please try again later.`;
+}
+
+// =========================
+// Main app logic
+// =========================
+document.addEventListener("DOMContentLoaded", async () => {
+  console.log("main.js is connected!");
+  console.log("DOM fully loaded");
+
+  const addClientBtn = document.getElementById("addClientBtn");
+  const cancelEditBtn = document.getElementById("cancelEditBtn");
+  const tableBody = document.getElementById("clientTableBody");
+  const addNewLink = document.querySelector("#list .table-toolbar a.btn.primary");
+  const searchInput = document.getElementById("searchName");
+  const searchBtn = document.getElementById("searchBtn");
+  const statusFilter = document.getElementById("statusFilter");
+  const editFromViewBtn = document.getElementById("editFromViewBtn");
+
+  // Open IndexedDB (migrating localStorage data on first run) before reading clients;
+  // with a sync server this also sends queued changes and fetches other devices' changes
+  await initClientStorage({ apiUrl: loadSettings().apiUrl });
+  onStorageError((error) => {
+    console.error("Could not save clients", error);
+    alert("Your latest changes could not be saved. Please try again.");
+  });
+
+  // current state; clients live in the store (see js/clientStore.js) and the
+  // views redraw from its change events (see store.subscribe() in the Trash section)
+  const store = createClientStore({
+    load: loadClients,
+    save: saveClients,
+    validators: [(client, context) => validateClient(client, { ...context, settings })],
+  });
+  let editingId = null;        // null = adding, not editing
+  let settings = resolveValidationSettings(loadSettings()); // validation rules from the Settings page
+  let currentViewedId = null;  // which client is shown on Page 3 (kept in step with #client/<id>)
+  const undoStack = createUndoStack(); // add / edit / delete / restore in this session
+  let lastChangeId = Math.max(0, ...loadChangeLog().map((entry) => entry.id));
+  let listFilters = filtersFromHash(window.location.hash); // search + filters on the list page
+  let listView = listViewFromHash(window.location.hash);   // sort column / direction, page, page size
+
+  // Staff accounts (see accounts.js); the first run creates an admin, named after
+  // the "acting user" older versions kept in Settings, so nobody is locked out
+  // (kept on the sync server when there is one, so every device has the same staff)
+  const accountBackend = settings.apiUrl ? createApiAccountBackend(settings.apiUrl) : createLocalAccountBackend();
+  let accounts = [];
+  try {
+    accounts = await ensureAdminAccount(accountBackend, settings.actingUser);
+  } catch (error) {
+    console.error("Could not load staff accounts", error);
+    alert("Staff accounts could not be loaded. Please reload the page.");
+  }
+  let currentAccount = accounts.find((a) => a.id === loadSignedInAccountId()) || null; // null = Sign In page
+  // A lone account without a PIN (e.g. right after upgrading) is signed in automatically
+  // (through the backend, so a sync server hands out its token as well)
+  if (!currentAccount && accounts.length === 1 && !accounts[0].hasPin) {
+    try {
+      currentAccount = await accountBackend.signIn(accounts[0].id, "");
+      saveSignedInAccountId(currentAccount.id);
+    } catch (error) {
+      console.error("Could not sign in", error);
+    }
+  }
+
+  // Who is signed in plus every account, for the render helpers
+  function getAccess() {
+    return {
+      account: currentAccount,
+      accounts,
+      noVisitDays: resolveNoVisitDays(settings),
+      currency: resolveCurrency(settings),
+    };
+  }
+
+  // Check a permission before acting on it; tells the user when it is missing
+  function requirePermission(action, client) {
+    if (can(currentAccount, action, client)) return true;
+    alert(describeMissingPermission(action));
+    return false;
+  }
+
+  // initial render (with any search / filters from the URL)
+  applySearch();
+
+  // Tell the user if any stored data had to be moved aside while loading
+  const storageWarnings = takeStorageWarnings();
+  if (storageWarnings.length > 0) {
+    alert(storageWarnings.join("\n\n"));
+  }
+
+  // Record a change to a client in the change log (trainers by name, so the log outlives their account)
+  function logChange(client, action, changes = [], note = "") {
+    lastChangeId = Math.max(Date.now(), lastChangeId + 1);
+    const trainerName = (value) => getAccountName(accounts, Number(value));
+    appendChangeLog([
+      {
+        id: lastChangeId,
+        clientId: client.id,
+        clientName: client.fullName,
+        action,
+        changes: changes.map((change) =>
+          change.field === "trainerId"
+            ? { ...change, oldValue: trainerName(change.oldValue), newValue: trainerName(change.newValue) }
+            : change
+        ),
+        note,
+        user: currentAccount ? currentAccount.name : "Unknown user",
+        userId: currentAccount ? currentAccount.id : null,
+        timestamp: new Date().toISOString(),
+      },
+    ]);
+  }
+
+  // Fields whose errors are shown: ones the user has left, or all of them after a save attempt
+  const touchedFields = new Set();
+  const trainerSelect = document.getElementById("trainerId");
+
+  // Trainers' new clients are theirs; everyone else starts unassigned
+  function defaultTrainerId() {
+    return currentAccount && currentAccount.role === "trainer" ? currentAccount.id : null;
+  }
+
+  // Only staff who may assign clients can change the Trainer field
+  function refreshTrainerField(selected) {
+    populateTrainerSelect(trainerSelect, accounts, selected, [["", "Unassigned"]]);
+    if (trainerSelect) trainerSelect.disabled = !can(currentAccount, "client:assign");
+  }
+
+  // Helpers to switch modes
+  function enterAddMode() {
+    editingId = null;
+    touchedFields.clear();
+    if (addClientBtn) addClientBtn.textContent = "Add Client";
+    if (cancelEditBtn) cancelEditBtn.style.display = "none";
+    clearForm();
+    refreshTrainerField(defaultTrainerId());
+  }
+
+  // Called by the router for #client/<id>/edit
+  function enterEditMode(client) {
+    editingId = client.id;
+    touchedFields.clear();
+    refreshTrainerField(client.trainerId);
+    fillFormFromClient(client);
+    renderFieldErrors({});
+    if (addClientBtn) addClientBtn.textContent = "Save Changes";
+    if (cancelEditBtn) cancelEditBtn.style.display = "inline-block";
+  }
+
+  // -------------------------
+  // Add / Save Client button
+  // -------------------------
+  if (addClientBtn) {
+    addClientBtn.addEventListener("click", () => {
+      const original = store.get(editingId);
+      if (!requirePermission(original ? "client:edit" : "client:create", original)) return;
+
+      const values = readClientForm();
+      if (!can(currentAccount, "client:assign")) {
+        values.trainerId = original ? original.trainerId : defaultTrainerId();
+      }
+
+      // Check every field at once and show the problems next to each field
+      const errors = validateClientForm(values);
+      CLIENT_FORM_FIELDS.forEach((field) => touchedFields.add(field));
+      renderFieldErrors(errors);
+
+      const firstInvalid = CLIENT_FORM_FIELDS.find((field) => errors[field]);
+      if (firstInvalid) {
+        document.getElementById(firstInvalid).focus();
+        return;
+      }
+
+      // Warn (without blocking) when this looks like a client who is already on the list
+      const duplicates = findDuplicateClients(
+        values,
+        store.query({ match: (c) => c.id !== editingId }),
+        settings
+      );
+      if (duplicates.length > 0) {
+        const ok = confirm(
+          `This client may already exist:\n${describeDuplicates(duplicates)}\n\n` +
+            "Save anyway? Duplicates can be merged later from the Client List."
+        );
+        if (!ok) return;
+      }
+
+      // Phones are stored in E.164 ("+201012345678")
+      values.phone = normalizePhone(values.phone, settings);
+
+      // Were we in edit mode?
+      const wasEditing = editingId !== null;
+
+      if (!wasEditing) {
+        // ADD NEW CLIENT
+        const client = {
+          id: Date.now(),
+          ...values,
+          history: [],
+          sessionPlan: null,
+          renewals: [],
+          measurements: [],
+          goalTarget: null,
+          bookings: [],
+          visits: [],
+          payments: [],
+          deletedAt: null,
+        };
+
+        if (!saveClientForm(() => store.add(client))) return;
+        undoStack.record({ type: "add", clientId: client.id, label: `Add ${client.fullName}` });
+        logChange(client, "create", diffClientFields({}, client));
+        alert(`New client saved: ${client.fullName}`);
+      } else {
+        // UPDATE EXISTING CLIENT (the store updates it in place, so note the old values first)
+        if (original) {
+          const changes = diffClientFields(original, values);
+          const before = Object.fromEntries(changes.map((change) => [change.field, original[change.field]]));
+          if (!saveClientForm(() => store.update(editingId, values, { mode: "edit" }))) return;
+
+          // Undo only touches the fields this edit changed (not later renewals etc.)
+          if (changes.length > 0) {
+            undoStack.record({
+              type: "edit",
+              clientId: editingId,
+              label: `Edit ${values.fullName}`,
+              before,
+              after: Object.fromEntries(changes.map((change) => [change.field, values[change.field]])),
+            });
+            logChange(original, "update", changes);
+          }
+          showUndoToast(`Client updated: ${values.fullName}`);
+        }
+
+        // Exit edit mode
+        enterAddMode();
+      }
+
+      // Clear the form (the store has saved and redrawn the list)
+      updateUndoButtons(undoStack);
+      clearForm();
+      refreshTrainerField(defaultTrainerId());
+      touchedFields.clear();
+
+      // If we just finished editing, go back to the Client List
+      if (wasEditing) {
+        window.location.hash = "#list";
+      }
+    });
+  }
+
+  // -------------------------
+  // Live validation on the New Client form
+  // -------------------------
+  const clientForm = document.getElementById("clientForm");
+
+  // Create and edit have different start date rules (see checkStartDateRule)
+  function validateClientForm(values) {
+    return validateClient(values, {
+      settings,
+      mode: editingId === null ? "create" : "edit",
+      original: store.get(editingId),
+    });
+  }
+
+  // Add or update through the store; if its validation hooks reject the client,
+  // show the problems next to the fields. Returns true when the client was saved
+  function saveClientForm(saveClient) {
+    try {
+      saveClient();
+      return true;
+    } catch (error) {
+      if (!(error instanceof ClientValidationError)) throw error;
+      renderFieldErrors(error.errors);
+      return false;
+    }
+  }
+
+  // Re-check the form, showing errors only for touched fields
+  function refreshFieldErrors() {
+    const errors = validateClientForm(readClientForm());
+    const shown = {};
+    touchedFields.forEach((field) => {
+      if (errors[field]) shown[field] = errors[field];
+    });
+    renderFieldErrors(shown);
+  }
+
+  if (clientForm) {
+    const fieldOf = (input) => (input.id === "goalFree" ? "goal" : input.id);
+
+    clientForm.addEventListener("input", refreshFieldErrors);
+    clientForm.addEventListener("change", refreshFieldErrors);
+    clientForm.addEventListener("focusout", (event) => {
+      const field = fieldOf(event.target);
+      if (!CLIENT_FORM_FIELDS.includes(field)) return;
+      touchedFields.add(field);
+      refreshFieldErrors();
+    });
+  }
+
+  // -------------------------
   // Cancel Edit button
   // -------------------------
-  if (cancelEditBtn) {
-    cancelEditBtn.addEventListener("click", (event) => {
+  if (cancelEditBtn) {
+    cancelEditBtn.addEventListener("click", (event) => {
+      event.preventDefault();
+
+      // Reset back to "Add Client" mode
+      enterAddMode();
+
+      // Go back to the Client List page
+      window.location.hash = "#list";
+    });
+  }
+
+  // -------------------------
+  // "Add New" link on list page → go to empty form
+  // -------------------------
+  if (addNewLink) {
+    addNewLink.addEventListener("click", () => {
+      enterAddMode();
+    });
+  }
+
+  // -------------------------
+  // SEARCH & FILTERS
+  // -------------------------
+  const filterPanel = document.getElementById("filterPanel");
+  const toggleFiltersBtn = document.getElementById("toggleFiltersBtn");
+  const filterChips = document.getElementById("filterChips");
+
+  // Inputs holding each filter value (see LIST_FILTER_KEYS)
+  const filterInputs = {
+    q: searchInput,
+    status: statusFilter,
+    trainer: document.getElementById("filterTrainer"),
+    goal: document.getElementById("filterGoal"),
+    gender: document.getElementById("filterGender"),
+    ageMin: document.getElementById("filterAgeMin"),
+    ageMax: document.getElementById("filterAgeMax"),
+    startFrom: document.getElementById("filterStartFrom"),
+    startTo: document.getElementById("filterStartTo"),
+    endFrom: document.getElementById("filterEndFrom"),
+    endTo: document.getElementById("filterEndTo"),
+    noVisit: document.getElementById("filterNoVisit"),
+  };
+
+  function writeFiltersToInputs() {
+    populateGoalFilter(store.query(), listFilters.goal);
+    populateTrainerFilter(accounts, listFilters.trainer);
+    LIST_FILTER_KEYS.forEach((key) => {
+      if (filterInputs[key]) filterInputs[key].value = listFilters[key];
+    });
+  }
+
+  function readFiltersFromInputs() {
+    const filters = createEmptyFilters();
+    LIST_FILTER_KEYS.forEach((key) => {
+      if (filterInputs[key]) filters[key] = filterInputs[key].value.trim();
+    });
+    return filters;
+  }
+
+  // Re-render the table for the current clients, filters, sort order and page
+  function applySearch() {
+    const activeClients = store.query();
+    populateGoalFilter(activeClients, listFilters.goal);
+    populateTrainerFilter(accounts, listFilters.trainer);
+
+    const accountId = currentAccount ? currentAccount.id : null;
+    const sorted = sortClients(filterClients(activeClients, listFilters, accountId), listView.sort, listView.dir);
+    const pageInfo = paginate(sorted, listView.page, listView.size);
+    listView.page = pageInfo.page; // e.g. the last page shrank after a delete
+
+    renderClientTable(pageInfo.rows, pageInfo, getAccess());
+    renderFilterChips(listFilters, accounts);
+    updateSortIndicators(listView);
+    renderPager(pageInfo, listView.size);
+  }
+
+  // Keep the list page URL in step with the filters (without adding history entries)
+  function syncFiltersToUrl() {
+    if (!window.location.hash.startsWith("#list")) return;
+    const hash = filtersToHash(listFilters, listView);
+    if (hash !== window.location.hash) {
+      history.replaceState(null, "", hash);
+    }
+  }
+
+  // New filters always start again from the first page
+  function updateFilters(filters) {
+    listFilters = filters;
+    listView = { ...listView, page: 1 };
+    applySearch();
+    syncFiltersToUrl();
+  }
+
+  function updateListView(changes) {
+    listView = { ...listView, ...changes };
+    applySearch();
+    syncFiltersToUrl();
+  }
+
+  // Live search as the user types (short delay so typing stays smooth)
+  let searchTimer = null;
+  if (searchInput) {
+    searchInput.addEventListener("input", () => {
+      clearTimeout(searchTimer);
+      searchTimer = setTimeout(() => updateFilters(readFiltersFromInputs()), 150);
+    });
+  }
+
+  // Enter key in the search box
+  if (searchInput) {
+    searchInput.addEventListener("keydown", (event) => {
+      if (event.key === "Enter") {
+        event.preventDefault();
+        clearTimeout(searchTimer);
+        updateFilters(readFiltersFromInputs());
+      } else if (event.key === "Escape") {
+        // ESC to clear search and reset table
+        searchInput.value = "";
+        clearTimeout(searchTimer);
+        updateFilters(readFiltersFromInputs());
+      }
+    });
+  }
+
+  // Click on the Search button
+  if (searchBtn) {
+    searchBtn.addEventListener("click", (event) => {
+      event.preventDefault();
+      clearTimeout(searchTimer);
+      updateFilters(readFiltersFromInputs());
+    });
+  }
+
+  // Structured filters (status, goal, gender, age and date ranges)
+  LIST_FILTER_KEYS.filter((key) => key !== "q").forEach((key) => {
+    if (!filterInputs[key]) return;
+    filterInputs[key].addEventListener("change", () => {
+      updateFilters(readFiltersFromInputs());
+    });
+  });
+
+  if (toggleFiltersBtn && filterPanel) {
+    toggleFiltersBtn.addEventListener("click", () => {
+      filterPanel.hidden = !filterPanel.hidden;
+      toggleFiltersBtn.setAttribute("aria-expanded", String(!filterPanel.hidden));
+    });
+  }
+
+  // Remove a filter by clicking its chip
+  if (filterChips) {
+    filterChips.addEventListener("click", (event) => {
+      const chip = event.target.closest(".filter-chip");
+      if (!chip) return;
+
+      const key = chip.dataset.filterKey;
+      const filters = key === "*" ? createEmptyFilters() : { ...listFilters, [key]: "" };
+      listFilters = filters;
+      writeFiltersToInputs();
+      updateFilters(filters);
+    });
+  }
+
+  // -------------------------
+  // SORTING & PAGINATION
+  // -------------------------
+  const listTableHead = document.querySelector("#clientTable thead");
+  const prevPageBtn = document.getElementById("prevPageBtn");
+  const nextPageBtn = document.getElementById("nextPageBtn");
+  const pageSizeSelect = document.getElementById("pageSize");
+
+  if (pageSizeSelect) {
+    PAGE_SIZE_OPTIONS.forEach((size) => {
+      const option = document.createElement("option");
+      option.value = size;
+      option.textContent = `${size} per page`;
+      pageSizeSelect.appendChild(option);
+    });
+    pageSizeSelect.value = String(listView.size);
+
+    pageSizeSelect.addEventListener("change", () => {
+      updateListView({ size: Number(pageSizeSelect.value), page: 1 });
+    });
+  }
+
+  // Click a header to sort by it; click again to flip the direction
+  if (listTableHead) {
+    listTableHead.addEventListener("click", (event) => {
+      const button = event.target.closest(".sort-btn");
+      if (!button) return;
+
+      const key = button.dataset.sort;
+      const dir = listView.sort === key && listView.dir === "asc" ? "desc" : "asc";
+      updateListView({ sort: key, dir, page: 1 });
+    });
+  }
+
+  if (prevPageBtn) {
+    prevPageBtn.addEventListener("click", () => {
+      updateListView({ page: listView.page - 1 });
+    });
+  }
+
+  if (nextPageBtn) {
+    nextPageBtn.addEventListener("click", () => {
+      updateListView({ page: listView.page + 1 });
+    });
+  }
+
+  writeFiltersToInputs();
+
+  // Open the filter panel when a bookmarked view uses structured filters
+  const toolbarFilterKeys = ["q", "status", "trainer"];
+  if (filterPanel && LIST_FILTER_KEYS.some((key) => !toolbarFilterKeys.includes(key) && listFilters[key])) {
+    filterPanel.hidden = false;
+    if (toggleFiltersBtn) toggleFiltersBtn.setAttribute("aria-expanded", "true");
+  }
+
+  // -------------------------
+  // Table clicks (View / Edit / Delete)
+  // -------------------------
+  if (tableBody) {
+    tableBody.addEventListener("click", (event) => {
+      const deleteBtn = event.target.closest(".delete-btn");
+      const editBtn = event.target.closest(".edit-btn");
+      const viewBtn = event.target.closest(".view-btn");
+
+      // If click is not on one of our buttons, ignore
+      if (!deleteBtn && !editBtn && !viewBtn) return;
+
+      // DELETE: Move the client to the Trash (undo from the toast, restore from the Trash page)
+      if (deleteBtn) {
+        const idToDelete = Number(deleteBtn.dataset.id);
+        const clientToDelete = store.get(idToDelete);
+        if (!clientToDelete || !requirePermission("client:delete", clientToDelete)) return;
+
+        undoStack.record({ type: "delete", clientId: idToDelete, label: `Delete ${clientToDelete.fullName}` });
+        logChange(clientToDelete, "delete");
+        store.update(idToDelete, { deletedAt: new Date().toISOString() });
+        updateUndoButtons(undoStack);
+        showUndoToast(`Moved "${clientToDelete.fullName}" to the Trash.`);
+        return;
+      }
+
+      // EDIT (from table) → the router opens the form
+      if (editBtn) {
+        window.location.hash = clientEditHash(Number(editBtn.dataset.id));
+        return;
+      }
+
+      // VIEW → the router fills Page 3
+      if (viewBtn) {
+        window.location.hash = clientHash(Number(viewBtn.dataset.id));
+      }
+    });
+  }
+
+  // -------------------------
+  // "Edit This Client" on Page 3
+  // -------------------------
+  if (editFromViewBtn) {
+    editFromViewBtn.addEventListener("click", (event) => {
+      event.preventDefault();
+
+      if (currentViewedId === null) {
+        alert("No client selected to edit.");
+        return;
+      }
+
+      // Re-use the same edit route as table edit
+      window.location.hash = clientEditHash(currentViewedId);
+    });
+  }
+
+  // -------------------------
+  // Training history on Page 3 (log / edit / delete sessions)
+  // -------------------------
+  const logSessionBtn = document.getElementById("logSessionBtn");
+  const sessionForm = document.getElementById("sessionForm");
+  const addSessionExerciseBtn = document.getElementById("addSessionExerciseBtn");
+  const saveSessionBtn = document.getElementById("saveSessionBtn");
+  const cancelSessionBtn = document.getElementById("cancelSessionBtn");
+  const sessionExerciseRows = document.getElementById("sessionExerciseRows");
+  const historyList = document.getElementById("historyList");
+
+  let editingSessionId = null; // null = logging a new session
+  let sessionFromPlan = false;  // true = the form was pre-filled from the saved plan
+
+  function openSessionForm(session) {
+    if (!sessionForm) return;
+    editingSessionId = session ? session.id : null;
+    if (session) {
+      fillSessionForm(session);
+    } else {
+      clearSessionForm();
+    }
+    if (saveSessionBtn) {
+      saveSessionBtn.textContent = session ? "Save Changes" : "Save Session";
+    }
+    sessionForm.hidden = false;
+    document.getElementById("sessionDate").focus();
+  }
+
+  function closeSessionForm() {
+    editingSessionId = null;
+    sessionFromPlan = false;
+    if (sessionForm) sessionForm.hidden = true;
+  }
+
+  // The client whose history is currently on screen
+  function getViewedClient() {
+    return currentViewedId === null ? null : store.get(currentViewedId);
+  }
+
+  if (logSessionBtn) {
+    logSessionBtn.addEventListener("click", () => {
+      const client = getViewedClient();
+      if (!client) {
+        alert("No client selected to log a session for.");
+        return;
+      }
+      if (!requirePermission("client:train", client)) return;
+      openSessionForm(null);
+    });
+  }
+
+  if (addSessionExerciseBtn) {
+    addSessionExerciseBtn.addEventListener("click", () => {
+      addSessionExerciseRow();
+    });
+  }
+
+  if (sessionExerciseRows) {
+    sessionExerciseRows.addEventListener("click", (event) => {
+      const removeBtn = event.target.closest(".remove-exercise-btn");
+      if (!removeBtn) return;
+      removeBtn.closest(".session-exercise-row").remove();
+    });
+  }
+
+  if (cancelSessionBtn) {
+    cancelSessionBtn.addEventListener("click", (event) => {
+      event.preventDefault();
+      closeSessionForm();
+    });
+  }
+
+  if (saveSessionBtn) {
+    saveSessionBtn.addEventListener("click", () => {
+      const client = getViewedClient();
+      if (!client) {
+        alert("Could not find this client to log a session for.");
+        return;
+      }
+      if (!requirePermission("client:train", client)) return;
+
+      const session = readSessionForm();
+
+      if (!session.date) {
+        alert("Please choose the date of the session.");
+        return;
+      }
+
+      if (session.date > getTodayDate()) {
+        alert("Session Date cannot be in the future.");
+        return;
+      }
+
+      const duration = parseInt(session.durationMinutes, 10);
+      if (isNaN(duration) || duration < 1 || duration > 600) {
+        alert("Duration must be between 1 and 600 minutes.");
+        return;
+      }
+      session.durationMinutes = duration;
+
+      if (session.exercises.length === 0) {
+        alert("Please add at least one exercise to the session.");
+        return;
+      }
+
+      const history = client.history ? [...client.history] : [];
+
+      if (editingSessionId === null) {
+        history.push({ id: Date.now(), ...session });
+      } else {
+        const index = history.findIndex((s) => s.id === editingSessionId);
+        if (index !== -1) {
+          history[index] = { ...history[index], ...session };
+        }
+      }
+
+      // A plan that has been carried out is done; the next visit gets a fresh one
+      const wasFromPlan = sessionFromPlan;
+      closeSessionForm();
+      store.update(client.id, wasFromPlan ? { history, sessionPlan: null } : { history });
+
+      if (wasFromPlan) {
+        loadSessionPlan(client);
+      }
+    });
+  }
+
+  if (historyList) {
+    historyList.addEventListener("click", (event) => {
+      const editBtn = event.target.closest(".edit-session-btn");
+      const deleteBtn = event.target.closest(".delete-session-btn");
+      if (!editBtn && !deleteBtn) return;
+
+      const client = getViewedClient();
+      if (!client || !requirePermission("client:train", client)) return;
+
+      const sessionId = Number((editBtn || deleteBtn).dataset.sessionId);
+      const session = (client.history || []).find((s) => s.id === sessionId);
+      if (!session) {
+        console.warn("No session found for id", sessionId);
+        return;
+      }
+
+      if (editBtn) {
+        openSessionForm(session);
+        return;
+      }
+
+      const ok = confirm(`Delete the session on ${session.date}?`);
+      if (!ok) return;
+
+      if (editingSessionId === sessionId) closeSessionForm();
+      store.update(client.id, { history: client.history.filter((s) => s.id !== sessionId) });
+    });
+  }
+
+  // -------------------------
+  // Measurements and goal target on Page 3
+  // -------------------------
+  const addMeasurementBtn = document.getElementById("addMeasurementBtn");
+  const measurementForm = document.getElementById("measurementForm");
+  const saveMeasurementBtn = document.getElementById("saveMeasurementBtn");
+  const cancelMeasurementBtn = document.getElementById("cancelMeasurementBtn");
+  const measurementList = document.getElementById("measurementList");
+  const saveGoalTargetBtn = document.getElementById("saveGoalTargetBtn");
+  const clearGoalTargetBtn = document.getElementById("clearGoalTargetBtn");
+
+  renderMeasurementFields();
+
+  function closeMeasurementForm() {
+    if (measurementForm) measurementForm.hidden = true;
+  }
+
+  function setGoalTarget(client, goalTarget) {
+    logChange(client, "update", [
+      { field: "goalTarget", oldValue: describeGoalTarget(client.goalTarget), newValue: describeGoalTarget(goalTarget) },
+    ]);
+    store.update(client.id, { goalTarget });
+  }
+
+  if (addMeasurementBtn) {
+    addMeasurementBtn.addEventListener("click", () => {
+      const client = getViewedClient();
+      if (!client) {
+        alert("No client selected to measure.");
+        return;
+      }
+      if (!requirePermission("client:train", client)) return;
+      clearMeasurementForm(client);
+      measurementForm.hidden = false;
+      document.getElementById("measurementDate").focus();
+    });
+  }
+
+  if (cancelMeasurementBtn) {
+    cancelMeasurementBtn.addEventListener("click", (event) => {
+      event.preventDefault();
+      closeMeasurementForm();
+    });
+  }
+
+  if (saveMeasurementBtn) {
+    saveMeasurementBtn.addEventListener("click", () => {
+      const client = getViewedClient();
+      if (!client) {
+        alert("Could not find this client to save a measurement for.");
+        return;
+      }
+      if (!requirePermission("client:train", client)) return;
+
+      const measurement = readMeasurementForm();
+      const errors = validateMeasurement(measurement);
+      if (errors.length > 0) {
+        alert(errors.join("\n"));
+        return;
+      }
+
+      closeMeasurementForm();
+      store.update(client.id, { measurements: [...(client.measurements || []), { id: Date.now(), ...measurement }] });
+    });
+  }
+
+  if (measurementList) {
+    measurementList.addEventListener("click", (event) => {
+      const deleteBtn = event.target.closest(".delete-measurement-btn");
+      if (!deleteBtn) return;
+
+      const client = getViewedClient();
+      if (!client || !requirePermission("client:train", client)) return;
+
+      const measurementId = Number(deleteBtn.dataset.measurementId);
+      const measurement = (client.measurements || []).find((m) => m.id === measurementId);
+      if (!measurement) return;
+
+      const ok = confirm(`Delete the measurement on ${measurement.date}?`);
+      if (!ok) return;
+
+      store.update(client.id, { measurements: client.measurements.filter((m) => m.id !== measurementId) });
+    });
+  }
+
+  if (saveGoalTargetBtn) {
+    saveGoalTargetBtn.addEventListener("click", () => {
+      const client = getViewedClient();
+      if (!client || !requirePermission("client:train", client)) return;
+
+      const metric = document.getElementById("goalTargetMetric").value;
+      const rawValue = document.getElementById("goalTargetValue").value.trim();
+      const value = Number(rawValue);
+      const known = MEASUREMENT_METRICS[metric];
+      if (rawValue === "" || !Number.isFinite(value)) {
+        alert("Please enter the target value.");
+        return;
+      }
+      if (known && (value < known.min || value > known.max)) {
+        alert(`${getMetricLabel(metric)} must be between ${known.min} and ${known.max}.`);
+        return;
+      }
+      if (client.goalTarget && client.goalTarget.metric === metric && client.goalTarget.value === value) return;
+
+      setGoalTarget(client, { metric, value });
+    });
+  }
+
+  if (clearGoalTargetBtn) {
+    clearGoalTargetBtn.addEventListener("click", () => {
+      const client = getViewedClient();
+      if (!client || !client.goalTarget || !requirePermission("client:train", client)) return;
+      if (!confirm(`Remove the target (${describeGoalTarget(client.goalTarget)}) for ${client.fullName}?`)) return;
+      setGoalTarget(client, null);
+    });
+  }
+
+  // -------------------------
+  // Next session plan on Page 3 (suggest / edit / save / log)
+  // -------------------------
+  const nextExercisesList = document.getElementById("nextExercisesList");
+  const suggestPlanBtn = document.getElementById("suggestPlanBtn");
+  const addPlanExerciseBtn = document.getElementById("addPlanExerciseBtn");
+  const savePlanBtn = document.getElementById("savePlanBtn");
+  const logPlanBtn = document.getElementById("logPlanBtn");
+  const refreshCatalogueBtn = document.getElementById("refreshCatalogueBtn");
+
+  let exerciseCatalogue = null; // loaded once per page load (API, cache or fallback)
+  let planDraft = [];           // plan currently shown (saved or not)
+
+  async function getExerciseCatalogue(options) {
+    if (!exerciseCatalogue || (options && options.forceRefresh)) {
+      exerciseCatalogue = await loadExerciseCatalogue(options);
+      renderCatalogueAge(exerciseCatalogue);
+    }
+    return exerciseCatalogue.exercises;
+  }
+
+  // Show the client's saved plan, or suggest a fresh one for their goal
+  async function loadSessionPlan(client) {
+    const plan = client.sessionPlan;
+    if (plan && plan.exercises && plan.exercises.length > 0) {
+      planDraft = plan.exercises.map((exercise) => ({ ...exercise }));
+      renderSessionPlan(planDraft);
+      setSessionPlanStatus(`Saved plan (last saved ${plan.savedAt.slice(0, 10)}).`);
+      return;
+    }
+    await suggestNewPlan(client);
+  }
+
+  async function suggestNewPlan(client) {
+    planDraft = [];
+    renderSessionPlan(planDraft);
+    setSessionPlanStatus("Loading exercises for the next session…");
+
+    try {
+      const catalogue = await getExerciseCatalogue();
+
+      // The trainer may have opened another client while we were waiting
+      if (currentViewedId !== client.id) return;
+
+      planDraft = suggestExercisesForGoal(catalogue, client.goal, PLAN_SIZE);
+      renderSessionPlan(planDraft);
+      setSessionPlanStatus(`Suggested for "${client.goal}" – not saved yet.`);
+    } catch (error) {
+      console.error("Error suggesting exercises:", error);
+      setSessionPlanStatus(describeExerciseApiError(error));
+    }
+  }
+
+  // Replace one plan exercise, preferring another exercise from the same category
+  async function swapPlanExercise(client, index) {
+    try {
+      const catalogue = await getExerciseCatalogue();
+      const current = planDraft[index];
+      const excludeIds = planDraft.map((exercise) => exercise.exerciseId);
+      const sameCategory = catalogue.filter((exercise) => exercise.category === current.category);
+
+      let [replacement] = suggestExercisesForGoal(sameCategory, client.goal, 1, excludeIds);
+      if (!replacement) {
+        [replacement] = suggestExercisesForGoal(catalogue, client.goal, 1, excludeIds);
+      }
+
+      if (!replacement) {
+        setSessionPlanStatus("No other exercise is available to swap in.");
+        return;
+      }
+
+      planDraft[index] = { ...replacement, sets: current.sets, reps: current.reps };
+      renderSessionPlan(planDraft);
+    } catch (error) {
+      console.error("Error suggesting exercises:", error);
+      setSessionPlanStatus(describeExerciseApiError(error));
+    }
+  }
+
+  if (suggestPlanBtn) {
+    suggestPlanBtn.addEventListener("click", () => {
+      const client = getViewedClient();
+      if (!client) return;
+      suggestNewPlan(client);
+    });
+  }
+
+  if (addPlanExerciseBtn) {
+    addPlanExerciseBtn.addEventListener("click", async () => {
+      const client = getViewedClient();
+      if (!client) return;
+
+      try {
+        const catalogue = await getExerciseCatalogue();
+        const excludeIds = planDraft.map((exercise) => exercise.exerciseId);
+        const [extra] = suggestExercisesForGoal(catalogue, client.goal, 1, excludeIds);
+        if (!extra) {
+          setSessionPlanStatus("No more exercises are available to add.");
+          return;
+        }
+        planDraft.push(extra);
+        renderSessionPlan(planDraft);
+      } catch (error) {
+        console.error("Error suggesting exercises:", error);
+        setSessionPlanStatus(describeExerciseApiError(error));
+      }
+    });
+  }
+
+  if (nextExercisesList) {
+    // Keep sets / reps edits in the draft as the trainer types
+    nextExercisesList.addEventListener("input", (event) => {
+      const input = event.target;
+      const li = input.closest("li");
+      if (!li || !input.name) return;
+      planDraft[Number(li.dataset.index)][input.name] = input.value;
+    });
+
+    nextExercisesList.addEventListener("click", (event) => {
+      const button = event.target.closest("button[data-action]");
+      if (!button) return;
+
+      const client = getViewedClient();
+      if (!client) return;
+
+      const index = Number(button.closest("li").dataset.index);
+      const action = button.dataset.action;
+
+      if (action === "swap") {
+        swapPlanExercise(client, index);
+        return;
+      }
+
+      if (action === "remove") {
+        planDraft.splice(index, 1);
+      } else if (action === "up" && index > 0) {
+        [planDraft[index - 1], planDraft[index]] = [planDraft[index], planDraft[index - 1]];
+      } else if (action === "down" && index < planDraft.length - 1) {
+        [planDraft[index + 1], planDraft[index]] = [planDraft[index], planDraft[index + 1]];
+      }
+      renderSessionPlan(planDraft);
+    });
+  }
+
+  if (refreshCatalogueBtn) {
+    refreshCatalogueBtn.addEventListener("click", async () => {
+      refreshCatalogueBtn.disabled = true;
+      const catalogue = await getExerciseCatalogue({ forceRefresh: true }).finally(() => {
+        refreshCatalogueBtn.disabled = false;
+      });
+      if (exerciseCatalogue.error) {
+        setSessionPlanStatus(describeExerciseApiError(exerciseCatalogue.error));
+      } else if (catalogue.length > 0 && planDraft.length === 0) {
+        const client = getViewedClient();
+        if (client) suggestNewPlan(client);
+      }
+    });
+  }
+
+  if (savePlanBtn) {
+    savePlanBtn.addEventListener("click", () => {
+      const client = getViewedClient();
+      if (!client) {
+        alert("No client selected to save a plan for.");
+        return;
+      }
+      if (!requirePermission("client:train", client)) return;
+
+      if (planDraft.length === 0) {
+        alert("Add at least one exercise before saving the plan.");
+        return;
+      }
+
+      const invalid = planDraft.find((exercise) => {
+        const sets = parseInt(exercise.sets, 10);
+        const reps = parseInt(exercise.reps, 10);
+        return isNaN(sets) || sets < 1 || isNaN(reps) || reps < 1;
+      });
+      if (invalid) {
+        alert(`Please enter sets and reps for ${invalid.name}.`);
+        return;
+      }
+
+      store.update(client.id, {
+        sessionPlan: {
+          exercises: planDraft.map((exercise) => ({
+            ...exercise,
+            sets: parseInt(exercise.sets, 10),
+            reps: parseInt(exercise.reps, 10),
+          })),
+          savedAt: new Date().toISOString(),
+        },
+      });
+      setSessionPlanStatus(`Saved plan (last saved ${client.sessionPlan.savedAt.slice(0, 10)}).`);
+    });
+  }
+
+  // Once the session happened, turn the plan into a pre-filled history entry
+  if (logPlanBtn) {
+    logPlanBtn.addEventListener("click", () => {
+      const client = getViewedClient();
+      if (!client || !requirePermission("client:train", client)) return;
+
+      if (planDraft.length === 0) {
+        alert("There is no plan to log yet.");
+        return;
+      }
+
+      openSessionForm(null);
+      fillSessionForm({
+        date: getTodayDate(),
+        exercises: planDraft.map((exercise) => ({
+          name: exercise.name,
+          sets: exercise.sets,
+          reps: exercise.reps,
+        })),
+      });
+      sessionFromPlan = true;
+    });
+  }
+
+  // -------------------------
+  // Export / Import (list page)
+  // -------------------------
+  const exportCsvBtn = document.getElementById("exportCsvBtn");
+  const exportJsonBtn = document.getElementById("exportJsonBtn");
+  const importBtn = document.getElementById("importBtn");
+  const importPanel = document.getElementById("importPanel");
+  const importFileInput = document.getElementById("importFile");
+  const importMappingEl = document.getElementById("importMapping");
+  const importPreviewBody = document.getElementById("importPreviewBody");
+  const importDuplicateAction = document.getElementById("importDuplicateAction");
+  const confirmImportBtn = document.getElementById("confirmImportBtn");
+  const cancelImportBtn = document.getElementById("cancelImportBtn");
+
+  let importData = null;      // { columns, rows } from the chosen file
+  let importMapping = {};     // field key → source column
+  let importPreview = [];     // validated rows
+  let importRowActions = new Map(); // rowNumber → "skip" | "merge" | "add"
+
+  function resetImport() {
+    importData = null;
+    importMapping = {};
+    importPreview = [];
+    importRowActions = new Map();
+    if (importFileInput) importFileInput.value = "";
+    if (importMappingEl) importMappingEl.hidden = true;
+    document.getElementById("importPreview").hidden = true;
+    if (importDuplicateAction) importDuplicateAction.value = "skip";
+    if (confirmImportBtn) confirmImportBtn.disabled = true;
+  }
+
+  function refreshImportPreview() {
+    importPreview = buildImportPreview(importData.rows, importMapping, store.query(), settings);
+
+    // Duplicates start with the action chosen in the "Possible duplicates" select
+    const defaultAction = importDuplicateAction ? importDuplicateAction.value : "skip";
+    importRowActions = new Map();
+    importPreview.forEach((entry) => {
+      if (!entry.duplicate) return;
+      const action = defaultAction === "merge" && entry.duplicate.inFile ? "skip" : defaultAction;
+      importRowActions.set(entry.rowNumber, action);
+    });
+
+    renderImportPreview(importPreview, importRowActions);
+    if (confirmImportBtn) {
+      confirmImportBtn.disabled = !importPreview.some((entry) => entry.errors.length === 0);
+    }
+  }
+
+  if (exportCsvBtn) {
+    exportCsvBtn.addEventListener("click", () => {
+      if (!requirePermission("clients:export")) return;
+      downloadTextFile(`fitcrm-clients-${getTodayDate()}.csv`, clientsToCsv(store.query()), "text/csv");
+    });
+  }
+
+  if (exportJsonBtn) {
+    exportJsonBtn.addEventListener("click", () => {
+      if (!requirePermission("clients:export")) return;
+      downloadTextFile(`fitcrm-clients-${getTodayDate()}.json`, clientsToJson(store.query()), "application/json");
+    });
+  }
+
+  if (importBtn && importPanel) {
+    importBtn.addEventListener("click", () => {
+      if (!requirePermission("clients:import")) return;
+      resetImport();
+      importPanel.hidden = false;
+      importPanel.scrollIntoView({ behavior: "smooth" });
+    });
+  }
+
+  if (cancelImportBtn && importPanel) {
+    cancelImportBtn.addEventListener("click", () => {
+      resetImport();
+      importPanel.hidden = true;
+    });
+  }
+
+  if (importFileInput) {
+    importFileInput.addEventListener("change", async () => {
+      const file = importFileInput.files[0];
+      if (!file) return;
+
+      try {
+        const text = await file.text();
+        importData = parseImportFile(text, file.name);
+      } catch (error) {
+        console.error("Could not read import file", error);
+        alert(`Could not read "${file.name}": ${error.message}`);
+        resetImport();
+        return;
+      }
+
+      if (importData.rows.length === 0) {
+        alert(`"${file.name}" has no client rows to import.`);
+        resetImport();
+        return;
+      }
+
+      importMapping = guessColumnMapping(importData.columns);
+      renderImportMapping(importData.columns, importMapping);
+      refreshImportPreview();
+    });
+  }
+
+  if (importMappingEl) {
+    importMappingEl.addEventListener("change", (event) => {
+      const select = event.target.closest("select[data-field]");
+      if (!select || !importData) return;
+      importMapping[select.dataset.field] = select.value;
+      refreshImportPreview();
+    });
+  }
+
+  if (importDuplicateAction) {
+    importDuplicateAction.addEventListener("change", () => {
+      if (importData) refreshImportPreview();
+    });
+  }
+
+  if (importPreviewBody) {
+    importPreviewBody.addEventListener("change", (event) => {
+      const select = event.target.closest("select[data-row-number]");
+      if (!select) return;
+      importRowActions.set(Number(select.dataset.rowNumber), select.value);
+    });
+  }
+
+  if (confirmImportBtn) {
+    confirmImportBtn.addEventListener("click", () => {
+      if (!importData || !requirePermission("clients:import")) return;
+
+      let added = 0;
+      let merged = 0;
+      let skipped = 0;
+      // Date.now() ids, bumped so clients imported in the same millisecond stay unique
+      let nextId = Math.max(Date.now(), ...store.getAll().map((c) => c.id + 1));
+      // Logged once the batch is saved, so a failed import leaves no history behind
+      const importChanges = [];
+
+      // Saved and redrawn once, after the last row
+      store.batch(() => importPreview.forEach((entry) => {
+        if (entry.errors.length > 0) {
+          skipped++;
+          return;
+        }
+
+        const action = entry.duplicate ? importRowActions.get(entry.rowNumber) : "add";
+
+        if (action === "skip") {
+          skipped++;
+          return;
+        }
+
+        if (action === "merge") {
+          const existing = store.get(entry.duplicate.match.id);
+          if (existing) {
+            const before = { ...existing };
+            store.update(existing.id, mergeImportedClient(before, entry.client));
+            importChanges.push([existing, "update", diffClientFields(before, existing)]);
+            merged++;
+            return;
+          }
+        }
+
+        const client = {
+          ...entry.client,
+          id: nextId++,
+          history: entry.client.history || [],
+          sessionPlan: entry.client.sessionPlan || null,
+          renewals: entry.client.renewals || [],
+          measurements: entry.client.measurements || [],
+          goalTarget: entry.client.goalTarget || null,
+          bookings: entry.client.bookings || [],
+          visits: entry.client.visits || [],
+          payments: entry.client.payments || [],
+          deletedAt: null,
+          trainerId: null,
+        };
+        try {
+          store.add(client, { mode: "import" });
+        } catch (error) {
+          if (!(error instanceof ClientValidationError)) throw error;
+          skipped++;
+          return;
+        }
+        importChanges.push([client, "create", diffClientFields({}, client)]);
+        added++;
+      }));
+      importChanges.forEach(([client, action, changes]) => logChange(client, action, changes, "import"));
+
+      resetImport();
+      if (importPanel) importPanel.hidden = true;
+
+      alert(`Import finished: ${added} added, ${merged} merged, ${skipped} skipped.`);
+    });
+  }
+
+  // -------------------------
+  // Renew membership on Page 3
+  // -------------------------
+  const renewBtn = document.getElementById("renewBtn");
+  const renewMonthsSelect = document.getElementById("renewMonths");
+
+  if (renewMonthsSelect) {
+    RENEWAL_PLAN_MONTHS.forEach((months) => {
+      const option = document.createElement("option");
+      option.value = months;
+      option.textContent = months === 1 ? "1 month" : `${months} months`;
+      renewMonthsSelect.appendChild(option);
+    });
+  }
+
+  if (renewBtn && renewMonthsSelect) {
+    renewBtn.addEventListener("click", () => {
+      const client = getViewedClient();
+      if (!client) {
+        alert("No client selected to renew.");
+        return;
+      }
+      if (!requirePermission("client:renew", client)) return;
+
+      const months = Number(renewMonthsSelect.value);
+      const newEndDate = getRenewedEndDate(client, months);
+      const ok = confirm(
+        `Renew ${client.fullName} for ${renewMonthsSelect.selectedOptions[0].textContent}? ` +
+          `New end date: ${newEndDate}.`
+      );
+      if (!ok) return;
+
+      const renewals = [
+        ...(client.renewals || []),
+        {
+          id: Date.now(),
+          date: getTodayDate(),
+          months,
+          previousEndDate: client.endDate || "",
+          newEndDate,
+        },
+      ];
+      logChange(
+        client,
+        "renew",
+        [{ field: "endDate", oldValue: client.endDate || "", newValue: newEndDate }],
+        renewMonthsSelect.selectedOptions[0].textContent
+      );
+      store.update(client.id, { renewals, endDate: newEndDate });
+    });
+  }
+
+  // -------------------------
+  // Payments on Page 3 and the invoice page
+  // -------------------------
+  const recordPaymentBtn = document.getElementById("recordPaymentBtn");
+  const paymentForm = document.getElementById("paymentForm");
+  const paymentPlanSelect = document.getElementById("paymentPlan");
+  const paymentDateInput = document.getElementById("paymentDate");
+  const savePaymentBtn = document.getElementById("savePaymentBtn");
+  const cancelPaymentBtn = document.getElementById("cancelPaymentBtn");
+  const paymentList = document.getElementById("paymentList");
+  const printInvoiceBtn = document.getElementById("printInvoiceBtn");
+
+  function closePaymentForm() {
+    if (paymentForm) paymentForm.hidden = true;
+  }
+
+  function findMembershipPlan(planId) {
+    return resolveMembershipPlans(settings).find((plan) => plan.id === planId) || null;
+  }
+
+  // Show the dates the chosen plan would pay for
+  function updatePaymentPeriod() {
+    const periodEl = document.getElementById("paymentPeriod");
+    const client = getViewedClient();
+    const plan = findMembershipPlan(Number(paymentPlanSelect.value));
+    if (!client || !plan || !isValidDateString(paymentDateInput.value)) {
+      periodEl.textContent = "";
+      return;
+    }
+    const dates = getPaidMembershipDates(client, plan.months, paymentDateInput.value);
+    periodEl.textContent = `Pays for ${dates.periodStart} – ${dates.endDate}; the membership will end on ${dates.endDate}.`;
+  }
+
+  // A plan's price, or what the client owes when paying toward the balance
+  function fillPaymentAmount() {
+    const client = getViewedClient();
+    const plan = findMembershipPlan(Number(paymentPlanSelect.value));
+    const owed = client ? getClientBalance(client) : 0;
+    document.getElementById("paymentAmount").value = plan ? plan.price : owed > 0 ? owed : "";
+    updatePaymentPeriod();
+  }
+
+  if (recordPaymentBtn) {
+    recordPaymentBtn.addEventListener("click", () => {
+      const client = getViewedClient();
+      if (!client) {
+        alert("No client selected to record a payment for.");
+        return;
+      }
+      if (!requirePermission("client:payment", client)) return;
+
+      renderPaymentFormOptions(resolveMembershipPlans(settings), resolveCurrency(settings));
+      paymentForm.reset();
+      paymentDateInput.value = getTodayDate();
+      fillPaymentAmount();
+      paymentForm.hidden = false;
+      paymentPlanSelect.focus();
+    });
+  }
+
+  if (paymentPlanSelect) paymentPlanSelect.addEventListener("change", fillPaymentAmount);
+  if (paymentDateInput) paymentDateInput.addEventListener("change", updatePaymentPeriod);
+
+  if (cancelPaymentBtn) {
+    cancelPaymentBtn.addEventListener("click", (event) => {
+      event.preventDefault();
+      closePaymentForm();
+    });
+  }
+
+  if (savePaymentBtn) {
+    savePaymentBtn.addEventListener("click", () => {
+      const client = getViewedClient();
+      if (!client) {
+        alert("Could not find this client to record a payment for.");
+        return;
+      }
+      if (!requirePermission("client:payment", client)) return;
+
+      const entered = readPaymentForm();
+      const plan = entered.planId ? findMembershipPlan(entered.planId) : null;
+      const errors = validatePayment(entered);
+      if (entered.planId && !plan) errors.push("That plan is no longer offered. Please choose another.");
+      if (errors.length > 0) {
+        alert(errors.join("\n"));
+        return;
+      }
+
+      // The plan is copied onto the payment so later changes in Settings leave its invoice alone
+      const payments = client.payments || [];
+      const payment = {
+        id: Math.max(Date.now(), ...payments.map((p) => p.id + 1)),
+        date: entered.date,
+        amount: entered.amount,
+        method: entered.method,
+        planId: plan ? plan.id : null,
+        planName: plan ? plan.name : "",
+        months: plan ? plan.months : 0,
+        price: plan ? plan.price : 0,
+        periodStart: "",
+        periodEnd: "",
+        note: entered.note,
+        recordedBy: currentAccount.name,
+      };
+      const fields = { payments: [...payments, payment] };
+      if (plan) {
+        const dates = getPaidMembershipDates(client, plan.months, payment.date);
+        payment.periodStart = dates.periodStart;
+        payment.periodEnd = dates.endDate;
+        fields.startDate = dates.startDate;
+        fields.endDate = dates.endDate;
+      }
+
+      logChange(client, "pay", diffClientFields(client, { ...client, ...fields }), describePayment(payment, resolveCurrency(settings)));
+      closePaymentForm();
+      store.update(client.id, fields);
+    });
+  }
+
+  if (paymentList) {
+    paymentList.addEventListener("click", (event) => {
+      const deleteBtn = event.target.closest(".delete-payment-btn");
+      if (!deleteBtn) return;
+
+      const client = getViewedClient();
+      if (!client || !requirePermission("client:payment", client)) return;
+
+      const paymentId = Number(deleteBtn.dataset.paymentId);
+      const payment = (client.payments || []).find((p) => p.id === paymentId);
+      if (!payment) return;
+
+      const currency = resolveCurrency(settings);
+      const ok = confirm(
+        `Delete the payment of ${formatMoney(payment.amount, currency)} on ${payment.date}? ` +
+          "The membership dates are not changed."
+      );
+      if (!ok) return;
+
+      logChange(client, "unpay", [], describePayment(payment, currency));
+      store.update(client.id, { payments: client.payments.filter((p) => p.id !== paymentId) });
+    });
+  }
+
+  if (printInvoiceBtn) {
+    printInvoiceBtn.addEventListener("click", () => window.print());
+  }
+
+  // -------------------------
+  // Trash, undo toast and undo / redo
+  // -------------------------
+  const trashTableBody = document.getElementById("trashTableBody");
+  const emptyTrashBtn = document.getElementById("emptyTrashBtn");
+  const undoBtn = document.getElementById("undoBtn");
+  const redoBtn = document.getElementById("redoBtn");
+  const toast = document.getElementById("toast");
+  const toastMessage = document.getElementById("toastMessage");
+  const toastUndoBtn = document.getElementById("toastUndoBtn");
+
+  let toastTimer = null;
+
+  // Every change in the store (here, on another device or from undo) redraws the
+  // views that show clients; forms (edit, merge) are left alone so nobody loses
+  // what they are typing
+  store.subscribe(() => {
+    applySearch();
+    renderTrashTable(getTrashedClients(store.getAll()));
+    refreshReminders();
+    const route = parseRoute(window.location.hash);
+    if (["home", "client", "invoice", "checkin", "activity", "calendar"].includes(route.name)) renderRoute();
+  });
+
+  function hideToast() {
+    clearTimeout(toastTimer);
+    if (toast) toast.hidden = true;
+  }
+
+  // The toast's Undo button undoes the latest change (the one the toast is about)
+  function showUndoToast(message) {
+    if (!toast) return;
+    clearTimeout(toastTimer);
+    toastMessage.textContent = message;
+    toast.hidden = false;
+    toastTimer = setTimeout(hideToast, UNDO_TOAST_MS);
+  }
+
+  function undoOrRedo(direction) {
+    const entry = direction === "undo" ? undoStack.takeUndo() : undoStack.takeRedo();
+    if (!entry) return;
+
+    hideToast();
+    updateUndoButtons(undoStack);
+    const target = store.get(entry.clientId);
+    if (!target) {
+      console.warn("Client for undo entry no longer exists", entry);
+      return;
+    }
+
+    // Logged in the same batch, so a redrawn Activity page already shows it
+    const before = { ...target };
+    const note = direction === "undo" ? `Undo: ${entry.label}` : `Redo: ${entry.label}`;
+    store.batch(() => {
+      store.update(target.id, getUndoFields(entry, direction));
+      if (Boolean(before.deletedAt) !== Boolean(target.deletedAt)) {
+        logChange(target, target.deletedAt ? "delete" : "restore", [], note);
+      } else {
+        logChange(target, "update", diffClientFields(before, target), note);
+      }
+    });
+
+    // The edit form and merge page are not redrawn by the store, but may show what was just undone
+    if (["client-edit", "merge"].includes(parseRoute(window.location.hash).name)) renderRoute();
+  }
+
+  renderTrashTable(getTrashedClients(store.getAll()));
+  updateUndoButtons(undoStack);
+
+  if (undoBtn) undoBtn.addEventListener("click", () => undoOrRedo("undo"));
+  if (redoBtn) redoBtn.addEventListener("click", () => undoOrRedo("redo"));
+  if (toastUndoBtn) toastUndoBtn.addEventListener("click", () => undoOrRedo("undo"));
+
+  // Ctrl/Cmd+Z and Ctrl/Cmd+Shift+Z (or Ctrl+Y); text fields keep their own undo
+  document.addEventListener("keydown", (event) => {
+    if (!(event.ctrlKey || event.metaKey) || event.altKey) return;
+    if (event.target.closest("input, textarea, select, [contenteditable]")) return;
+
+    const key = event.key.toLowerCase();
+    if (key === "z" || key === "y") {
       event.preventDefault();
+      undoOrRedo(key === "z" && !event.shiftKey ? "undo" : "redo");
+    }
+  });
+
+  if (trashTableBody) {
+    trashTableBody.addEventListener("click", (event) => {
+      const restoreBtn = event.target.closest(".restore-btn");
+      const purgeBtn = event.target.closest(".purge-btn");
+      if (!restoreBtn && !purgeBtn) return;
+
+      const id = Number((restoreBtn || purgeBtn).dataset.id);
+      const client = store.get(id);
+      if (!client || !requirePermission("trash:manage")) return;
+
+      if (restoreBtn) {
+        undoStack.record({ type: "restore", clientId: id, label: `Restore ${client.fullName}` });
+        logChange(client, "restore");
+        store.update(id, { deletedAt: null });
+        updateUndoButtons(undoStack);
+        showUndoToast(`Restored "${client.fullName}".`);
+        return;
+      }
+
+      const ok = confirm(`Delete "${client.fullName}" forever? This cannot be undone.`);
+      if (!ok) return;
+
+      undoStack.forgetClient(id);
+      logChange(client, "purge");
+      hideToast();
+      store.remove(id);
+      updateUndoButtons(undoStack);
+    });
+  }
+
+  if (emptyTrashBtn) {
+    emptyTrashBtn.addEventListener("click", () => {
+      const trashed = store.query({ trash: true });
+      if (trashed.length === 0 || !requirePermission("trash:manage")) return;
+
+      const ok = confirm(`Delete all ${trashed.length} clients in the Trash forever? This cannot be undone.`);
+      if (!ok) return;
+
+      hideToast();
+      store.batch(() => {
+        trashed.forEach((client) => {
+          undoStack.forgetClient(client.id);
+          logChange(client, "purge");
+          store.remove(client.id);
+        });
+      });
+      updateUndoButtons(undoStack);
+    });
+  }
+
+  // -------------------------
+  // Duplicates panel (list page) and merge page
+  // -------------------------
+  const findDuplicatesBtn = document.getElementById("findDuplicatesBtn");
+  const duplicatesPanel = document.getElementById("duplicatesPanel");
+  const closeDuplicatesBtn = document.getElementById("closeDuplicatesBtn");
+  const confirmMergeBtn = document.getElementById("confirmMergeBtn");
+  const swapMergeBtn = document.getElementById("swapMergeBtn");
+
+  let mergePair = null; // { a, b } shown on the merge page
+
+  function setDuplicatesPanelOpen(open) {
+    if (!duplicatesPanel) return;
+    duplicatesPanel.hidden = !open;
+    if (findDuplicatesBtn) findDuplicatesBtn.setAttribute("aria-expanded", String(open));
+    if (open) renderDuplicatePairs(findDuplicatePairs(store.query(), settings));
+  }
+
+  if (findDuplicatesBtn) {
+    findDuplicatesBtn.addEventListener("click", () => {
+      if (!requirePermission("clients:merge")) return;
+      setDuplicatesPanelOpen(duplicatesPanel.hidden);
+    });
+  }
+
+  if (closeDuplicatesBtn) {
+    closeDuplicatesBtn.addEventListener("click", () => setDuplicatesPanelOpen(false));
+  }
+
+  // Called by the router for #merge/<keptId>/<mergedId>
+  function openMergePage(a, b) {
+    mergePair = { a, b };
+    renderMergeTable(a, b, defaultMergeChoices(a, b));
+    showPage("merge");
+  }
+
+  if (swapMergeBtn) {
+    swapMergeBtn.addEventListener("click", () => {
+      if (!mergePair) return;
+      window.location.hash = mergeHash(mergePair.b.id, mergePair.a.id);
+    });
+  }
+
+  if (confirmMergeBtn) {
+    confirmMergeBtn.addEventListener("click", () => {
+      if (!mergePair || !requirePermission("clients:merge")) return;
+      const { a, b } = mergePair;
+
+      const ok = confirm(`Merge "${b.fullName}" into "${a.fullName}"? ${b.fullName}'s record will be removed.`);
+      if (!ok) return;
+
+      const merged = mergeClientRecords(a, b, readMergeChoices());
+      logChange(merged, "merge", diffClientFields(a, merged), `merged in ${b.fullName}`);
+      logChange(b, "merge", [], `merged into ${merged.fullName}`);
+      store.batch(() => {
+        store.remove(b.id);
+        store.update(a.id, merged);
+      });
+      if (duplicatesPanel && !duplicatesPanel.hidden) setDuplicatesPanelOpen(true);
+
+      // Force the details page to reload the merged record (and its plan)
+      mergePair = null;
+      currentViewedId = null;
+      window.location.hash = clientHash(merged.id);
+    });
+  }
+
+  // -------------------------
+  // Reminders (header panel and the Reminders page)
+  // -------------------------
+  const reminderBellBtn = document.getElementById("reminderBellBtn");
+  const reminderPanel = document.getElementById("reminderPanel");
+  const reminderList = document.getElementById("reminderList");
+  const exportEndDatesIcsBtn = document.getElementById("exportEndDatesIcsBtn");
+  const exportSessionsIcsBtn = document.getElementById("exportSessionsIcsBtn");
+  const exportReminderCsvBtn = document.getElementById("exportReminderCsvBtn");
+
+  // Messages go out through the transport chosen in Settings (see js/reminders.js)
+  let reminderTransportName = resolveReminderTransportName(settings);
+  let reminderTransport = REMINDER_TRANSPORTS[reminderTransportName].create();
 
-      // Reset back to "Add Client" mode
-      enterAddMode();
+  // Clients the signed-in account may send reminders to
+  function getRemindableClients() {
+    return store.query({ match: (client) => can(currentAccount, "client:remind", client) });
+  }
 
-      // Go back to the Client List page
-      window.location.hash = "#list";
-      const listSection = document.getElementById("list");
-      if (listSection) {
-        listSection.scrollIntoView({ behavior: "smooth" });
+  // Today's reminders, minus those already sent or marked done on this device
+  function getDueReminders() {
+    const handled = new Set(loadReminderLog().map((entry) => entry.id));
+    return buildReminderQueue(getRemindableClients(), { today: getTodayDate(), days: resolveReminderDays(settings) })
+      .filter((reminder) => !handled.has(reminder.id));
+  }
+
+  // Redraw the header count, its panel and the Reminders page
+  function refreshReminders() {
+    const reminders = getDueReminders();
+    renderReminderPanel(reminders);
+    renderReminderList(reminders, resolveReminderTemplates(settings), accounts);
+    renderReminderOutbox(reminderTransport.outbox);
+  }
+
+  // After Settings are saved; a new test transport starts with an empty outbox
+  function updateReminderTransport() {
+    const name = resolveReminderTransportName(settings);
+    if (name === reminderTransportName) return;
+    reminderTransportName = name;
+    reminderTransport = REMINDER_TRANSPORTS[name].create();
+  }
+
+  function closeReminderPanel() {
+    if (!reminderPanel) return;
+    reminderPanel.hidden = true;
+    reminderBellBtn.setAttribute("aria-expanded", "false");
+  }
+
+  function markReminderHandled(reminder, status, channel) {
+    recordReminderHandled({ id: reminder.id, status, channel, user: currentAccount.name });
+    refreshReminders();
+  }
+
+  if (reminderBellBtn && reminderPanel) {
+    reminderBellBtn.addEventListener("click", () => {
+      reminderPanel.hidden = !reminderPanel.hidden;
+      reminderBellBtn.setAttribute("aria-expanded", String(!reminderPanel.hidden));
+    });
+
+    // Clicking anywhere else (or following one of its links) closes the panel
+    document.addEventListener("click", (event) => {
+      if (!event.target.closest(".reminder-bell") || event.target.closest("#reminderPanel a")) closeReminderPanel();
+    });
+  }
+
+  if (reminderList) {
+    reminderList.addEventListener("click", async (event) => {
+      const button = event.target.closest("button");
+      const item = button && button.closest(".reminder-item");
+      if (!item) return;
+      const reminder = getDueReminders().find((due) => due.id === item.dataset.key);
+      if (!reminder || !requirePermission("client:remind", reminder.client)) return;
+
+      const channelSelect = item.querySelector(".reminder-channel");
+      const channel = channelSelect ? channelSelect.value : "email";
+      const message = buildReminderMessage(reminder, channel, resolveReminderTemplates(settings), accounts);
+
+      if (button.classList.contains("send-reminder-btn")) {
+        button.disabled = true;
+        try {
+          await reminderTransport.send(message);
+        } catch (error) {
+          console.error("Could not send reminder", error);
+          alert(`The reminder to ${reminder.client.fullName} could not be sent: ${error.message}`);
+          button.disabled = false;
+          return;
+        }
+        markReminderHandled(reminder, "sent", channel);
+      } else if (button.classList.contains("copy-reminder-btn")) {
+        try {
+          await navigator.clipboard.writeText(message.body);
+          button.textContent = "Copied";
+        } catch (error) {
+          console.error("Could not copy reminder", error);
+          alert("The message could not be copied. Please select it and copy it by hand.");
+        }
+      } else if (button.classList.contains("done-reminder-btn")) {
+        markReminderHandled(reminder, "done", null);
+      }
+    });
+  }
+
+  if (exportEndDatesIcsBtn) {
+    exportEndDatesIcsBtn.addEventListener("click", () => {
+      if (!requirePermission("client:remind")) return;
+      const events = getMembershipEndEvents(getRemindableClients());
+      downloadTextFile(
+        `fitcrm-membership-end-dates-${getTodayDate()}.ics`,
+        buildIcsCalendar(events, "FitCRM membership end dates"),
+        "text/calendar"
+      );
+    });
+  }
+
+  if (exportSessionsIcsBtn) {
+    exportSessionsIcsBtn.addEventListener("click", () => {
+      if (!requirePermission("client:remind")) return;
+      const events = getSessionEvents(getRemindableClients(), accounts);
+      downloadTextFile(
+        `fitcrm-sessions-${getTodayDate()}.ics`,
+        buildIcsCalendar(events, "FitCRM sessions"),
+        "text/calendar"
+      );
+    });
+  }
+
+  if (exportReminderCsvBtn) {
+    exportReminderCsvBtn.addEventListener("click", () => {
+      if (!requirePermission("client:remind")) return;
+      const templates = resolveReminderTemplates(settings);
+      const messages = getDueReminders().map((reminder) => ({
+        reminder,
+        message: buildReminderMessage(reminder, getClientChannels(reminder.client)[0] || "email", templates, accounts),
+      }));
+      if (messages.length === 0) {
+        alert("There are no reminders due today.");
+        return;
       }
+      downloadTextFile(`fitcrm-reminders-${getTodayDate()}.csv`, remindersToCsv(messages), "text/csv");
     });
   }
 
   // -------------------------
-  // "Add New" link on list page → go to empty form
+  // Sign in / switch user and the Accounts page
   // -------------------------
-  if (addNewLink) {
-    addNewLink.addEventListener("click", () => {
-      enterAddMode();
+  const signInForm = document.getElementById("signInForm");
+  const signInAccountSelect = document.getElementById("signInAccount");
+  const signInPinInput = document.getElementById("signInPin");
+  const switchUserBtn = document.getElementById("switchUserBtn");
+  const accountsTableBody = document.getElementById("accountsTableBody");
+  const accountNameInput = document.getElementById("accountName");
+  const accountRoleSelect = document.getElementById("accountRole");
+  const accountPinInput = document.getElementById("accountPin");
+  const accountPinHint = document.getElementById("accountPinHint");
+  const clearAccountPinOption = document.getElementById("clearAccountPinOption");
+  const clearAccountPinCheckbox = document.getElementById("clearAccountPin");
+  const accountFormTitle = document.getElementById("accountFormTitle");
+  const saveAccountBtn = document.getElementById("saveAccountBtn");
+  const cancelAccountEditBtn = document.getElementById("cancelAccountEditBtn");
+
+  let editingAccountId = null; // null = adding an account
+
+  // Redraw everything that depends on who is signed in or on the account list
+  function refreshAccountUi() {
+    renderAccountBar(currentAccount);
+    applyPermissions(document, currentAccount);
+    if (editingId === null) refreshTrainerField(defaultTrainerId());
+    applySearch();
+    refreshReminders();
+  }
+
+  async function reloadAccounts() {
+    accounts = await accountBackend.listAccounts();
+    if (currentAccount) {
+      currentAccount = accounts.find((a) => a.id === currentAccount.id) || null;
+    }
+    refreshAccountUi();
+  }
+
+  // Undo history, open forms and the toast belong to whoever was signed in before
+  function setCurrentAccount(account) {
+    currentAccount = account;
+    saveSignedInAccountId(account ? account.id : null);
+    undoStack.clear();
+    updateUndoButtons(undoStack);
+    hideToast();
+    enterAddMode();
+    closeSessionForm();
+    closeMeasurementForm();
+    closePaymentForm();
+    closeBookingForm();
+    currentViewedId = null;
+    refreshAccountUi();
+  }
+
+  if (signInForm) {
+    signInForm.addEventListener("submit", async (event) => {
+      event.preventDefault();
+
+      try {
+        const account = await accountBackend.signIn(Number(signInAccountSelect.value), signInPinInput.value);
+        signInPinInput.value = "";
+        setCurrentAccount(account);
+      } catch (error) {
+        console.error("Could not sign in", error);
+        alert(error.message);
+        return;
+      }
+
+      // Carry on to the page that was asked for (the Sign In page itself goes home)
+      if (parseRoute(window.location.hash).name === "signin") {
+        window.location.hash = "#home";
+      } else {
+        handleRoute();
+      }
+    });
+  }
+
+  if (switchUserBtn) {
+    switchUserBtn.addEventListener("click", () => {
+      setCurrentAccount(null);
+      renderRoute();
+      if (signInAccountSelect) signInAccountSelect.focus();
+    });
+  }
+
+  function resetAccountForm() {
+    editingAccountId = null;
+    accountNameInput.value = "";
+    accountRoleSelect.value = "trainer";
+    accountPinInput.value = "";
+    accountPinHint.textContent = "Leave empty for no PIN.";
+    clearAccountPinCheckbox.checked = false;
+    clearAccountPinOption.hidden = true;
+    accountFormTitle.textContent = "Add Account";
+    saveAccountBtn.textContent = "Add Account";
+    cancelAccountEditBtn.hidden = true;
+  }
+
+  function editAccount(account) {
+    editingAccountId = account.id;
+    accountNameInput.value = account.name;
+    accountRoleSelect.value = account.role;
+    accountPinInput.value = "";
+    accountPinHint.textContent = account.hasPin ? "Leave empty to keep the current PIN." : "Leave empty for no PIN.";
+    clearAccountPinCheckbox.checked = false;
+    clearAccountPinOption.hidden = !account.hasPin;
+    accountFormTitle.textContent = `Edit ${account.name}`;
+    saveAccountBtn.textContent = "Save Changes";
+    cancelAccountEditBtn.hidden = false;
+    accountNameInput.focus();
+  }
+
+  if (saveAccountBtn) {
+    saveAccountBtn.addEventListener("click", async () => {
+      if (!requirePermission("accounts:manage")) return;
+
+      const account = {
+        id: editingAccountId === null ? undefined : editingAccountId,
+        name: accountNameInput.value,
+        role: accountRoleSelect.value,
+      };
+      // A typed PIN replaces the old one; "" removes it; undefined keeps it
+      let pin = accountPinInput.value.trim() || undefined;
+      if (editingAccountId !== null && clearAccountPinCheckbox.checked) pin = "";
+
+      try {
+        await accountBackend.saveAccount(account, pin);
+      } catch (error) {
+        console.error("Could not save account", error);
+        alert(error.message);
+        return;
+      }
+
+      resetAccountForm();
+      await reloadAccounts();
+      renderRoute(); // an admin who changed their own role may no longer see this page
+    });
+  }
+
+  if (cancelAccountEditBtn) {
+    cancelAccountEditBtn.addEventListener("click", resetAccountForm);
+  }
+
+  if (accountsTableBody) {
+    accountsTableBody.addEventListener("click", async (event) => {
+      const editBtn = event.target.closest(".edit-account-btn");
+      const removeBtn = event.target.closest(".remove-account-btn");
+      if (!editBtn && !removeBtn) return;
+
+      const account = accounts.find((a) => a.id === Number((editBtn || removeBtn).dataset.id));
+      if (!account || !requirePermission("accounts:manage")) return;
+
+      if (editBtn) {
+        editAccount(account);
+        return;
+      }
+
+      const assigned = store.getAll().filter((client) => client.trainerId === account.id);
+      const ok = confirm(
+        `Remove ${account.name}'s account?` +
+          (assigned.length > 0 ? ` Their ${assigned.length} client(s) will be unassigned.` : "")
+      );
+      if (!ok) return;
+
+      try {
+        await accountBackend.removeAccount(account.id);
+      } catch (error) {
+        console.error("Could not remove account", error);
+        alert(error.message);
+        return;
+      }
+
+      store.batch(() => {
+        assigned.forEach((client) => {
+          logChange(client, "update", diffClientFields(client, { ...client, trainerId: null }), "account removed");
+          store.update(client.id, { trainerId: null });
+        });
+      });
+      if (editingAccountId === account.id) resetAccountForm();
+      await reloadAccounts();
+      renderRoute();
     });
   }
 
+  refreshAccountUi();
+
   // -------------------------
-  // SEARCH helpers
+  // Calendar page (book / edit / cancel sessions)
   // -------------------------
-  function applySearch() {
-    if (!searchInput) return;
+  const calendarTrainer = document.getElementById("calendarTrainer");
+  const calendarGrid = document.getElementById("calendarGrid");
+  const bookingForm = document.getElementById("bookingForm");
+  const bookingClientSelect = document.getElementById("bookingClient");
+  const bookingTrainerSelect = document.getElementById("bookingTrainer");
+  const bookingRepeatSelect = document.getElementById("bookingRepeat");
+  const newBookingBtn = document.getElementById("newBookingBtn");
+  const saveBookingBtn = document.getElementById("saveBookingBtn");
+  const cancelBookingBtn = document.getElementById("cancelBookingBtn");
 
-    const query = searchInput.value.trim().toLowerCase();
+  let calendarState = calendarStateFromHash("");
+  let editingBooking = null; // { clientId, bookingId } while editing, null = booking a new session
 
-    if (!query) {
-      // Empty search → show all
-      renderClientTable(clients);
-      return;
-    }
+  if (bookingRepeatSelect) {
+    Object.entries(BOOKING_REPEAT_OPTIONS).forEach(([value, { label }]) => {
+      const option = document.createElement("option");
+      option.value = value;
+      option.textContent = label;
+      bookingRepeatSelect.appendChild(option);
+    });
+  }
 
-    const filtered = clients.filter(
-      (c) => c.fullName && c.fullName.toLowerCase().includes(query)
+  function renderCalendarPage() {
+    populateTrainerSelect(
+      calendarTrainer,
+      accounts,
+      calendarState.trainer,
+      [["", "All trainers"], ["me", "My sessions"]],
+      BOOKABLE_ROLES
     );
+    renderCalendar(calendarState, store.getAll(), getAccess());
+  }
 
-    renderClientTable(filtered);
+  function goToCalendar(changes) {
+    window.location.hash = calendarHash({ ...calendarState, ...changes });
   }
 
-  // Enter key in the search box
-  if (searchInput) {
-    searchInput.addEventListener("keydown", (event) => {
-      if (event.key === "Enter") {
-        event.preventDefault();
-        applySearch();
-      } else if (event.key === "Escape") {
-        // ESC to clear search and reset table
-        searchInput.value = "";
-        renderClientTable(clients);
+  function closeBookingForm() {
+    editingBooking = null;
+    if (bookingForm) bookingForm.hidden = true;
+  }
+
+  // client: preselected client (or null); booking: the booking being edited (or null)
+  function openBookingForm(client, booking) {
+    if (!bookingForm) return;
+    if (client && !requirePermission("client:book", client)) return;
+
+    editingBooking = booking ? { clientId: client.id, bookingId: booking.id } : null;
+    populateBookingClients(store.query(), currentAccount, client ? client.id : null);
+    const defaultTrainer =
+      (booking && booking.trainerId) ||
+      (client && client.trainerId) ||
+      (currentAccount.role === "trainer" ? currentAccount.id : "");
+    populateTrainerSelect(bookingTrainerSelect, accounts, defaultTrainer, [["", "Choose a trainer"]], BOOKABLE_ROLES);
+
+    const today = getTodayDate();
+    fillBookingForm(booking || { date: calendarState.date > today ? calendarState.date : today });
+    document.getElementById("bookingFormTitle").textContent = booking ? "Change Booking" : "Book a Session";
+    bookingForm.hidden = false;
+    bookingClientSelect.focus();
+  }
+
+  // Find a booking from the data-* attributes of a calendar button
+  function findBooking(button) {
+    const client = store.get(Number(button.dataset.clientId));
+    const booking = client && (client.bookings || []).find((b) => b.id === Number(button.dataset.bookingId));
+    return booking ? { client, booking } : null;
+  }
+
+  if (calendarTrainer) {
+    calendarTrainer.addEventListener("change", () => goToCalendar({ trainer: calendarTrainer.value }));
+  }
+
+  document.querySelectorAll("[data-calendar-view]").forEach((button) => {
+    button.addEventListener("click", () => goToCalendar({ view: button.dataset.calendarView }));
+  });
+
+  [
+    ["calendarPrevBtn", () => shiftCalendarDate(calendarState, -1)],
+    ["calendarNextBtn", () => shiftCalendarDate(calendarState, 1)],
+    ["calendarTodayBtn", () => getTodayDate()],
+  ].forEach(([id, getDate]) => {
+    const button = document.getElementById(id);
+    if (button) button.addEventListener("click", () => goToCalendar({ date: getDate() }));
+  });
+
+  if (newBookingBtn) {
+    newBookingBtn.addEventListener("click", () => {
+      if (!requirePermission("client:book")) return;
+      openBookingForm(null, null);
+    });
+  }
+
+  // A new booking is with the client's own trainer unless one has been picked
+  if (bookingClientSelect) {
+    bookingClientSelect.addEventListener("change", () => {
+      const client = store.get(Number(bookingClientSelect.value));
+      if (client && client.trainerId && !editingBooking && !bookingTrainerSelect.value) {
+        populateTrainerSelect(bookingTrainerSelect, accounts, client.trainerId, [["", "Choose a trainer"]], BOOKABLE_ROLES);
       }
     });
   }
 
-  // Click on the Search button
-  if (searchBtn) {
-    searchBtn.addEventListener("click", (event) => {
+  if (bookingRepeatSelect) {
+    bookingRepeatSelect.addEventListener("change", () => {
+      const untilInput = document.getElementById("bookingUntil");
+      const date = document.getElementById("bookingDate").value;
+      document.getElementById("bookingUntilField").hidden = bookingRepeatSelect.value === "none";
+      if (bookingRepeatSelect.value !== "none" && !untilInput.value && isValidDateString(date)) {
+        untilInput.value = addMonths(date, 3);
+      }
+    });
+  }
+
+  if (cancelBookingBtn) {
+    cancelBookingBtn.addEventListener("click", (event) => {
       event.preventDefault();
-      applySearch();
+      closeBookingForm();
     });
   }
 
-  // -------------------------
-  // Table clicks (View / Edit / Delete)
-  // -------------------------
-  if (tableBody) {
-    tableBody.addEventListener("click", (event) => {
-      const deleteBtn = event.target.closest(".delete-btn");
-      const editBtn = event.target.closest(".edit-btn");
-      const viewBtn = event.target.closest(".view-btn");
+  if (saveBookingBtn) {
+    saveBookingBtn.addEventListener("click", () => {
+      const { clientId, booking: entered } = readBookingForm();
+      const client = store.query({ match: (c) => c.id === clientId })[0];
+      if (!client) {
+        alert("Please choose a client.");
+        return;
+      }
+      if (!requirePermission("client:book", client)) return;
 
-      // If click is not on one of our buttons, ignore
-      if (!deleteBtn && !editBtn && !viewBtn) return;
+      const previousClient = editingBooking ? store.get(editingBooking.clientId) : null;
+      const previous = previousClient
+        ? (previousClient.bookings || []).find((b) => b.id === editingBooking.bookingId)
+        : null;
 
-      // DELETE: Remove client from list and localStorage
-      // Note: Deletion prompts confirmation before removing
-      if (deleteBtn) {
-        const idToDelete = Number(deleteBtn.dataset.id);
-        const clientToDelete = clients.find((c) => c.id === idToDelete);
-        if (!clientToDelete) return;
+      const errors = validateBooking(entered, { isNew: !previous });
+      if (errors.length > 0) {
+        alert(errors.join("\n"));
+        return;
+      }
 
-        // Prompt confirmation before deleting
-        const ok = confirm(`Delete client "${clientToDelete.fullName}"?`);
-        if (!ok) return; // User cancelled deletion
+      const booking = {
+        id: previous ? previous.id : Date.now(),
+        ...entered,
+        skippedDates: previous ? (previous.skippedDates || []).filter((date) => date >= entered.date) : [],
+      };
 
-        // Remove client from the array
-        clients = clients.filter((c) => c.id !== idToDelete);
-        
-        // Save updated clients array to localStorage (removes deleted client)
-        saveClients(clients);
-        
-        // Re-render the table to reflect the deletion
-        renderClientTable(clients);
+      const conflicts = findTrainerConflicts(booking, store.getAll());
+      if (conflicts.length > 0) {
+        const trainerName = getAccountName(accounts, booking.trainerId);
+        const listed = conflicts
+          .slice(0, 3)
+          .map(({ date, booking: other, client: otherClient }) => `${date} ${formatBookingTime(other)} with ${otherClient.fullName}`);
+        if (conflicts.length > 3) listed.push(`…and ${conflicts.length - 3} more`);
+        alert(`${trainerName} already has a session at that time:\n${listed.join("\n")}`);
         return;
       }
 
-      // EDIT (from table)
-      if (editBtn) {
-        const idToEdit = Number(editBtn.dataset.id);
-        const clientToEdit = clients.find((c) => c.id === idToEdit);
-        if (!clientToEdit) {
-          console.warn("No client found for id", idToEdit);
-          return;
+      logChange(client, previous ? "rebook" : "book", [], describeBooking(booking));
+      closeBookingForm();
+      store.batch(() => {
+        if (previousClient) {
+          store.update(previousClient.id, { bookings: previousClient.bookings.filter((b) => b.id !== booking.id) });
         }
+        store.update(client.id, { bookings: [...(client.bookings || []), booking] });
+      });
+    });
+  }
+
+  if (calendarGrid) {
+    calendarGrid.addEventListener("click", (event) => {
+      const button = event.target.closest(".edit-booking-btn, .cancel-booking-btn, .cancel-series-btn");
+      if (!button) return;
+
+      const found = findBooking(button);
+      if (!found || !requirePermission("client:book", found.client)) return;
+      const { client, booking } = found;
+      const date = button.dataset.date;
 
-        enterEditMode(clientToEdit);
+      if (button.classList.contains("edit-booking-btn")) {
+        openBookingForm(client, booking);
         return;
       }
 
-      // VIEW
-      if (viewBtn) {
-        const idToView = Number(viewBtn.dataset.id);
-        const clientToView = clients.find((c) => c.id === idToView);
-        if (!clientToView) {
-          console.warn("No client found for id", idToView);
-          return;
-        }
+      const wholeBooking = booking.repeat === "none" || button.classList.contains("cancel-series-btn");
+      const question = wholeBooking
+        ? `Cancel ${booking.repeat === "none" ? "the session" : "every session"} booked for ${client.fullName} (${describeBooking(booking)})?`
+        : `Cancel ${client.fullName}'s session on ${date}? Later sessions stay booked.`;
+      if (!confirm(question)) return;
 
-        // Remember which client is being viewed
-        currentViewedId = idToView;
+      if (wholeBooking) {
+        if (editingBooking && editingBooking.bookingId === booking.id) closeBookingForm();
+        logChange(client, "unbook", [], describeBooking(booking));
+        store.update(client.id, { bookings: client.bookings.filter((b) => b.id !== booking.id) });
+      } else {
+        logChange(client, "unbook", [], `${date} ${formatBookingTime(booking)}`);
+        const skippedDates = [...(booking.skippedDates || []), date];
+        store.update(client.id, {
+          bookings: client.bookings.map((b) => (b.id === booking.id ? { ...b, skippedDates } : b)),
+        });
+      }
+    });
+  }
 
-        // Fill Page 3 with this client's data
-        showClientDetails(clientToView);
+  // -------------------------
+  // Check-In page (front desk) and the Attendance card
+  // -------------------------
+  const checkInSearch = document.getElementById("checkInSearch");
+  const checkInResults = document.getElementById("checkInResults");
+  const viewCheckInBtn = document.getElementById("viewCheckInBtn");
 
-        // Load suggested exercises for this client's next session (API)
-        loadNextSessionExercises();
+  function renderCheckInPage() {
+    const query = checkInSearch ? checkInSearch.value : "";
+    const activeClients = store.query();
+    const matches = query.trim() ? activeClients.filter((client) => matchesSearchQuery(client, query)) : [];
+    renderCheckInResults(matches, query, currentAccount);
+    renderTodayCheckIns(activeClients);
+  }
 
-        // Navigate to Page 3
-        window.location.hash = "#client-view";
-        const viewSection = document.getElementById("client-view");
-        if (viewSection) {
-          viewSection.scrollIntoView({ behavior: "smooth" });
-        }
+  // Record a visit now; returns true if the client was checked in
+  function checkInClient(client) {
+    if (!requirePermission("client:checkin", client)) return false;
+
+    const problem = getCheckInProblem(client);
+    if (problem) {
+      alert(problem);
+      return false;
+    }
+
+    const today = getTodayDate();
+    const lastVisit = getLastVisit(client);
+    if (lastVisit && getVisitDate(lastVisit) === today) {
+      const ok = confirm(
+        `${client.fullName} already checked in today at ${formatVisitTime(lastVisit).slice(11)}. Check them in again?`
+      );
+      if (!ok) return false;
+    }
+
+    const visits = client.visits || [];
+    store.update(client.id, {
+      visits: [
+        ...visits,
+        {
+          id: Math.max(Date.now(), ...visits.map((visit) => visit.id + 1)),
+          timestamp: new Date().toISOString(),
+          checkedInBy: currentAccount.name,
+        },
+      ],
+    });
+    return true;
+  }
+
+  if (checkInSearch) {
+    checkInSearch.addEventListener("input", renderCheckInPage);
+  }
+
+  if (checkInResults) {
+    checkInResults.addEventListener("click", (e) => {
+      const button = e.target.closest(".check-in-btn");
+      if (!button) return;
+      const client = store.get(Number(button.dataset.id));
+      if (!client || client.deletedAt || !checkInClient(client)) return;
+
+      // Ready for the next person at the desk
+      checkInSearch.value = "";
+      renderCheckInPage();
+      checkInSearch.focus();
+    });
+  }
+
+  if (viewCheckInBtn) {
+    viewCheckInBtn.addEventListener("click", () => {
+      const client = getViewedClient();
+      if (!client) {
+        alert("No client selected to check in.");
+        return;
       }
+      if (checkInClient(client)) alert(`${client.fullName} is checked in.`);
     });
   }
 
   // -------------------------
-  // "Edit This Client" on Page 3
+  // Sync server status (see js/sync.js)
   // -------------------------
-  if (editFromViewBtn) {
-    editFromViewBtn.addEventListener("click", (event) => {
-      event.preventDefault();
+  const syncStatus = document.getElementById("syncStatus");
 
-      if (currentViewedId === null) {
-        alert("No client selected to edit.");
+  function renderSyncStatus({ enabled, offline, pending }) {
+    if (!syncStatus) return;
+    syncStatus.hidden = !enabled;
+    const waiting = pending > 0 ? ` – ${pending} change${pending === 1 ? "" : "s"} waiting` : "";
+    syncStatus.textContent = offline ? `Offline${waiting}` : pending > 0 ? `Syncing${waiting}` : "Synced";
+    syncStatus.classList.toggle("offline", offline);
+  }
+
+  onSyncEvent((event) => {
+    if (event.type === "status") {
+      renderSyncStatus(event.status);
+    } else if (event.type === "pulled") {
+      // Changes from another device (the store's subscribers redraw what shows them)
+      store.reload();
+    } else if (event.type === "conflict") {
+      const fields = event.conflicts.map((conflict) => CHANGE_FIELD_LABELS[conflict.field] || conflict.field);
+      alert(
+        `${event.clientName} was also changed on another device (${fields.join(", ")}). ` +
+          "Your change was saved over theirs."
+      );
+    } else if (event.type === "error") {
+      alert(`A change to ${event.clientName} could not be saved on the sync server: ${event.message}`);
+    }
+  });
+  renderSyncStatus(getSyncStatus());
+
+  // -------------------------
+  // Settings page (validation rules, membership plans, reminders)
+  // -------------------------
+  const saveSettingsBtn = document.getElementById("saveSettingsBtn");
+  const addPlanBtn = document.getElementById("addPlanBtn");
+  const planTableBody = document.getElementById("planTableBody");
+
+  renderSettingsForm(settings);
+
+  if (addPlanBtn) {
+    addPlanBtn.addEventListener("click", () => {
+      const ids = readPlanRows().map((plan) => plan.id + 1);
+      const row = buildPlanRow({ id: Math.max(Date.now(), ...ids), name: "", months: "", price: "" });
+      planTableBody.appendChild(row);
+      row.querySelector("input").focus();
+    });
+  }
+
+  if (planTableBody) {
+    planTableBody.addEventListener("click", (event) => {
+      const removeBtn = event.target.closest(".remove-plan-btn");
+      if (removeBtn) removeBtn.closest("tr").remove();
+    });
+  }
+
+  if (saveSettingsBtn) {
+    saveSettingsBtn.addEventListener("click", () => {
+      if (!requirePermission("settings:edit")) return;
+      const entered = readSettingsForm();
+      if (entered.phoneCountries.length === 0) {
+        alert("Please allow at least one phone number country.");
+        return;
+      }
+      if (!entered.phoneCountries.includes(entered.defaultPhoneCountry)) {
+        alert("The default phone country must be one of the allowed countries.");
+        return;
+      }
+      if (!Number.isInteger(entered.noVisitDays) || entered.noVisitDays < 1 || entered.noVisitDays > 365) {
+        alert("Clients can be flagged after 1 to 365 days without a visit.");
+        return;
+      }
+      const planErrors = validateMembershipPlans(entered.membershipPlans);
+      if (planErrors.length > 0) {
+        alert(planErrors.join("\n"));
+        return;
+      }
+      if (!isValidCurrency(entered.currency)) {
+        alert("Please enter a currency code such as USD, EUR or EGP.");
+        return;
+      }
+      const { reminderDays } = entered;
+      if (!Number.isInteger(reminderDays) || reminderDays < 1 || reminderDays > MAX_REMINDER_DAYS) {
+        alert(`Reminders can start 1 to ${MAX_REMINDER_DAYS} days before a membership ends.`);
+        return;
+      }
+      const unknownPlaceholders = [
+        ...new Set(Object.values(entered.reminderTemplates).flatMap(findUnknownPlaceholders)),
+      ];
+      if (unknownPlaceholders.length > 0) {
+        alert(`The reminder messages use placeholders FitCRM doesn't know: ${unknownPlaceholders.join(", ")}.`);
+        return;
+      }
+      entered.apiUrl = normalizeApiUrl(entered.apiUrl);
+      if (entered.apiUrl === null) {
+        alert("The sync server address must start with http:// or https://.");
         return;
       }
+      const serverChanged = entered.apiUrl !== (settings.apiUrl || "");
 
-      const clientToEdit = clients.find((c) => c.id === currentViewedId);
-      if (!clientToEdit) {
-        alert("Could not find this client to edit.");
+      try {
+        saveSettings(entered);
+      } catch (error) {
+        console.error("Could not save settings", error);
+        alert("Settings could not be saved. Please try again.");
         return;
       }
 
-      // Re-use the same edit flow as table edit
-      enterEditMode(clientToEdit);
+      settings = resolveValidationSettings(entered);
+      renderSettingsForm(settings);
+      refreshFieldErrors();
+      applySearch(); // the "no visit" flags and the currency may have changed
+      updateReminderTransport();
+      refreshReminders();
+      alert(serverChanged ? "Settings saved. Reload FitCRM to switch sync servers." : "Settings saved.");
     });
   }
+
+  // -------------------------
+  // ROUTER (hash → page), runs on load and on back / forward
+  // -------------------------
+  function openClientPage(client) {
+    // A different client: drop any half-filled session / measurement / payment form and load their plan
+    if (currentViewedId !== client.id) {
+      currentViewedId = client.id;
+      closeSessionForm();
+      closeMeasurementForm();
+      closePaymentForm();
+      showClientDetails(client, getAccess());
+      loadSessionPlan(client);
+    } else {
+      showClientDetails(client, getAccess());
+    }
+    showPage("client-view");
+  }
+
+  // Draw the page for the current hash (clients in the Trash count as not found)
+  function renderRoute() {
+    const hash = window.location.hash;
+    const route = parseRoute(hash);
+    const activeClients = store.query();
+    const client = route.clientId !== null ? activeClients.find((c) => c.id === route.clientId) : null;
+
+    // Leaving the edit form any other way than saving / cancelling drops the edit
+    if (route.name !== "client-edit" && editingId !== null) {
+      enterAddMode();
+    }
+
+    // Nothing but the Sign In page until someone signs in
+    if (!currentAccount || route.name === "signin") {
+      renderSignInOptions(accounts);
+      showPage("signin");
+      return;
+    }
+
+    const permission = ROUTE_PERMISSIONS[route.name];
+    if (permission && !can(currentAccount, permission)) {
+      showNoAccess(permission);
+      return;
+    }
+
+    switch (route.name) {
+      case "home":
+        renderDashboard(getDashboardTiles(activeClients), activeClients.length);
+        showPage("home");
+        break;
+
+      case "new":
+      case "trash":
+        showPage(route.name);
+        break;
+
+      case "checkin":
+        renderCheckInPage();
+        showPage("checkin");
+        break;
+
+      case "reminders":
+        refreshReminders();
+        showPage("reminders");
+        break;
+
+      case "activity":
+        renderActivityLog(loadChangeLog().reverse(), store.getAll());
+        showPage("activity");
+        break;
+
+      case "calendar":
+        calendarState = calendarStateFromHash(hash);
+        renderCalendarPage();
+        showPage("calendar");
+        // "#calendar?book=<id>" (Client Details) opens the booking form for that client
+        if (calendarState.book) {
+          const bookFor = activeClients.find((c) => c.id === calendarState.book);
+          history.replaceState(null, "", calendarHash(calendarState));
+          if (bookFor) openBookingForm(bookFor, null);
+        }
+        break;
+
+      case "settings":
+        // Drop unsaved changes from an earlier visit
+        renderSettingsForm(settings);
+        showPage("settings");
+        break;
+
+      case "accounts":
+        renderAccountsTable(accounts, store.getAll(), currentAccount);
+        showPage("accounts");
+        break;
+
+      case "list":
+        if (hash.includes("?")) {
+          // Filters in the URL (bookmarks, back / forward) win over what is on screen
+          listFilters = filtersFromHash(hash);
+          listView = listViewFromHash(hash);
+          writeFiltersToInputs();
+          applySearch();
+        } else {
+          // Plain "#list" (nav link, "Back to Client List") keeps the current filters
+          syncFiltersToUrl();
+        }
+        showPage("list");
+        break;
+
+      case "client":
+        if (!client) {
+          showNotFound(hash, true);
+          break;
+        }
+        openClientPage(client);
+        break;
+
+      case "client-edit":
+        if (!client) {
+          showNotFound(hash, true);
+          break;
+        }
+        if (!can(currentAccount, "client:edit", client)) {
+          showNoAccess("client:edit");
+          break;
+        }
+        enterEditMode(client);
+        showPage("new");
+        break;
+
+      case "invoice": {
+        const payment = client && (client.payments || []).find((p) => p.id === route.paymentId);
+        if (!payment) {
+          showNotFound(hash, !client);
+          break;
+        }
+        renderInvoice(client, payment, resolveCurrency(settings));
+        showPage("invoice");
+        break;
+      }
+
+      case "merge": {
+        const other = activeClients.find((c) => c.id === route.otherId);
+        if (!client || !other || client === other) {
+          showNotFound(hash, true);
+          break;
+        }
+        openMergePage(client, other);
+        break;
+      }
+
+      default:
+        showNotFound(hash, false);
+    }
+  }
+
+  function handleRoute() {
+    renderRoute();
+
+    // "#client/<id>/plan" (bookings on the calendar) opens Client Details at the next session
+    const route = parseRoute(window.location.hash);
+    const sessionCard = ["nextSessionCard", "upcomingSessionsCard"]
+      .map((id) => document.getElementById(id))
+      .find((card) => card && !card.hidden);
+    if (route.section === "plan" && sessionCard) {
+      sessionCard.scrollIntoView();
+    } else {
+      window.scrollTo(0, 0);
+    }
+  }
+
+  window.addEventListener("hashchange", handleRoute);
+  handleRoute();
 });
@@ -0,0 +1,175 @@
+// =========================
+// BODY MEASUREMENTS & GOAL PROGRESS
+// =========================
+// Clients carry dated measurements:
+//   measurements: [{ id, date, values: { weight: 82.5, "custom:Biceps (cm)": 35 } }]
+// and an optional measurable target for their goal:
+//   goalTarget: { metric: "weight", value: 75 }
+// Standard metrics are listed in MEASUREMENT_METRICS; anything else is a
+// custom metric, stored under "custom:<name as typed>".
+// Charts and event wiring live in main.js.
+
+const MEASUREMENT_METRICS = {
+  weight: { label: "Weight", unit: "kg", min: 20, max: 400 },
+  bodyFat: { label: "Body fat", unit: "%", min: 2, max: 75 },
+  waist: { label: "Waist", unit: "cm", min: 30, max: 250 },
+  restingHeartRate: { label: "Resting heart rate", unit: "bpm", min: 25, max: 220 },
+};
+
+const CUSTOM_METRIC_PREFIX = "custom:";
+
+// The metric a goal is usually measured by (suggested when setting a target)
+const GOAL_DEFAULT_METRICS = {
+  "Weight Loss": "weight",
+  "Muscle Gain": "weight",
+  "General Fitness": "bodyFat",
+  Endurance: "restingHeartRate",
+  "Mobility & Flexibility": "waist",
+};
+
+/**
+ * Storage key for a custom metric
+ * @param {string} name - Name as typed, e.g. "Biceps (cm)"
+ * @returns {string} e.g. "custom:Biceps (cm)"
+ */
+function customMetricKey(name) {
+  return `${CUSTOM_METRIC_PREFIX}${name.trim()}`;
+}
+
+/**
+ * Name of a metric
+ * @param {string} metric - Key of MEASUREMENT_METRICS or a custom metric key
+ * @returns {string} e.g. "Weight" or "Biceps (cm)"
+ */
+function getMetricName(metric) {
+  const known = MEASUREMENT_METRICS[metric];
+  if (known) return known.label;
+  return metric.startsWith(CUSTOM_METRIC_PREFIX) ? metric.slice(CUSTOM_METRIC_PREFIX.length) : metric;
+}
+
+/**
+ * Name of a metric with its unit, for form labels and chart captions
+ * @param {string} metric - Metric key
+ * @returns {string} e.g. "Weight (kg)" or "Biceps (cm)"
+ */
+function getMetricLabel(metric) {
+  const known = MEASUREMENT_METRICS[metric];
+  return known ? `${known.label} (${known.unit})` : getMetricName(metric);
+}
+
+/**
+ * Format a measured value with its unit
+ * @param {string} metric - Metric key
+ * @param {number} value - Measured value
+ * @returns {string} e.g. "82.5 kg"
+ */
+function formatMetricValue(metric, value) {
+  const known = MEASUREMENT_METRICS[metric];
+  const number = String(Math.round(value * 10) / 10);
+  if (!known) return number;
+  return known.unit === "%" ? `${number}%` : `${number} ${known.unit}`;
+}
+
+/**
+ * Describe a goal target
+ * @param {Object|null} goalTarget - { metric, value }
+ * @returns {string} e.g. "Weight 75 kg" ("" without a target)
+ */
+function describeGoalTarget(goalTarget) {
+  if (!goalTarget) return "";
+  return `${getMetricName(goalTarget.metric)} ${formatMetricValue(goalTarget.metric, goalTarget.value)}`;
+}
+
+/**
+ * Check a measurement before it is saved
+ * @param {Object} measurement - { date, values }
+ * @param {string} [today] - Date string in YYYY-MM-DD format (defaults to today)
+ * @returns {Array<string>} Problems to show the user (empty when valid)
+ */
+function validateMeasurement(measurement, today = getTodayDate()) {
+  const errors = [];
+  if (!measurement.date || !isValidDateString(measurement.date)) {
+    errors.push("Please enter the date of the measurement.");
+  } else if (measurement.date > today) {
+    errors.push("Measurements cannot be dated in the future.");
+  }
+
+  const entries = Object.entries(measurement.values || {});
+  if (entries.length === 0) errors.push("Please enter at least one value.");
+
+  entries.forEach(([metric, value]) => {
+    const known = MEASUREMENT_METRICS[metric];
+    if (!Number.isFinite(value)) {
+      errors.push(`${getMetricLabel(metric)} must be a number.`);
+    } else if (known && (value < known.min || value > known.max)) {
+      errors.push(`${getMetricLabel(metric)} must be between ${known.min} and ${known.max}.`);
+    } else if (!known && !getMetricLabel(metric).trim()) {
+      errors.push("Please name the custom metric.");
+    }
+  });
+  return errors;
+}
+
+/**
+ * Sort measurements oldest first (same-day entries in the order they were added)
+ * @param {Array} measurements - Measurement entries
+ * @returns {Array} New sorted array
+ */
+function sortMeasurementsOldestFirst(measurements) {
+  return [...(measurements || [])].sort((a, b) => a.date.localeCompare(b.date) || a.id - b.id);
+}
+
+/**
+ * Every metric a client has a value (or a target) for
+ * Standard metrics come first in MEASUREMENT_METRICS order, then custom ones by name
+ * @param {Object} client - Client with measurements / goalTarget
+ * @returns {Array<string>} Metric keys
+ */
+function listClientMetrics(client) {
+  const used = new Set();
+  (client.measurements || []).forEach((entry) => Object.keys(entry.values || {}).forEach((metric) => used.add(metric)));
+  if (client.goalTarget) used.add(client.goalTarget.metric);
+
+  const standard = Object.keys(MEASUREMENT_METRICS).filter((metric) => used.has(metric));
+  const custom = [...used].filter((metric) => !MEASUREMENT_METRICS[metric]).sort((a, b) => a.localeCompare(b));
+  return [...standard, ...custom];
+}
+
+/**
+ * Values of one metric over time
+ * @param {Object} client - Client with measurements
+ * @param {string} metric - Metric key
+ * @returns {Array} { date, value } oldest first
+ */
+function getMetricSeries(client, metric) {
+  return sortMeasurementsOldestFirst(client.measurements)
+    .filter((entry) => Number.isFinite((entry.values || {})[metric]))
+    .map((entry) => ({ date: entry.date, value: entry.values[metric] }));
+}
+
+/**
+ * How far a client has come toward their goal target
+ * Progress runs from the first measurement of the target metric (0%) to the
+ * target (100%), in whichever direction the target lies
+ * @param {Object} client - Client with measurements / goalTarget
+ * @returns {Object|null} { metric, start, current, target, percent, reached } or null without a target or data
+ */
+function getGoalProgress(client) {
+  const goalTarget = client.goalTarget;
+  if (!goalTarget || !Number.isFinite(goalTarget.value)) return null;
+
+  const series = getMetricSeries(client, goalTarget.metric);
+  if (series.length === 0) return null;
+
+  const start = series[0].value;
+  const current = series[series.length - 1].value;
+  const target = goalTarget.value;
+  const reached = start >= target ? current <= target : current >= target;
+
+  let percent = 100;
+  if (start !== target) {
+    percent = Math.round(((current - start) / (target - start)) * 100);
+    percent = Math.min(100, Math.max(0, percent));
+  }
+  return { metric: goalTarget.metric, start, current, target, percent: reached ? 100 : percent, reached };
+}
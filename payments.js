@@ -0,0 +1,220 @@
+// =========================
+// MEMBERSHIP PLANS, PAYMENTS & INVOICES
+// =========================
+// The plans on offer are set on the Settings page:
+//   settings.membershipPlans: [{ id, name, months, price }]
+// Payments are kept on the client they are from:
+//   payments: [{ id, date, amount, method, planId, planName, months, price,
+//                periodStart, periodEnd, note, recordedBy }]
+// A payment for a plan charges the plan's price (copied onto the payment, so
+// later price changes do not rewrite old invoices) and covers periodStart to
+// periodEnd; a payment without a plan only pays off what is owed. The balance
+// is everything charged minus everything paid. Every payment has an invoice
+// (a receipt once nothing is left to pay on it).
+// Forms, the invoice page and event wiring live in main.js.
+
+const PAYMENT_METHODS = {
+  cash: "Cash",
+  card: "Card",
+  transfer: "Bank transfer",
+  other: "Other",
+};
+
+// Offered until plans are set up in Settings
+const DEFAULT_MEMBERSHIP_PLANS = [
+  { id: 1, name: "Monthly", months: 1, price: 40 },
+  { id: 2, name: "Quarterly", months: 3, price: 110 },
+  { id: 3, name: "Half-year", months: 6, price: 200 },
+  { id: 4, name: "Annual", months: 12, price: 360 },
+];
+
+const DEFAULT_CURRENCY = "USD";
+
+const MAX_PLAN_MONTHS = 36;
+const MAX_PAYMENT_AMOUNT = 100000;
+
+/**
+ * Convert an amount to whole cents, so sums do not pick up floating point errors
+ * @param {number} amount - Amount in currency units
+ * @returns {number} Whole cents
+ */
+function toCents(amount) {
+  return Math.round((Number(amount) || 0) * 100);
+}
+
+/**
+ * Check a currency code
+ * @param {string} currency - ISO 4217 code, e.g. "EUR"
+ * @returns {boolean} True if the browser can format amounts in it
+ */
+function isValidCurrency(currency) {
+  if (!/^[A-Z]{3}$/.test(currency || "")) return false;
+  try {
+    new Intl.NumberFormat(undefined, { style: "currency", currency });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Currency amounts are shown in
+ * @param {Object} settings - App settings
+ * @returns {string} ISO 4217 code
+ */
+function resolveCurrency(settings) {
+  return isValidCurrency(settings.currency) ? settings.currency : DEFAULT_CURRENCY;
+}
+
+/**
+ * Format an amount of money
+ * @param {number} amount - Amount in currency units
+ * @param {string} [currency] - ISO 4217 code
+ * @returns {string} e.g. "$40.00"
+ */
+function formatMoney(amount, currency = DEFAULT_CURRENCY) {
+  return new Intl.NumberFormat(undefined, { style: "currency", currency }).format(toCents(amount) / 100);
+}
+
+/**
+ * Check the plans entered on the Settings page
+ * @param {Array} plans - { id, name, months, price }
+ * @returns {Array<string>} Problems to show the user (empty when valid)
+ */
+function validateMembershipPlans(plans) {
+  const errors = [];
+  if (plans.length === 0) errors.push("Please offer at least one membership plan.");
+
+  const names = new Set();
+  plans.forEach((plan, index) => {
+    const label = plan.name ? `"${plan.name}"` : `Plan ${index + 1}`;
+    if (!plan.name) errors.push(`${label} needs a name.`);
+    if (plan.name && names.has(plan.name.toLowerCase())) errors.push(`There are two plans called ${label}.`);
+    names.add((plan.name || "").toLowerCase());
+    if (!Number.isInteger(plan.months) || plan.months < 1 || plan.months > MAX_PLAN_MONTHS) {
+      errors.push(`${label} must last between 1 and ${MAX_PLAN_MONTHS} months.`);
+    }
+    if (!Number.isFinite(plan.price) || plan.price < 0 || plan.price > MAX_PAYMENT_AMOUNT) {
+      errors.push(`${label} needs a price between 0 and ${MAX_PAYMENT_AMOUNT}.`);
+    }
+  });
+  return errors;
+}
+
+/**
+ * Plans on offer
+ * @param {Object} settings - App settings
+ * @returns {Array} { id, name, months, price } in the order set up
+ */
+function resolveMembershipPlans(settings) {
+  const plans = Array.isArray(settings.membershipPlans) ? settings.membershipPlans : [];
+  return plans.length > 0 && validateMembershipPlans(plans).length === 0 ? plans : DEFAULT_MEMBERSHIP_PLANS;
+}
+
+/**
+ * Check a payment before it is saved
+ * @param {Object} payment - { date, amount, method, planId }
+ * @param {string} [today] - Date string in YYYY-MM-DD format (defaults to today)
+ * @returns {Array<string>} Problems to show the user (empty when valid)
+ */
+function validatePayment(payment, today = getTodayDate()) {
+  const errors = [];
+  if (!isValidDateString(payment.date || "")) {
+    errors.push("Please enter the date of the payment.");
+  } else if (payment.date > today) {
+    errors.push("Payments cannot be dated in the future.");
+  }
+
+  if (!Number.isFinite(payment.amount)) {
+    errors.push("Please enter the amount paid.");
+  } else if (payment.amount < 0 || payment.amount > MAX_PAYMENT_AMOUNT) {
+    errors.push(`The amount must be between 0 and ${MAX_PAYMENT_AMOUNT}.`);
+  } else if (Math.abs(payment.amount * 100 - toCents(payment.amount)) > 1e-6) {
+    errors.push("Amounts can have at most two decimal places.");
+  } else if (payment.amount === 0 && !payment.planId) {
+    errors.push("Please enter the amount paid.");
+  }
+
+  if (!PAYMENT_METHODS[payment.method]) errors.push("Please choose how the client paid.");
+  return errors;
+}
+
+/**
+ * Check a complete payment record, e.g. one carried by a FitCRM JSON export
+ * On top of the form checks, the charge has to fit the plan: a plan payment has
+ * its plan's name, price and the period it pays for; a payment toward the balance has none
+ * @param {Object} payment - Payment entry
+ * @param {string} [today] - Date string in YYYY-MM-DD format (defaults to today)
+ * @returns {Array<string>} Problems to show the user (empty when valid)
+ */
+function validatePaymentRecord(payment, today = getTodayDate()) {
+  const errors = validatePayment(payment, today);
+  if (!payment.planId) {
+    if (toCents(payment.price) !== 0 || payment.periodStart || payment.periodEnd) {
+      errors.push("A payment toward the balance cannot have a price or a period.");
+    }
+    return errors;
+  }
+
+  if (typeof payment.planName !== "string" || !payment.planName.trim()) errors.push("The plan has no name.");
+  if (!Number.isFinite(payment.price) || payment.price < 0 || payment.price > MAX_PAYMENT_AMOUNT) {
+    errors.push(`The plan price must be between 0 and ${MAX_PAYMENT_AMOUNT}.`);
+  }
+  const { periodStart, periodEnd } = payment;
+  if (!isValidDateString(periodStart || "") || !isValidDateString(periodEnd || "") || periodEnd < periodStart) {
+    errors.push("The period paid for needs a start date and a later end date.");
+  }
+  return errors;
+}
+
+/**
+ * What a client owes
+ * @param {Object} client - Client with payments
+ * @returns {number} Amount owed (negative when they are in credit)
+ */
+function getClientBalance(client) {
+  const cents = (client.payments || []).reduce((total, payment) => total + toCents(payment.price) - toCents(payment.amount), 0);
+  return cents / 100;
+}
+
+/**
+ * Describe a balance for the client list and Client Details
+ * @param {number} balance - Result of getClientBalance()
+ * @param {string} [currency] - ISO 4217 code
+ * @returns {string} e.g. "Owes $40.00", "$10.00 in credit" or "Paid up"
+ */
+function describeBalance(balance, currency) {
+  if (balance > 0) return `Owes ${formatMoney(balance, currency)}`;
+  if (balance < 0) return `${formatMoney(-balance, currency)} in credit`;
+  return "Paid up";
+}
+
+/**
+ * Sort payments newest first (same-day payments in the order they were recorded, latest first)
+ * @param {Array} payments - Payment entries
+ * @returns {Array} New sorted array
+ */
+function sortPaymentsNewestFirst(payments) {
+  return [...(payments || [])].sort((a, b) => b.date.localeCompare(a.date) || b.id - a.id);
+}
+
+/**
+ * Invoice number of a payment (the same on every device, as it comes from the payment itself)
+ * @param {Object} payment - Payment
+ * @returns {string} e.g. "INV-20261019-81234"
+ */
+function getInvoiceNumber(payment) {
+  return `INV-${payment.date.replace(/-/g, "")}-${String(payment.id).slice(-5)}`;
+}
+
+/**
+ * Describe a payment for lists and the change log
+ * @param {Object} payment - Payment
+ * @param {string} [currency] - ISO 4217 code
+ * @returns {string} e.g. "$110.00 by card for Quarterly (2026-10-19 – 2027-01-19)"
+ */
+function describePayment(payment, currency) {
+  const paid = `${formatMoney(payment.amount, currency)} by ${PAYMENT_METHODS[payment.method].toLowerCase()}`;
+  if (!payment.planId) return `${paid} toward the balance`;
+  return `${paid} for ${payment.planName} (${payment.periodStart} – ${payment.periodEnd})`;
+}
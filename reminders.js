@@ -0,0 +1,421 @@
+// =========================
+// REMINDERS, MESSAGE TEMPLATES & CALENDAR EXPORT
+// =========================
+// Every day FitCRM queues a reminder for each membership ending within the
+// next few days (Settings → Reminders) and each session booked for today or
+// tomorrow. A reminder's message comes from an editable template with
+// placeholders such as {firstName} or {endDate}.
+//
+// Messages are delivered through a transport: an object with a name and an
+// async send(message) method. createLinkTransport() opens the message in the
+// staff member's email, SMS or WhatsApp app; createMockTransport() only keeps
+// what it was given, for trying reminders out. Sent and done reminders are
+// remembered in this browser's localStorage, so each is only due once.
+//
+// Membership end dates and sessions can also be exported as an iCalendar
+// (.ics) file. Panels, pages and event wiring live in main.js.
+
+const REMINDER_LOG_KEY = "fitCRM_reminders";
+const REMINDER_LOG_SCHEMA_VERSION = 1;
+const REMINDER_LOG_MIGRATIONS = {};
+// Handled reminders are forgotten after this many days (they are long past by then)
+const REMINDER_LOG_DAYS = 90;
+
+// Memberships ending within this many days are reminded about (Settings can change it)
+const DEFAULT_REMINDER_DAYS = 7;
+const MAX_REMINDER_DAYS = 60;
+
+const REMINDER_KINDS = {
+  expiry: { label: "Membership ending", subject: "Your membership is ending soon" },
+  session: { label: "Session due", subject: "Your training session" },
+};
+
+const REMINDER_CHANNELS = {
+  email: { label: "Email", field: "email" },
+  sms: { label: "SMS", field: "phone" },
+  whatsapp: { label: "WhatsApp", field: "phone" },
+};
+
+// Placeholders a template may use, with what they stand for
+const TEMPLATE_PLACEHOLDERS = {
+  firstName: "First name",
+  fullName: "Full name",
+  email: "Email",
+  phone: "Phone",
+  goal: "Fitness goal",
+  startDate: "Membership start date",
+  endDate: "Membership end date",
+  daysLeft: "Days until the membership ends",
+  trainer: "Trainer (the session's, or the assigned one)",
+  sessionDate: "Session date",
+  sessionTime: "Session time, e.g. 18:00–19:00",
+};
+
+const DEFAULT_REMINDER_TEMPLATES = {
+  expiry:
+    "Hi {firstName}, your membership ends on {endDate}. " +
+    "Reply to this message to renew and keep your training going!",
+  session:
+    "Hi {firstName}, just a reminder of your training session on {sessionDate} at {sessionTime} with {trainer}. " +
+    "See you there!",
+};
+
+/**
+ * Days ahead that ending memberships are reminded about
+ * @param {Object} settings - App settings
+ * @returns {number} Whole days (1 to MAX_REMINDER_DAYS)
+ */
+function resolveReminderDays(settings) {
+  const days = parseInt(settings.reminderDays, 10);
+  return days > 0 && days <= MAX_REMINDER_DAYS ? days : DEFAULT_REMINDER_DAYS;
+}
+
+/**
+ * Message templates in use
+ * @param {Object} settings - App settings
+ * @returns {Object} kind → template (the default for any left empty)
+ */
+function resolveReminderTemplates(settings) {
+  const saved = settings.reminderTemplates || {};
+  const templates = {};
+  Object.keys(REMINDER_KINDS).forEach((kind) => {
+    const template = saved[kind];
+    templates[kind] = typeof template === "string" && template.trim() ? template : DEFAULT_REMINDER_TEMPLATES[kind];
+  });
+  return templates;
+}
+
+/**
+ * Placeholders in a template that FitCRM does not know
+ * @param {string} template - Template text
+ * @returns {Array<string>} e.g. ["{frstName}"]
+ */
+function findUnknownPlaceholders(template) {
+  const unknown = (template.match(/\{[^{}]*\}/g) || []).filter((token) => !TEMPLATE_PLACEHOLDERS[token.slice(1, -1)]);
+  return [...new Set(unknown)];
+}
+
+/**
+ * Fill a template's placeholders
+ * @param {string} template - Template text
+ * @param {Object} values - placeholder → value
+ * @returns {string} The message (unknown placeholders are left as they are)
+ */
+function fillTemplate(template, values) {
+  return template.replace(/\{(\w+)\}/g, (token, name) => (name in values ? String(values[name]) : token));
+}
+
+/**
+ * Build the day's reminders
+ * @param {Array} clients - Clients not in the Trash
+ * @param {Object} options - { today, days }: today's date and how many days ahead ending memberships are due
+ * @returns {Array} { id, kind, date, client, booking? } — soonest first; ids stay the same
+ *   from day to day, so a reminder that was sent or done is not queued again
+ */
+function buildReminderQueue(clients, options) {
+  const today = options.today;
+  const lastExpiryDate = addDays(today, options.days);
+  const reminders = [];
+
+  clients.forEach((client) => {
+    if (client.endDate && client.endDate >= today && client.endDate <= lastExpiryDate) {
+      const id = `expiry:${client.id}:${client.endDate}`;
+      reminders.push({ id, kind: "expiry", date: client.endDate, time: "", client });
+    }
+  });
+  listBookedSessions(clients, today, addDays(today, 1)).forEach(({ date, booking, client }) => {
+    const id = `session:${booking.id}:${date}`;
+    reminders.push({ id, kind: "session", date, time: booking.startTime, client, booking });
+  });
+
+  return reminders.sort((a, b) => a.date.localeCompare(b.date) || a.time.localeCompare(b.time));
+}
+
+/**
+ * Values for a reminder's template placeholders
+ * @param {Object} reminder - From buildReminderQueue()
+ * @param {Array} accounts - Staff accounts (for the trainer's name)
+ * @param {string} [today] - Date string in YYYY-MM-DD format (defaults to today)
+ * @returns {Object} placeholder → value
+ */
+function getTemplateValues(reminder, accounts, today = getTodayDate()) {
+  const client = reminder.client;
+  const booking = reminder.booking;
+  const trainerId = booking ? booking.trainerId : client.trainerId;
+  const trainer = accounts.find((account) => account.id === trainerId);
+  const endDate = client.endDate || "";
+
+  return {
+    firstName: (client.fullName || "").trim().split(/\s+/)[0],
+    fullName: client.fullName || "",
+    email: client.email || "",
+    phone: client.phone || "",
+    goal: client.goal || "",
+    startDate: client.startDate || "",
+    endDate,
+    daysLeft: endDate ? Math.round((Date.parse(endDate) - Date.parse(today)) / 86400000) : "",
+    trainer: trainer ? trainer.name : "your trainer",
+    sessionDate: booking ? reminder.date : "",
+    sessionTime: booking ? formatBookingTime(booking) : "",
+  };
+}
+
+/**
+ * Channels a client can be reached on
+ * @param {Object} client - Client object
+ * @returns {Array<string>} Keys of REMINDER_CHANNELS
+ */
+function getClientChannels(client) {
+  return Object.keys(REMINDER_CHANNELS).filter((channel) => client[REMINDER_CHANNELS[channel].field]);
+}
+
+/**
+ * Build the message for a reminder
+ * @param {Object} reminder - From buildReminderQueue()
+ * @param {string} channel - Key of REMINDER_CHANNELS
+ * @param {Object} templates - Result of resolveReminderTemplates()
+ * @param {Array} accounts - Staff accounts
+ * @returns {Object} { reminderId, channel, to, subject, body }
+ */
+function buildReminderMessage(reminder, channel, templates, accounts) {
+  return {
+    reminderId: reminder.id,
+    channel,
+    to: reminder.client[REMINDER_CHANNELS[channel].field] || "",
+    subject: REMINDER_KINDS[reminder.kind].subject,
+    body: fillTemplate(templates[reminder.kind], getTemplateValues(reminder, accounts)),
+  };
+}
+
+/**
+ * Link that opens a message, ready to send, in the matching app
+ * @param {Object} message - From buildReminderMessage()
+ * @returns {string} mailto:, sms: or WhatsApp link
+ */
+function getMessageLink(message) {
+  const text = encodeURIComponent(message.body);
+  if (message.channel === "email") {
+    return `mailto:${encodeURIComponent(message.to)}?subject=${encodeURIComponent(message.subject)}&body=${text}`;
+  }
+  if (message.channel === "whatsapp") return `https://wa.me/${message.to.replace(/\D/g, "")}?text=${text}`;
+  return `sms:${message.to}?body=${text}`;
+}
+
+/**
+ * Transport that opens each message in the email, SMS or WhatsApp app, for staff to send
+ * @param {Function} [openLink] - (url) → void; opens a new window by default
+ * @returns {Object} { name, send }
+ */
+function createLinkTransport(openLink = (url) => window.open(url, "_blank", "noopener")) {
+  return {
+    name: "link",
+    async send(message) {
+      if (!message.to) throw new Error(`There is no ${REMINDER_CHANNELS[message.channel].field} to send to.`);
+      openLink(getMessageLink(message));
+    },
+  };
+}
+
+/**
+ * Transport that delivers nothing and keeps every message it is given (newest last)
+ * @returns {Object} { name, send, outbox }
+ */
+function createMockTransport() {
+  const outbox = [];
+  return {
+    name: "mock",
+    outbox,
+    async send(message) {
+      if (!message.to) throw new Error(`There is no ${REMINDER_CHANNELS[message.channel].field} to send to.`);
+      outbox.push({ ...message, sentAt: new Date().toISOString() });
+    },
+  };
+}
+
+// Transports offered in Settings → Reminders
+const REMINDER_TRANSPORTS = {
+  link: { label: "Open in my email / SMS / WhatsApp app", create: createLinkTransport },
+  mock: { label: "Test mode (nothing is sent)", create: createMockTransport },
+};
+
+/**
+ * Transport chosen in Settings
+ * @param {Object} settings - App settings
+ * @returns {string} Key of REMINDER_TRANSPORTS
+ */
+function resolveReminderTransportName(settings) {
+  return REMINDER_TRANSPORTS[settings.reminderTransport] ? settings.reminderTransport : "link";
+}
+
+/**
+ * Reminders already sent or marked done on this device
+ * @returns {Array} { id, status: "sent" | "done", channel, user, timestamp }
+ */
+function loadReminderLog() {
+  return readVersionedRecords(REMINDER_LOG_KEY, REMINDER_LOG_SCHEMA_VERSION, REMINDER_LOG_MIGRATIONS);
+}
+
+/**
+ * Remember that a reminder was sent or marked done (entries older than REMINDER_LOG_DAYS are dropped)
+ * @param {Object} entry - { id, status, channel, user }
+ */
+function recordReminderHandled(entry) {
+  const cutoff = new Date(Date.now() - REMINDER_LOG_DAYS * 86400000).toISOString();
+  const log = loadReminderLog().filter((existing) => existing.timestamp >= cutoff && existing.id !== entry.id);
+  log.push({ ...entry, timestamp: new Date().toISOString() });
+  writeVersionedRecords(REMINDER_LOG_KEY, log, REMINDER_LOG_SCHEMA_VERSION);
+}
+
+/**
+ * Escape text for an iCalendar property value
+ * @param {string} text - Plain text
+ * @returns {string} Escaped text (RFC 5545, 3.3.11)
+ */
+function escapeIcsText(text) {
+  return String(text).replace(/\\/g, "\\\\").replace(/;/g, "\\;").replace(/,/g, "\\,").replace(/\r?\n/g, "\\n");
+}
+
+/**
+ * Fold an iCalendar line so no line is longer than 75 bytes (RFC 5545, 3.1)
+ * @param {string} line - Unfolded content line
+ * @returns {string} Folded line (continuations start with a space)
+ */
+function foldIcsLine(line) {
+  const encoder = new TextEncoder();
+  const parts = [];
+  let current = "";
+  let bytes = 0;
+  for (const char of line) {
+    const size = encoder.encode(char).length;
+    // Continuation lines lose one byte to their leading space
+    if (bytes + size > (parts.length === 0 ? 75 : 74)) {
+      parts.push(current);
+      current = "";
+      bytes = 0;
+    }
+    current += char;
+    bytes += size;
+  }
+  parts.push(current);
+  return parts.join("\r\n ");
+}
+
+/**
+ * @param {string} date - YYYY-MM-DD
+ * @param {string} [time] - HH:MM (leave out for a whole-day value)
+ * @returns {string} e.g. "20261020" or "20261020T180000" (local time)
+ */
+function toIcsDate(date, time) {
+  const day = date.replace(/-/g, "");
+  return time ? `${day}T${time.replace(":", "")}00` : day;
+}
+
+/**
+ * Calendar events for membership end dates (whole-day events)
+ * @param {Array} clients - Clients not in the Trash
+ * @returns {Array} Events for buildIcsCalendar()
+ */
+function getMembershipEndEvents(clients) {
+  return clients
+    .filter((client) => client.endDate)
+    .map((client) => ({
+      uid: `membership-end-${client.id}@fitcrm`,
+      date: client.endDate,
+      summary: `Membership ends: ${client.fullName}`,
+      description: [client.email, client.phone].filter(Boolean).join(", "),
+    }));
+}
+
+/**
+ * Calendar events for booked sessions (repeating bookings become one repeating event)
+ * @param {Array} clients - Clients not in the Trash
+ * @param {Array} accounts - Staff accounts (for trainer names)
+ * @returns {Array} Events for buildIcsCalendar()
+ */
+function getSessionEvents(clients, accounts) {
+  const events = [];
+  clients.forEach((client) => {
+    (client.bookings || []).forEach((booking) => {
+      const trainer = accounts.find((account) => account.id === booking.trainerId);
+      const everyDays = BOOKING_REPEAT_OPTIONS[booking.repeat] ? BOOKING_REPEAT_OPTIONS[booking.repeat].everyDays : 0;
+      const endMinutes = timeToMinutes(booking.startTime) + booking.durationMinutes;
+      events.push({
+        uid: `session-${booking.id}@fitcrm`,
+        date: booking.date,
+        startTime: booking.startTime,
+        // A session ending at midnight ends at 00:00 the next day
+        endDate: endMinutes >= 24 * 60 ? addDays(booking.date, 1) : booking.date,
+        endTime: minutesToTime(endMinutes),
+        summary: `Session: ${client.fullName}${trainer ? ` with ${trainer.name}` : ""}`,
+        description: booking.notes || "",
+        repeat: everyDays ? { interval: everyDays / 7, until: booking.until } : null,
+        skippedDates: booking.skippedDates || [],
+      });
+    });
+  });
+  return events;
+}
+
+/**
+ * Build an iCalendar (.ics) file
+ * Events without startTime are whole-day events; times are local ("floating")
+ * @param {Array} events - { uid, date, startTime?, endDate?, endTime?, summary, description?, repeat?, skippedDates? }
+ *   where endDate defaults to date and repeat is { interval (weeks), until }
+ * @param {string} name - Calendar name shown by calendar apps
+ * @returns {string} The file contents (CRLF line endings)
+ */
+function buildIcsCalendar(events, name) {
+  const stamp = new Date().toISOString().replace(/[-:]/g, "").replace(/\.\d+/, "");
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    "PRODID:-//FitCRM//Reminders//EN",
+    "CALSCALE:GREGORIAN",
+    `X-WR-CALNAME:${escapeIcsText(name)}`,
+  ];
+
+  events.forEach((event) => {
+    lines.push("BEGIN:VEVENT", `UID:${event.uid}`, `DTSTAMP:${stamp}`);
+    if (event.startTime) {
+      lines.push(
+        `DTSTART:${toIcsDate(event.date, event.startTime)}`,
+        `DTEND:${toIcsDate(event.endDate || event.date, event.endTime)}`
+      );
+    } else {
+      lines.push(`DTSTART;VALUE=DATE:${toIcsDate(event.date)}`, `DTEND;VALUE=DATE:${toIcsDate(addDays(event.date, 1))}`);
+    }
+    if (event.repeat) {
+      lines.push(`RRULE:FREQ=WEEKLY;INTERVAL=${event.repeat.interval};UNTIL=${toIcsDate(event.repeat.until)}T235959`);
+      (event.skippedDates || []).forEach((date) => lines.push(`EXDATE:${toIcsDate(date, event.startTime)}`));
+    }
+    lines.push(`SUMMARY:${escapeIcsText(event.summary)}`);
+    if (event.description) lines.push(`DESCRIPTION:${escapeIcsText(event.description)}`);
+    lines.push("END:VEVENT");
+  });
+
+  lines.push("END:VCALENDAR");
+  return `${lines.map(foldIcsLine).join("\r\n")}\r\n`;
+}
+
+/**
+ * Build a CSV of reminder messages, for bulk email / SMS / WhatsApp tools
+ * @param {Array} messages - { reminder, message } pairs
+ * @returns {string} CSV text with a header row
+ */
+function remindersToCsv(messages) {
+  const header = ["Due", "Reminder", "Client", "Channel", "To", "Subject", "Message"];
+  const rows = messages.map(({ reminder, message }) =>
+    [
+      reminder.date,
+      REMINDER_KINDS[reminder.kind].label,
+      reminder.client.fullName,
+      REMINDER_CHANNELS[message.channel].label,
+      message.to,
+      message.subject,
+      message.body,
+    ]
+      .map(toCsvCell)
+      .join(",")
+  );
+  return [header.join(","), ...rows].join("\r\n");
+}
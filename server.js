@@ -0,0 +1,610 @@
+// =========================
+// FitCRM SERVER - REST API and static files
+// =========================
+// A small local server that shares one roster (and the staff accounts) between
+// every browser pointed at it; see js/sync.js for the browser side. Only Node's
+// built-in modules are used, so there is nothing to install:
+//
+//   node server.js                  → http://localhost:3000
+//   PORT=8080 FITCRM_DATA=/srv/fitcrm.json node server.js
+//
+// Data is kept in one JSON file (FITCRM_DATA, default data/fitcrm.json), written
+// atomically after every change.
+//
+// Signing in (POST /api/accounts/:id/signin) returns a token the browser sends
+// back as "Authorization: Bearer <token>". Creating, changing and deleting
+// accounts and deleting clients need a token of an account whose role allows it
+// (the very first account can be created without one). Reading and editing
+// clients need none, so run the server on a trusted network only.
+//
+// Every change bumps a store-wide revision. A client's `version` is the revision
+// of its last change (including its sessions and plan), and `fieldVersions`
+// records when each field last changed, so PATCH can tell which fields someone
+// else changed since the caller last synced.
+//
+// Endpoints (JSON in, JSON out):
+//   GET    /api/sync?since=<revision>         clients changed since a revision, ids deleted since
+//   GET    /api/clients                       every client, with sessions (history) and plan
+//   POST   /api/clients                       { client } → create
+//   GET    /api/clients/:id
+//   PATCH  /api/clients/:id                   { baseVersion, fields } → field-level update
+//   DELETE /api/clients/:id                   delete forever
+//   GET    /api/clients/:id/sessions
+//   PUT    /api/clients/:id/sessions/:sid     { session } → create or replace
+//   DELETE /api/clients/:id/sessions/:sid
+//   GET    /api/clients/:id/plan
+//   PUT    /api/clients/:id/plan              { plan }
+//   DELETE /api/clients/:id/plan
+//   GET    /api/accounts
+//   POST   /api/accounts                      { account, pin }
+//   PUT    /api/accounts/:id                  { account, pin }
+//   DELETE /api/accounts/:id
+//   POST   /api/accounts/:id/signin           { pin } → account with its token
+
+const crypto = require("crypto");
+const fs = require("fs");
+const http = require("http");
+const path = require("path");
+
+const {
+  PHONE_COUNTRY_FORMATS,
+  isValidDateString,
+  resolveValidationSettings,
+  validateClient,
+} = require("./js/validation.js");
+const {
+  can,
+  checkAccount,
+  createPinSalt,
+  describeMissingPermission,
+  hashPin,
+  toPublicAccount,
+} = require("./js/accounts.js");
+
+const PORT = Number(process.env.PORT) || 3000;
+const DATA_FILE = path.resolve(process.env.FITCRM_DATA || path.join(__dirname, "data", "fitcrm.json"));
+const MAX_BODY_BYTES = 1024 * 1024;
+
+// Browsers apply their own phone rules from Settings; the API accepts any supported country
+const SERVER_VALIDATION_SETTINGS = resolveValidationSettings({
+  phoneCountries: Object.keys(PHONE_COUNTRY_FORMATS),
+});
+
+// Client fields that belong to the server, not to the record itself
+const READ_ONLY_CLIENT_FIELDS = ["id", "history", "sessionPlan", "schemaVersion"];
+
+// Only these parts of the app folder are served (never the data file)
+const STATIC_PREFIXES = ["/css/", "/js/", "/assets/"];
+const CONTENT_TYPES = {
+  ".html": "text/html; charset=utf-8",
+  ".css": "text/css; charset=utf-8",
+  ".js": "text/javascript; charset=utf-8",
+  ".svg": "image/svg+xml",
+  ".png": "image/png",
+  ".json": "application/json; charset=utf-8",
+};
+
+// =========================
+// FILE STORE
+// =========================
+
+/**
+ * An error answered with its HTTP status
+ */
+class HttpError extends Error {
+  /**
+   * @param {number} status - HTTP status code
+   * @param {string} message - Message for the caller
+   * @param {Object} [details] - Extra fields for the response body (e.g. field errors)
+   */
+  constructor(status, message, details) {
+    super(message);
+    this.status = status;
+    this.details = details;
+  }
+}
+
+/**
+ * Load the store from disk
+ * @returns {Object} { revision, clients, sessions, plans, deleted, accounts, tokenSecret }
+ */
+function loadStore() {
+  const empty = { revision: 0, clients: {}, sessions: {}, plans: {}, deleted: {}, accounts: [], tokenSecret: "" };
+  if (!fs.existsSync(DATA_FILE)) return empty;
+  return { ...empty, ...JSON.parse(fs.readFileSync(DATA_FILE, "utf8")) };
+}
+
+/**
+ * Write the store to disk (to a temporary file first, so a crash never leaves half a file)
+ * @param {Object} store - The whole store
+ */
+function saveStore(store) {
+  fs.mkdirSync(path.dirname(DATA_FILE), { recursive: true });
+  const tempFile = `${DATA_FILE}.tmp`;
+  fs.writeFileSync(tempFile, JSON.stringify(store, null, 2));
+  fs.renameSync(tempFile, DATA_FILE);
+}
+
+const store = loadStore();
+// Signs the sign-in tokens; kept in the data file so a restart does not sign everyone out
+if (!store.tokenSecret) {
+  store.tokenSecret = crypto.randomBytes(32).toString("hex");
+  saveStore(store);
+}
+
+/**
+ * Start a new revision for a change
+ * @returns {number} The new revision
+ */
+function nextRevision() {
+  store.revision += 1;
+  return store.revision;
+}
+
+/**
+ * A client as the app uses it, with its sessions and plan
+ * @param {number} id - Client id
+ * @returns {Object} { client, version }
+ */
+function getClientResponse(id) {
+  const entry = store.clients[id];
+  const sessions = Object.values(store.sessions[id] || {}).sort((a, b) => (a.date || "").localeCompare(b.date || ""));
+  return {
+    client: { ...entry.record, history: sessions, sessionPlan: store.plans[id] || null },
+    version: entry.version,
+  };
+}
+
+/**
+ * Find a client or answer 404
+ * @param {string} id - Client id from the URL
+ * @returns {Object} The stored entry { record, version, fieldVersions }
+ */
+function requireClient(id) {
+  const entry = Object.hasOwn(store.clients, id) ? store.clients[id] : null;
+  if (!entry) throw new HttpError(404, `There is no client ${id}.`);
+  return entry;
+}
+
+/**
+ * Reject a client record that breaks the validation rules
+ * @param {Object} record - Client record to check
+ */
+function checkClientRecord(record) {
+  const errors = validateClient(record, { mode: "import", settings: SERVER_VALIDATION_SETTINGS });
+  if (Object.keys(errors).length > 0) {
+    throw new HttpError(422, "The client has invalid fields.", { errors });
+  }
+}
+
+/**
+ * Reject a logged session that the app could not show
+ * @param {Object} session - { date, durationMinutes?, exercises?, notes? }
+ */
+function checkSessionRecord(session) {
+  if (!session || typeof session !== "object" || Array.isArray(session)) {
+    throw new HttpError(400, "The request needs a session.");
+  }
+  const errors = {};
+  if (typeof session.date !== "string" || !isValidDateString(session.date)) {
+    errors.date = "A session needs a date in YYYY-MM-DD format.";
+  }
+  const duration = session.durationMinutes;
+  if (duration !== undefined && duration !== "" && !(Number(duration) > 0)) {
+    errors.durationMinutes = "The duration must be a number of minutes.";
+  }
+  const exercises = session.exercises === undefined ? [] : session.exercises;
+  if (!Array.isArray(exercises) || exercises.some((e) => !e || typeof e.name !== "string" || !e.name.trim())) {
+    errors.exercises = "Exercises must be a list, each with a name.";
+  }
+  if (session.notes !== undefined && typeof session.notes !== "string") {
+    errors.notes = "Notes must be text.";
+  }
+  if (Object.keys(errors).length > 0) {
+    throw new HttpError(422, "The session has invalid fields.", { errors });
+  }
+}
+
+/**
+ * Mark a client as changed (e.g. a session was logged) so the next sync picks it up
+ * @param {number} id - Client id
+ * @returns {number} The client's new version
+ */
+function touchClient(id) {
+  const revision = nextRevision();
+  store.clients[id].version = revision;
+  return revision;
+}
+
+// =========================
+// SIGN-IN TOKENS
+// =========================
+
+/**
+ * Token for a signed-in account
+ * It is signed with the store's secret and changes with the account's PIN, so a
+ * new PIN signs out every device that used the old one
+ * @param {Object} account - Stored account
+ * @returns {string} "<account id>.<signature>"
+ */
+function createSignInToken(account) {
+  const signature = crypto
+    .createHmac("sha256", store.tokenSecret)
+    .update(`${account.id}:${account.pinHash || ""}`)
+    .digest("hex");
+  return `${account.id}.${signature}`;
+}
+
+/**
+ * Account whose token came with a request
+ * @param {Object} headers - Request headers
+ * @returns {Object|null} Stored account, or null without a valid token
+ */
+function getRequestAccount(headers) {
+  const match = /^Bearer (\d+)\.[0-9a-f]{64}$/.exec(headers.authorization || "");
+  const account = match ? store.accounts.find((existing) => existing.id === Number(match[1])) : null;
+  if (!account) return null;
+
+  const given = Buffer.from(headers.authorization.slice("Bearer ".length));
+  const expected = Buffer.from(createSignInToken(account));
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected) ? account : null;
+}
+
+/**
+ * Refuse a request unless its account may do something (see ROLE_PERMISSIONS in js/accounts.js)
+ * @param {Object|null} account - Result of getRequestAccount()
+ * @param {string} action - e.g. "accounts:manage"
+ * @param {Object} [client] - Client the action is about
+ */
+function requirePermission(account, action, client) {
+  if (!account) throw new HttpError(401, "Please sign in first.");
+  if (!can(account, action, client)) throw new HttpError(403, describeMissingPermission(action));
+}
+
+// =========================
+// ROUTES
+// =========================
+
+/**
+ * Create a client (its id is chosen by the browser that created it)
+ * @param {Object} body - { client }
+ * @returns {Object} { client, version }
+ */
+function createClient(body) {
+  const { history, sessionPlan, ...record } = (body && body.client) || {};
+  const id = Number(record.id);
+  if (!id) throw new HttpError(400, "A new client needs a numeric id.");
+  if (store.clients[id]) throw new HttpError(409, `Client ${id} already exists.`);
+  checkClientRecord(record);
+
+  const revision = nextRevision();
+  const fieldVersions = {};
+  Object.keys(record).forEach((field) => {
+    fieldVersions[field] = revision;
+  });
+  store.clients[id] = { record: { ...record, id }, version: revision, fieldVersions };
+
+  store.sessions[id] = {};
+  (history || []).forEach((session) => {
+    store.sessions[id][session.id] = session;
+  });
+  if (sessionPlan) store.plans[id] = sessionPlan;
+  delete store.deleted[id];
+
+  return getClientResponse(id);
+}
+
+/**
+ * Update some fields of a client
+ * A field someone else changed after baseVersion is a conflict: the newest
+ * write wins, and the overwritten value is reported back so the app can say so
+ * @param {string} id - Client id
+ * @param {Object} body - { baseVersion, fields }
+ * @returns {Object} { client, version, conflicts: [{ field, serverValue, yourValue }] }
+ */
+function patchClient(id, body) {
+  const entry = requireClient(id);
+  const fields = (body && body.fields) || {};
+  const baseVersion = Number(body && body.baseVersion) || 0;
+
+  const updated = { ...entry.record };
+  const conflicts = [];
+  Object.entries(fields).forEach(([field, value]) => {
+    if (READ_ONLY_CLIENT_FIELDS.includes(field)) return;
+    if ((entry.fieldVersions[field] || 0) > baseVersion &&
+        JSON.stringify(entry.record[field]) !== JSON.stringify(value)) {
+      conflicts.push({ field, serverValue: entry.record[field], yourValue: value });
+    }
+    updated[field] = value;
+  });
+  checkClientRecord(updated);
+
+  const revision = nextRevision();
+  Object.keys(fields).forEach((field) => {
+    if (!READ_ONLY_CLIENT_FIELDS.includes(field)) entry.fieldVersions[field] = revision;
+  });
+  entry.record = updated;
+  entry.version = revision;
+
+  return { ...getClientResponse(id), conflicts };
+}
+
+/**
+ * Delete a client forever (clients in the app's Trash are only flagged with deletedAt)
+ * @param {string} id - Client id
+ * @param {Object|null} account - Account that asked (needs client:delete)
+ * @returns {Object} { deleted: id }
+ */
+function deleteClient(id, account) {
+  requirePermission(account, "client:delete", requireClient(id).record);
+  delete store.clients[id];
+  delete store.sessions[id];
+  delete store.plans[id];
+  store.deleted[id] = nextRevision();
+  return { deleted: Number(id) };
+}
+
+/**
+ * Everything changed since a revision
+ * @param {number} since - Revision the caller last saw (0 = everything)
+ * @returns {Object} { revision, clients: [{ client, version }], deleted: [ids] }
+ */
+function getChangesSince(since) {
+  return {
+    revision: store.revision,
+    clients: Object.keys(store.clients)
+      .filter((id) => store.clients[id].version > since)
+      .map(getClientResponse),
+    deleted: Object.keys(store.deleted)
+      .filter((id) => store.deleted[id] > since)
+      .map(Number),
+  };
+}
+
+/**
+ * Staff account routes (same rules as the browser's local account backend)
+ * Changes need accounts:manage, except creating the first account
+ * @param {string} method - HTTP method
+ * @param {Array} parts - Path parts after "accounts"
+ * @param {Object} body - Request body
+ * @param {Object|null} requester - Account that sent the request
+ * @returns {Promise<Object>} Response body
+ */
+async function handleAccounts(method, parts, body, requester) {
+  const [idPart, action] = parts;
+  const id = Number(idPart);
+
+  if (!idPart && method === "GET") {
+    return store.accounts.map(toPublicAccount).sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  if ((!idPart && method === "POST") || (idPart && !action && method === "PUT")) {
+    if (store.accounts.length > 0) requirePermission(requester, "accounts:manage");
+    const account = { ...((body && body.account) || {}), id: idPart ? id : undefined };
+    const pin = body ? body.pin : undefined;
+    try {
+      checkAccount(account, pin, store.accounts);
+    } catch (error) {
+      throw new HttpError(400, error.message);
+    }
+
+    const index = store.accounts.findIndex((existing) => existing.id === id);
+    if (idPart && index === -1) throw new HttpError(404, "This account no longer exists.");
+    const saved = {
+      ...(index === -1 ? { id: Math.max(Date.now(), ...store.accounts.map((a) => a.id + 1)) } : store.accounts[index]),
+      name: account.name.trim(),
+      role: account.role,
+    };
+    if (pin) {
+      saved.pinSalt = createPinSalt();
+      saved.pinHash = await hashPin(pin, saved.pinSalt);
+    } else if (pin === "") {
+      delete saved.pinSalt;
+      delete saved.pinHash;
+    }
+
+    if (index === -1) {
+      store.accounts.push(saved);
+    } else {
+      store.accounts[index] = saved;
+    }
+    nextRevision();
+    return toPublicAccount(saved);
+  }
+
+  const account = store.accounts.find((existing) => existing.id === id);
+  if (!account) throw new HttpError(404, "This account no longer exists.");
+
+  if (!action && method === "DELETE") {
+    requirePermission(requester, "accounts:manage");
+    if (account.role === "admin" && store.accounts.filter((a) => a.role === "admin").length === 1) {
+      throw new HttpError(409, "FitCRM needs at least one admin account.");
+    }
+    store.accounts = store.accounts.filter((existing) => existing.id !== id);
+    nextRevision();
+    return { deleted: id };
+  }
+
+  if (action === "signin" && method === "POST") {
+    const pin = (body && body.pin) || "";
+    if (account.pinHash && (await hashPin(pin, account.pinSalt)) !== account.pinHash) {
+      throw new HttpError(401, "That PIN is not right.");
+    }
+    return { ...toPublicAccount(account), token: createSignInToken(account) };
+  }
+
+  throw new HttpError(405, `${method} is not supported here.`);
+}
+
+/**
+ * Route an API request
+ * @param {string} method - HTTP method
+ * @param {URL} url - Request URL
+ * @param {Object} body - Parsed JSON body (or null)
+ * @param {Object|null} requester - Signed-in account that sent it (see getRequestAccount)
+ * @returns {Promise<Object>} Response body; the store is saved when the method changes data
+ */
+async function handleApi(method, url, body, requester) {
+  const parts = url.pathname.replace(/^\/api\/?/, "").split("/").filter(Boolean);
+  const [resource, id, child, childId] = parts;
+
+  if (resource === "sync" && method === "GET") {
+    return getChangesSince(Number(url.searchParams.get("since")) || 0);
+  }
+
+  if (resource === "accounts") {
+    return handleAccounts(method, parts.slice(1), body, requester);
+  }
+
+  if (resource !== "clients") throw new HttpError(404, `There is no API at ${url.pathname}.`);
+  // Ids index plain objects, so anything but digits (e.g. "__proto__") is refused before a lookup
+  if (id && !/^\d+$/.test(id)) throw new HttpError(400, "Client ids are whole numbers.");
+
+  if (!id) {
+    if (method === "GET") return Object.keys(store.clients).map(getClientResponse);
+    if (method === "POST") return createClient(body);
+  } else if (!child) {
+    if (method === "GET") return requireClient(id) && getClientResponse(id);
+    if (method === "PATCH") return patchClient(id, body);
+    if (method === "DELETE") return deleteClient(id, requester);
+  } else if (child === "sessions") {
+    requireClient(id);
+    const sessions = store.sessions[id] || (store.sessions[id] = {});
+    if (!childId && method === "GET") return Object.values(sessions);
+    if (childId && !/^\d+$/.test(childId)) throw new HttpError(400, "Session ids are whole numbers.");
+    if (childId && method === "PUT") {
+      const session = body && body.session;
+      checkSessionRecord(session);
+      sessions[childId] = { ...session, id: Number(childId) };
+      return { session: sessions[childId], version: touchClient(id) };
+    }
+    if (childId && method === "DELETE") {
+      delete sessions[childId];
+      return { deleted: Number(childId), version: touchClient(id) };
+    }
+  } else if (child === "plan") {
+    requireClient(id);
+    if (method === "GET") return { plan: store.plans[id] || null };
+    if (method === "PUT") {
+      if (!body || !body.plan || !Array.isArray(body.plan.exercises)) {
+        throw new HttpError(400, "A plan needs a list of exercises.");
+      }
+      store.plans[id] = body.plan;
+      return { plan: body.plan, version: touchClient(id) };
+    }
+    if (method === "DELETE") {
+      delete store.plans[id];
+      return { plan: null, version: touchClient(id) };
+    }
+  }
+
+  throw new HttpError(405, `${method} is not supported on ${url.pathname}.`);
+}
+
+// =========================
+// HTTP
+// =========================
+
+/**
+ * Read and parse a JSON request body
+ * @param {http.IncomingMessage} req - Request
+ * @returns {Promise<Object|null>} Parsed body, or null when there is none
+ */
+function readJsonBody(req) {
+  return new Promise((resolve, reject) => {
+    let size = 0;
+    const chunks = [];
+    req.on("data", (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(new HttpError(413, "The request body is too large."));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on("end", () => {
+      const text = Buffer.concat(chunks).toString("utf8");
+      if (!text) return resolve(null);
+      try {
+        resolve(JSON.parse(text));
+      } catch (e) {
+        reject(new HttpError(400, "The request body is not valid JSON."));
+      }
+    });
+    req.on("error", reject);
+  });
+}
+
+/**
+ * Send a JSON response
+ * @param {http.ServerResponse} res - Response
+ * @param {number} status - HTTP status code
+ * @param {Object} body - Response body
+ */
+function sendJson(res, status, body) {
+  res.writeHead(status, { "Content-Type": "application/json; charset=utf-8", "Cache-Control": "no-store" });
+  res.end(JSON.stringify(body));
+}
+
+/**
+ * Serve index.html and the files under css/, js/ and assets/
+ * @param {URL} url - Request URL
+ * @param {http.ServerResponse} res - Response
+ */
+function serveStatic(url, res) {
+  let pathname;
+  try {
+    pathname = url.pathname === "/" ? "/index.html" : decodeURIComponent(url.pathname);
+  } catch (error) {
+    // e.g. "/js/%E0%A4%A" (a cut-off percent-encoding)
+    res.writeHead(400, { "Content-Type": "text/plain; charset=utf-8" });
+    res.end("Bad request");
+    return;
+  }
+  const allowed = pathname === "/index.html" || STATIC_PREFIXES.some((prefix) => pathname.startsWith(prefix));
+  const filePath = path.join(__dirname, path.normalize(pathname));
+
+  if (!allowed || !filePath.startsWith(__dirname + path.sep) || !fs.existsSync(filePath)) {
+    res.writeHead(404, { "Content-Type": "text/plain; charset=utf-8" });
+    res.end("Not found");
+    return;
+  }
+
+  res.writeHead(200, { "Content-Type": CONTENT_TYPES[path.extname(filePath)] || "application/octet-stream" });
+  fs.createReadStream(filePath).pipe(res);
+}
+
+const server = http.createServer(async (req, res) => {
+  let url;
+  try {
+    url = new URL(req.url, `http://${req.headers.host || "localhost"}`);
+  } catch (error) {
+    sendJson(res, 400, { error: "The request URL is not valid." });
+    return;
+  }
+
+  try {
+    if (!url.pathname.startsWith("/api/")) {
+      serveStatic(url, res);
+      return;
+    }
+
+    const body = ["POST", "PUT", "PATCH"].includes(req.method) ? await readJsonBody(req) : null;
+    const revisionBefore = store.revision;
+    const result = await handleApi(req.method, url, body, getRequestAccount(req.headers));
+    if (store.revision !== revisionBefore) saveStore(store);
+    sendJson(res, req.method === "POST" && !url.pathname.endsWith("/signin") ? 201 : 200, result);
+  } catch (error) {
+    if (error instanceof HttpError) {
+      sendJson(res, error.status, { error: error.message, ...error.details });
+    } else {
+      console.error(`${req.method} ${url.pathname} failed`, error);
+      sendJson(res, 500, { error: "Something went wrong on the server." });
+    }
+  }
+});
+
+server.listen(PORT, () => {
+  console.log(`FitCRM is running at http://localhost:${PORT} (data: ${DATA_FILE})`);
+});
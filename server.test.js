@@ -0,0 +1,120 @@
+// =========================
+// SERVER TESTS
+// =========================
+// Run with `node --test` (Node 18+, no dependencies). Each run starts server.js
+// on a free port with an empty data file in a temporary folder.
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { spawn } = require("child_process");
+
+let server;
+let baseUrl;
+let dataDir;
+
+test.before(async () => {
+  dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "fitcrm-test-"));
+  const port = 20000 + Math.floor(Math.random() * 20000);
+  server = spawn(process.execPath, [path.join(__dirname, "server.js")], {
+    env: { ...process.env, PORT: String(port), FITCRM_DATA: path.join(dataDir, "fitcrm.json") },
+    stdio: ["ignore", "pipe", "inherit"],
+  });
+  await new Promise((resolve, reject) => {
+    server.stdout.on("data", (chunk) => {
+      if (String(chunk).includes("running at")) resolve();
+    });
+    server.on("exit", (code) => reject(new Error(`server.js exited with code ${code}`)));
+  });
+  baseUrl = `http://localhost:${port}`;
+});
+
+test.after(() => {
+  server.kill();
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+async function request(method, urlPath, body, token) {
+  const headers = body === undefined ? {} : { "Content-Type": "application/json" };
+  if (token) headers.Authorization = `Bearer ${token}`;
+  const response = await fetch(`${baseUrl}${urlPath}`, {
+    method,
+    headers,
+    body: body === undefined ? undefined : JSON.stringify(body),
+  });
+  return { status: response.status, body: await response.json().catch(() => null) };
+}
+
+const sara = {
+  id: 1718000000000,
+  fullName: "Sara Ali",
+  email: "sara@example.com",
+  phone: "+201012345678",
+  goal: "Weight Loss",
+  startDate: "2026-10-19",
+  endDate: "2026-11-19",
+};
+
+test("a malformed percent-encoding is answered with 400", async () => {
+  const response = await fetch(`${baseUrl}/js/%E0%A4%A`);
+  assert.equal(response.status, 400);
+  assert.equal((await request("GET", "/api/clients")).status, 200);
+});
+
+test("client ids that are not whole numbers are refused", async () => {
+  for (const id of ["__proto__", "constructor", "toString", "abc", "1.5"]) {
+    assert.equal((await request("GET", `/api/clients/${id}`)).status, 400, id);
+    assert.equal((await request("PUT", `/api/clients/${id}/sessions/1`, { session: { date: "2026-10-19" } })).status, 400, id);
+    assert.equal((await request("PUT", `/api/clients/${id}/plan`, { plan: { exercises: [] } })).status, 400, id);
+    assert.equal((await request("DELETE", `/api/clients/${id}`)).status, 400, id);
+  }
+  assert.equal(Object.prototype.version, undefined);
+});
+
+test("unknown clients are answered with 404", async () => {
+  assert.equal((await request("GET", "/api/clients/42")).status, 404);
+  assert.equal((await request("PUT", "/api/clients/42/sessions/1", { session: { date: "2026-10-19" } })).status, 404);
+});
+
+test("sessions need a whole-number id and a valid body", async () => {
+  assert.equal((await request("POST", "/api/clients", { client: sara })).status, 201);
+  const sessions = `/api/clients/${sara.id}/sessions`;
+  assert.equal((await request("PUT", `${sessions}/abc`, { session: { date: "2026-10-19" } })).status, 400);
+  assert.equal((await request("PUT", `${sessions}/7`, { session: { date: "soon", exercises: "squats" } })).status, 422);
+
+  const saved = await request("PUT", `${sessions}/7`, {
+    session: { date: "2026-10-19", exercises: [{ name: "Squat", sets: "3" }] },
+  });
+  assert.equal(saved.status, 200);
+  assert.equal(saved.body.session.id, 7);
+});
+
+test("account changes and deleting clients need a signed-in account that may make them", async () => {
+  // The first account can be created by anyone, so a new server is not locked
+  const admin = await request("POST", "/api/accounts", { account: { name: "Mona", role: "admin" }, pin: "1234" });
+  assert.equal(admin.status, 201);
+  const trainerAccount = { account: { name: "Karim", role: "trainer" }, pin: "" };
+  assert.equal((await request("POST", "/api/accounts", trainerAccount)).status, 401);
+  assert.equal((await request("POST", `/api/accounts/${admin.body.id}/signin`, { pin: "0000" })).status, 401);
+
+  const adminToken = (await request("POST", `/api/accounts/${admin.body.id}/signin`, { pin: "1234" })).body.token;
+  const forgedToken = `${admin.body.id}.${"0".repeat(64)}`;
+  assert.equal((await request("POST", "/api/accounts", trainerAccount, forgedToken)).status, 401);
+  const trainer = await request("POST", "/api/accounts", trainerAccount, adminToken);
+  assert.equal(trainer.status, 201);
+  const trainerToken = (await request("POST", `/api/accounts/${trainer.body.id}/signin`, { pin: "" })).body.token;
+
+  const omar = { ...sara, id: 1718000000001, fullName: "Omar Said", email: "omar@x.com", phone: "+201012345679" };
+  assert.equal((await request("POST", "/api/clients", { client: omar })).status, 201);
+  assert.equal((await request("DELETE", `/api/clients/${omar.id}`)).status, 401);
+  assert.equal((await request("DELETE", `/api/clients/${omar.id}`, undefined, trainerToken)).status, 403);
+  assert.equal((await request("DELETE", `/api/accounts/${admin.body.id}`, undefined, trainerToken)).status, 403);
+  assert.equal((await request("DELETE", `/api/clients/${omar.id}`, undefined, adminToken)).status, 200);
+
+  // A new PIN signs out the old token
+  const newPin = { account: { name: "Mona", role: "admin" }, pin: "5678" };
+  assert.equal((await request("PUT", `/api/accounts/${admin.body.id}`, newPin, adminToken)).status, 200);
+  assert.equal((await request("DELETE", `/api/accounts/${trainer.body.id}`, undefined, adminToken)).status, 401);
+});
@@ -0,0 +1,667 @@
+// =========================
+// DATA PERSISTENCE - IndexedDB with a versioned localStorage fallback
+// =========================
+// Client data is stored in the browser's IndexedDB (see "IndexedDB backend" below),
+// falling back to localStorage where IndexedDB is unavailable.
+// Data persists across page refreshes and browser sessions
+//
+// Every stored record carries a `schemaVersion`. When records written by an
+// older version of FitCRM are loaded, the migrations below upgrade them one
+// version at a time, so adding a new field never breaks existing data.
+// Data that cannot be read is copied aside under a "_corrupt_" key instead of
+// being dropped, so the next save cannot wipe it.
+//
+// With a sync server configured in Settings, sync.js also sends every save to
+// the server and brings in changes made on other devices.
+const STORAGE_KEY = "fitCRM_clients";
+const CORRUPT_KEY_SUFFIX = "_corrupt_";
+
+// Bump this and add a migration whenever the client record shape changes
+const CLIENT_SCHEMA_VERSION = 10;
+
+// CLIENT_MIGRATIONS[n] upgrades a record from version n to version n + 1
+// Records saved before versioning existed have no schemaVersion and count as version 1
+const CLIENT_MIGRATIONS = {
+  // v1 → v2: training history log
+  1: (client) => ({
+    ...client,
+    history: Array.isArray(client.history) ? client.history : [],
+  }),
+  // v2 → v3: saved next session plan
+  2: (client) => ({
+    ...client,
+    sessionPlan: client.sessionPlan || null,
+  }),
+  // v3 → v4: membership renewal log
+  3: (client) => ({
+    ...client,
+    renewals: Array.isArray(client.renewals) ? client.renewals : [],
+  }),
+  // v4 → v5: soft delete (clients in the Trash carry the time they were deleted)
+  4: (client) => ({
+    ...client,
+    deletedAt: client.deletedAt || null,
+  }),
+  // v5 → v6: assigned trainer (a staff account id, see accounts.js)
+  5: (client) => ({
+    ...client,
+    trainerId: client.trainerId || null,
+  }),
+  // v6 → v7: body measurements and a measurable goal target (see measurements.js)
+  6: (client) => ({
+    ...client,
+    measurements: Array.isArray(client.measurements) ? client.measurements : [],
+    goalTarget: client.goalTarget || null,
+  }),
+  // v7 → v8: booked sessions (see calendar.js)
+  7: (client) => ({
+    ...client,
+    bookings: Array.isArray(client.bookings) ? client.bookings : [],
+  }),
+  // v8 → v9: check-ins (visits)
+  8: (client) => ({
+    ...client,
+    visits: Array.isArray(client.visits) ? client.visits : [],
+  }),
+  // v9 → v10: payments (see payments.js)
+  9: (client) => ({
+    ...client,
+    payments: Array.isArray(client.payments) ? client.payments : [],
+  }),
+};
+
+// Problems found while loading, shown to the user once by main.js
+const storageWarnings = [];
+
+/**
+ * Copy unreadable data to a backup key so it is never lost
+ * @param {string} key - Storage key the data was read from
+ * @param {string} raw - The raw stored value (or JSON of a single bad record)
+ * @param {string} reason - Why the data could not be used
+ * @returns {string} The backup key the data was copied to
+ */
+function moveAsideCorruptData(key, raw, reason) {
+  let backupKey = `${key}${CORRUPT_KEY_SUFFIX}${Date.now()}`;
+  // Several bad records can be found within the same millisecond
+  for (let n = 1; localStorage.getItem(backupKey) !== null; n++) {
+    backupKey = `${key}${CORRUPT_KEY_SUFFIX}${Date.now()}_${n}`;
+  }
+  try {
+    localStorage.setItem(backupKey, JSON.stringify({ reason, movedAt: new Date().toISOString(), raw }));
+  } catch (e) {
+    // Could not write the backup (e.g. storage full) - leave the original where it is
+    console.error(`Could not back up corrupt data from ${key}`, e);
+    throw e;
+  }
+  console.error(`Moved unreadable data from ${key} to ${backupKey}: ${reason}`);
+  storageWarnings.push(
+    `Some saved data could not be read (${reason}). A copy was kept in browser storage under "${backupKey}".`
+  );
+  return backupKey;
+}
+
+/**
+ * Upgrade a single record to the current schema version
+ * @param {Object} record - Stored record
+ * @param {number} currentVersion - Version the app expects
+ * @param {Object} migrations - Map of version → upgrade function
+ * @returns {Object} Upgraded record (with schemaVersion set)
+ */
+function migrateRecord(record, currentVersion, migrations) {
+  let version = Number(record.schemaVersion) || 1;
+  let migrated = record;
+
+  if (version === currentVersion) {
+    return record;
+  }
+
+  if (version > currentVersion) {
+    // Written by a newer FitCRM - keep every field untouched
+    console.warn(`Record ${record.id} has schema version ${version}, newer than ${currentVersion}`);
+    return migrated;
+  }
+
+  while (version < currentVersion) {
+    const migrate = migrations[version];
+    if (!migrate) {
+      throw new Error(`No migration from schema version ${version}`);
+    }
+    migrated = migrate(migrated);
+    version++;
+  }
+
+  return { ...migrated, schemaVersion: version };
+}
+
+/**
+ * Load an array of versioned records from localStorage and run migrations
+ * - unparseable or non-array data is moved aside and an empty list is returned
+ * - individual records that fail to migrate are moved aside and skipped
+ * @param {string} key - Storage key
+ * @param {number} currentVersion - Version the app expects
+ * @param {Object} migrations - Map of version → upgrade function
+ * @returns {Array} Records at the current schema version
+ */
+function readVersionedRecords(key, currentVersion, migrations) {
+  const stored = localStorage.getItem(key);
+  if (!stored) return [];
+
+  let parsed;
+  try {
+    parsed = JSON.parse(stored);
+  } catch (e) {
+    moveAsideCorruptData(key, stored, "the stored JSON is invalid");
+    localStorage.removeItem(key);
+    return [];
+  }
+
+  if (!Array.isArray(parsed)) {
+    moveAsideCorruptData(key, stored, "the stored data is not a list");
+    localStorage.removeItem(key);
+    return [];
+  }
+
+  const records = [];
+  let needsRewrite = false;
+
+  parsed.forEach((record) => {
+    if (!record || typeof record !== "object") {
+      moveAsideCorruptData(key, JSON.stringify(record), "a record is not an object");
+      needsRewrite = true;
+      return;
+    }
+
+    try {
+      const migrated = migrateRecord(record, currentVersion, migrations);
+      if (migrated !== record) needsRewrite = true;
+      records.push(migrated);
+    } catch (e) {
+      moveAsideCorruptData(key, JSON.stringify(record), e.message);
+      needsRewrite = true;
+    }
+  });
+
+  // Persist the upgraded records so migrations only run once
+  if (needsRewrite) {
+    writeVersionedRecords(key, records, currentVersion);
+  }
+
+  return records;
+}
+
+/**
+ * Save an array of records to localStorage, stamping each with the schema version
+ * @param {string} key - Storage key
+ * @param {Array} records - Records to save
+ * @param {number} currentVersion - Version the records are in
+ */
+function writeVersionedRecords(key, records, currentVersion) {
+  const stamped = records.map((record) =>
+    record.schemaVersion ? record : { ...record, schemaVersion: currentVersion }
+  );
+  localStorage.setItem(key, JSON.stringify(stamped));
+}
+
+/**
+ * Return (and clear) the problems found while loading stored data
+ * @returns {Array<string>} Messages for the user
+ */
+function takeStorageWarnings() {
+  return storageWarnings.splice(0, storageWarnings.length);
+}
+
+// =========================
+// IndexedDB backend
+// =========================
+// Clients, their training sessions and their saved plans live in separate
+// object stores, so adding a session only writes that one session instead of
+// re-serializing the whole roster. The change log has a store of its own. loadClients()/saveClients() keep their
+// synchronous signatures: records are read into memory once by
+// initClientStorage(), and saves write only what changed in the background.
+const DB_NAME = "fitCRM";
+const DB_VERSION = 2;
+const LOCAL_STORAGE_MIGRATED_KEY = `${STORAGE_KEY}_migrated_to_indexeddb`;
+
+let clientDb = null;              // IDBDatabase once the IndexedDB backend is active
+let clientCache = [];             // clients as last loaded / saved
+let changeLogCache = null;        // change log entries (loaded on first use)
+let writtenState = new Map();     // client id → JSON of what IndexedDB currently holds
+let pendingWrite = Promise.resolve();
+let storageErrorHandler = (error) => console.error("Could not save clients", error);
+let clientSyncHandler = null;     // set by sync.js when a sync server is configured
+
+/**
+ * Wrap an IDBRequest in a promise
+ * @param {IDBRequest} request - Request to wait for
+ * @returns {Promise<*>} The request result
+ */
+function promisifyRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Wait for a transaction to commit
+ * @param {IDBTransaction} tx - Transaction to wait for
+ * @returns {Promise<void>}
+ */
+function transactionDone(tx) {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error || new Error("IndexedDB transaction aborted"));
+  });
+}
+
+/**
+ * Create or upgrade the object stores
+ * @param {IDBDatabase} db - Database being upgraded
+ * @param {number} oldVersion - Version the database had before (0 = new)
+ */
+function upgradeClientDatabase(db, oldVersion) {
+  if (oldVersion < 1) {
+    const clientsStore = db.createObjectStore("clients", { keyPath: "id" });
+    clientsStore.createIndex("name", "fullName");
+    clientsStore.createIndex("email", "email");
+    clientsStore.createIndex("endDate", "endDate");
+
+    // Session ids are only unique per client, so the key includes the client id
+    const sessionsStore = db.createObjectStore("sessions", { keyPath: ["clientId", "id"] });
+    sessionsStore.createIndex("clientId", "clientId");
+    sessionsStore.createIndex("date", "date");
+
+    db.createObjectStore("plans", { keyPath: "clientId" });
+    db.createObjectStore("meta", { keyPath: "key" });
+  }
+
+  if (oldVersion < 2) {
+    const changesStore = db.createObjectStore("changes", { keyPath: "id" });
+    changesStore.createIndex("clientId", "clientId");
+    changesStore.createIndex("timestamp", "timestamp");
+  }
+}
+
+/**
+ * Open (and create / upgrade if needed) the FitCRM database
+ * @returns {Promise<IDBDatabase>}
+ */
+function openClientDatabase() {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = (event) => upgradeClientDatabase(request.result, event.oldVersion);
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+    request.onblocked = () => console.warn("FitCRM database upgrade is blocked by another open tab");
+  });
+}
+
+/**
+ * Split a client into the records kept in each object store
+ * @param {Object} client - Client object as used by the app
+ * @returns {Object} { record, sessions, plan }
+ */
+function splitClientRecord(client) {
+  const { history, sessionPlan, ...record } = client;
+  const sessions = (history || []).map((session) => ({ ...session, clientId: client.id }));
+  const plan = sessionPlan ? { ...sessionPlan, clientId: client.id } : null;
+  return { record, sessions, plan };
+}
+
+/**
+ * Put a client back together from its object store records
+ * @param {Object} record - Row from the clients store
+ * @param {Array} sessions - Rows from the sessions store for this client
+ * @param {Object|null} plan - Row from the plans store for this client
+ * @returns {Object} Client object as used by the app
+ */
+function joinClientRecord(record, sessions, plan) {
+  const history = sessions.map(({ clientId, ...session }) => session);
+  let sessionPlan = null;
+  if (plan) {
+    const { clientId, ...rest } = plan;
+    sessionPlan = rest;
+  }
+  return { ...record, history, sessionPlan };
+}
+
+/**
+ * Serialize the parts of a client so changes can be detected cheaply
+ * @param {Object} client - Client object
+ * @returns {Object} { record, sessions: Map(id → JSON), plan } as JSON strings
+ */
+function snapshotClient(client) {
+  const { record, sessions, plan } = splitClientRecord(client);
+  return {
+    record: JSON.stringify(record),
+    sessions: new Map(sessions.map((session) => [session.id, JSON.stringify(session)])),
+    plan: plan ? JSON.stringify(plan) : null,
+  };
+}
+
+/**
+ * Compare clients with what IndexedDB holds and list the writes needed
+ * Updates writtenState as if the writes had already happened
+ * @param {Array} clients - Full client list
+ * @returns {Object} { puts: { clients, sessions, plans }, deletes: { clients, sessions, plans } }
+ */
+function collectClientChanges(clients) {
+  const changes = {
+    puts: { clients: [], sessions: [], plans: [] },
+    deletes: { clients: [], sessions: [], plans: [] },
+  };
+  const seen = new Set();
+
+  clients.forEach((client) => {
+    const stamped = client.schemaVersion ? client : { ...client, schemaVersion: CLIENT_SCHEMA_VERSION };
+    const { record, sessions, plan } = splitClientRecord(stamped);
+    const next = snapshotClient(stamped);
+    const previous = writtenState.get(client.id);
+    seen.add(client.id);
+
+    if (!previous || previous.record !== next.record) {
+      changes.puts.clients.push(record);
+    }
+
+    sessions.forEach((session) => {
+      if (!previous || previous.sessions.get(session.id) !== next.sessions.get(session.id)) {
+        changes.puts.sessions.push(session);
+      }
+    });
+    if (previous) {
+      previous.sessions.forEach((json, sessionId) => {
+        if (!next.sessions.has(sessionId)) changes.deletes.sessions.push([client.id, sessionId]);
+      });
+    }
+
+    if (plan && (!previous || previous.plan !== next.plan)) {
+      changes.puts.plans.push(plan);
+    } else if (!plan && previous && previous.plan) {
+      changes.deletes.plans.push(client.id);
+    }
+
+    writtenState.set(client.id, next);
+  });
+
+  writtenState.forEach((previous, id) => {
+    if (seen.has(id)) return;
+    changes.deletes.clients.push(id);
+    previous.sessions.forEach((json, sessionId) => changes.deletes.sessions.push([id, sessionId]));
+    if (previous.plan) changes.deletes.plans.push(id);
+    writtenState.delete(id);
+  });
+
+  return changes;
+}
+
+/**
+ * Apply a set of changes in a single IndexedDB transaction
+ * @param {Object} changes - Result of collectClientChanges()
+ * @returns {Promise<void>}
+ */
+function applyClientChanges(changes) {
+  const tx = clientDb.transaction(["clients", "sessions", "plans"], "readwrite");
+  ["clients", "sessions", "plans"].forEach((storeName) => {
+    const store = tx.objectStore(storeName);
+    changes.puts[storeName].forEach((row) => store.put(row));
+    changes.deletes[storeName].forEach((key) => store.delete(key));
+  });
+  return transactionDone(tx);
+}
+
+/**
+ * Read every client (with sessions and plans) from IndexedDB
+ * @returns {Promise<Array>} Raw joined client objects (not yet migrated)
+ */
+async function readAllClientsFromDb() {
+  const tx = clientDb.transaction(["clients", "sessions", "plans"], "readonly");
+  const [records, sessions, plans] = await Promise.all([
+    promisifyRequest(tx.objectStore("clients").getAll()),
+    promisifyRequest(tx.objectStore("sessions").getAll()),
+    promisifyRequest(tx.objectStore("plans").getAll()),
+  ]);
+
+  const sessionsByClient = new Map();
+  sessions.forEach((session) => {
+    if (!sessionsByClient.has(session.clientId)) sessionsByClient.set(session.clientId, []);
+    sessionsByClient.get(session.clientId).push(session);
+  });
+  const plansByClient = new Map(plans.map((plan) => [plan.clientId, plan]));
+
+  return records.map((record) =>
+    joinClientRecord(record, sessionsByClient.get(record.id) || [], plansByClient.get(record.id) || null)
+  );
+}
+
+/**
+ * Copy the localStorage roster into IndexedDB the first time the backend is used
+ * The old localStorage value is kept under a "_migrated_to_indexeddb" key as a backup
+ * @returns {Promise<void>}
+ */
+async function migrateLocalStorageToDb() {
+  const metaTx = clientDb.transaction("meta", "readonly");
+  const done = await promisifyRequest(metaTx.objectStore("meta").get("localStorageMigrated"));
+  if (done) return;
+
+  const legacyClients = readVersionedRecords(STORAGE_KEY, CLIENT_SCHEMA_VERSION, CLIENT_MIGRATIONS);
+
+  const changes = collectClientChanges(legacyClients);
+  const tx = clientDb.transaction(["clients", "sessions", "plans", "meta"], "readwrite");
+  ["clients", "sessions", "plans"].forEach((storeName) => {
+    const store = tx.objectStore(storeName);
+    changes.puts[storeName].forEach((row) => store.put(row));
+  });
+  tx.objectStore("meta").put({ key: "localStorageMigrated", at: new Date().toISOString() });
+  await transactionDone(tx);
+
+  const legacyRaw = localStorage.getItem(STORAGE_KEY);
+  if (legacyRaw !== null) {
+    localStorage.setItem(LOCAL_STORAGE_MIGRATED_KEY, legacyRaw);
+    localStorage.removeItem(STORAGE_KEY);
+  }
+  writtenState = new Map();
+}
+
+/**
+ * Open this browser's client storage
+ * Uses IndexedDB when the browser supports it, otherwise keeps using localStorage
+ * @returns {Promise<string>} The active backend: "indexeddb" or "localStorage"
+ */
+async function initLocalClientStorage() {
+  if (typeof indexedDB === "undefined") {
+    return "localStorage";
+  }
+
+  try {
+    clientDb = await openClientDatabase();
+    await migrateLocalStorageToDb();
+
+    const rawClients = await readAllClientsFromDb();
+    const changesTx = clientDb.transaction("changes", "readonly");
+    changeLogCache = await promisifyRequest(changesTx.objectStore("changes").getAll());
+    writtenState = new Map(rawClients.map((client) => [client.id, snapshotClient(client)]));
+
+    // Run schema migrations on the joined records and persist any upgrades
+    clientCache = [];
+    rawClients.forEach((client) => {
+      try {
+        clientCache.push(migrateRecord(client, CLIENT_SCHEMA_VERSION, CLIENT_MIGRATIONS));
+      } catch (e) {
+        moveAsideCorruptData(STORAGE_KEY, JSON.stringify(client), e.message);
+        clientCache.push(client);
+      }
+    });
+    saveClients(clientCache);
+    await pendingWrite;
+
+    return "indexeddb";
+  } catch (e) {
+    console.error("IndexedDB is unavailable, using localStorage instead", e);
+    clientDb = null;
+    return "localStorage";
+  }
+}
+
+/**
+ * Prepare client storage; call (and await) once before loadClients()
+ * With a sync server the local copy is brought up to date first (see sync.js)
+ * @param {Object} [options] - { apiUrl } of the sync server, if any
+ * @returns {Promise<string>} The active local backend: "indexeddb" or "localStorage"
+ */
+async function initClientStorage(options = {}) {
+  const backend = await initLocalClientStorage();
+  if (options.apiUrl) await startClientSync(options.apiUrl);
+  return backend;
+}
+
+/**
+ * Load clients, upgrading old records to the current schema
+ * @returns {Array} Array of client objects, or empty array if none exist
+ */
+function loadClients() {
+  if (!clientDb) {
+    return readVersionedRecords(STORAGE_KEY, CLIENT_SCHEMA_VERSION, CLIENT_MIGRATIONS);
+  }
+  return [...clientCache];
+}
+
+/**
+ * Save clients array
+ * With IndexedDB only the records that changed since the last save are written
+ * @param {Array} clients - Array of client objects to save
+ */
+function saveClients(clients) {
+  if (clientSyncHandler) clientSyncHandler(clients);
+
+  if (!clientDb) {
+    writeVersionedRecords(STORAGE_KEY, clients, CLIENT_SCHEMA_VERSION);
+    return;
+  }
+
+  clientCache = [...clients];
+  const changes = collectClientChanges(clients);
+  const hasChanges = ["puts", "deletes"].some((kind) =>
+    Object.values(changes[kind]).some((rows) => rows.length > 0)
+  );
+  if (!hasChanges) return;
+
+  pendingWrite = pendingWrite
+    .then(() => applyClientChanges(changes))
+    .catch((error) => {
+      // Forget what we think is stored so the next save rewrites these records
+      writtenState = new Map();
+      storageErrorHandler(error);
+    });
+}
+
+/**
+ * Wait until every pending IndexedDB write has finished
+ * @returns {Promise<void>}
+ */
+function flushClientStorage() {
+  return pendingWrite;
+}
+
+/**
+ * Register a callback for background save failures (IndexedDB writes are asynchronous)
+ * @param {Function} handler - Called with the Error
+ */
+function onStorageError(handler) {
+  storageErrorHandler = handler;
+}
+
+/**
+ * Register the callback given every client list that is saved
+ * (sync.js uses it to queue changes for the server)
+ * @param {Function} handler - Called with the clients array
+ */
+function setClientSyncHandler(handler) {
+  clientSyncHandler = handler;
+}
+
+// =========================
+// APP SETTINGS
+// =========================
+// A small settings object (validation rules, ...) kept in localStorage.
+// Callers fill in their own defaults, e.g. resolveValidationSettings() in validation.js
+
+const SETTINGS_KEY = "fitCRM_settings";
+
+/**
+ * Read the saved settings
+ * @returns {Object} Saved settings, or {} when nothing (readable) is stored
+ */
+function loadSettings() {
+  const raw = localStorage.getItem(SETTINGS_KEY);
+  if (!raw) return {};
+
+  try {
+    const settings = JSON.parse(raw);
+    if (settings && typeof settings === "object" && !Array.isArray(settings)) return settings;
+    moveAsideCorruptData(SETTINGS_KEY, raw, "settings are not an object");
+  } catch (e) {
+    moveAsideCorruptData(SETTINGS_KEY, raw, "settings are not valid JSON");
+  }
+  localStorage.removeItem(SETTINGS_KEY);
+  return {};
+}
+
+/**
+ * Save the settings (throws if localStorage is full or unavailable)
+ * @param {Object} settings - Settings to store
+ */
+function saveSettings(settings) {
+  localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+}
+
+// =========================
+// CHANGE LOG (audit trail)
+// =========================
+// Append-only list of client changes:
+//   { id, clientId, clientName, action, changes: [{ field, oldValue, newValue }], note, user, timestamp }
+// Entries are kept apart from the client records so they outlive a client
+// being deleted forever. Stored in the "changes" IndexedDB store, or under
+// CHANGE_LOG_KEY in localStorage when IndexedDB is unavailable.
+
+const CHANGE_LOG_KEY = "fitCRM_changeLog";
+const CHANGE_LOG_SCHEMA_VERSION = 1;
+const CHANGE_LOG_MIGRATIONS = {};
+
+/**
+ * Read the whole change log, oldest entry first
+ * @returns {Array} Change log entries
+ */
+function loadChangeLog() {
+  if (changeLogCache === null) {
+    changeLogCache = readVersionedRecords(CHANGE_LOG_KEY, CHANGE_LOG_SCHEMA_VERSION, CHANGE_LOG_MIGRATIONS);
+  }
+  return [...changeLogCache].sort((a, b) => a.timestamp.localeCompare(b.timestamp) || a.id - b.id);
+}
+
+/**
+ * Add entries to the change log
+ * With IndexedDB the entries are written in the background (errors go to onStorageError)
+ * @param {Array} entries - New change log entries (with unique numeric ids)
+ */
+function appendChangeLog(entries) {
+  if (entries.length === 0) return;
+  loadChangeLog(); // make sure the cache is filled before adding to it
+
+  const stamped = entries.map((entry) => ({ ...entry, schemaVersion: CHANGE_LOG_SCHEMA_VERSION }));
+  changeLogCache.push(...stamped);
+
+  if (!clientDb) {
+    writeVersionedRecords(CHANGE_LOG_KEY, changeLogCache, CHANGE_LOG_SCHEMA_VERSION);
+    return;
+  }
+
+  pendingWrite = pendingWrite
+    .then(() => {
+      const tx = clientDb.transaction("changes", "readwrite");
+      const store = tx.objectStore("changes");
+      stamped.forEach((entry) => store.put(entry));
+      return transactionDone(tx);
+    })
+    .catch((error) => storageErrorHandler(error));
+}
@@ -0,0 +1,402 @@
+// =========================
+// SERVER SYNC
+// =========================
+// When a sync server is set in Settings (see server.js), the roster is shared
+// through it. Every saveClients() call is turned into API operations (create,
+// field updates, sessions, plan, delete) kept in an outbox in localStorage, so
+// changes made while offline are sent as soon as the server can be reached.
+// Changes from other devices are pulled every SYNC_INTERVAL_MS.
+//
+// Conflicts are settled per field by the server: two devices changing
+// different fields of a client both keep their change; when both changed the
+// same field, the write that reaches the server last wins and the overwritten
+// value is reported through onSyncEvent.
+
+const SYNC_STATE_KEY = "fitCRM_sync";
+const SYNC_INTERVAL_MS = 30 * 1000;  // pull changes from other devices this often
+const SYNC_PUSH_DELAY_MS = 300;      // batch saves made in quick succession
+const SYNC_TIMEOUT_MS = 10 * 1000;   // give up on a request (and count as offline) after this
+
+// Token from signing in on the server (see createApiAccountBackend); per browser
+// tab, like the signed-in account, and sent with every request
+const API_TOKEN_KEY = "fitCRM_apiToken";
+
+let syncApiUrl = null;          // server base URL; null = this browser only
+let syncState = { revision: 0, versions: {}, outbox: [] }; // persisted under SYNC_STATE_KEY
+let syncShadow = new Map();     // client id → JSON of the client as the outbox last saw it
+let syncInProgress = null;      // promise of the running sync, if any
+let syncPushTimer = null;
+let syncOffline = false;
+let syncListener = () => {};
+
+/**
+ * Tidy a server address typed in Settings
+ * @param {string} url - e.g. "http://192.168.1.20:3000/"
+ * @returns {string|null} The URL without a trailing slash, "" for none, null if it is not http(s)
+ */
+function normalizeApiUrl(url) {
+  const text = (url || "").trim().replace(/\/+$/, "");
+  if (!text) return "";
+  return /^https?:\/\/[^\s/]+/i.test(text) ? text : null;
+}
+
+/**
+ * Remember (or, with null, forget) the server's sign-in token for this tab
+ * @param {string|null} token - Token from POST /api/accounts/:id/signin
+ */
+function saveApiToken(token) {
+  if (token) {
+    sessionStorage.setItem(API_TOKEN_KEY, token);
+  } else {
+    sessionStorage.removeItem(API_TOKEN_KEY);
+  }
+}
+
+/**
+ * Call the FitCRM API
+ * Errors answered by the server carry its HTTP `status`; network failures and
+ * timeouts do not (see isOfflineError)
+ * @param {string} baseUrl - Server base URL
+ * @param {string} method - HTTP method
+ * @param {string} path - Path after /api, e.g. "/clients/17"
+ * @param {Object} [body] - JSON body
+ * @returns {Promise<Object>} Parsed response body
+ */
+async function apiRequest(baseUrl, method, path, body) {
+  const controller = typeof AbortController !== "undefined" ? new AbortController() : null;
+  const timer = controller ? setTimeout(() => controller.abort(), SYNC_TIMEOUT_MS) : null;
+
+  const headers = body === undefined ? {} : { "Content-Type": "application/json" };
+  const token = sessionStorage.getItem(API_TOKEN_KEY);
+  if (token) headers.Authorization = `Bearer ${token}`;
+
+  try {
+    const response = await fetch(`${baseUrl}/api${path}`, {
+      method,
+      headers,
+      body: body === undefined ? undefined : JSON.stringify(body),
+      signal: controller ? controller.signal : undefined,
+    });
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      const error = new Error(data.error || `The server answered ${response.status}.`);
+      error.status = response.status;
+      error.details = data;
+      throw error;
+    }
+    return data;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Whether an API error means the server could not be reached
+ * @param {Error} error - Error from apiRequest
+ * @returns {boolean}
+ */
+function isOfflineError(error) {
+  return !error.status;
+}
+
+/**
+ * Register the callback told about sync progress
+ * Events: { type: "status", status: { enabled, offline, pending } },
+ * { type: "pulled" } when other devices' changes were saved locally,
+ * { type: "conflict", clientName, conflicts } and { type: "error", clientName, message }
+ * @param {Function} handler - Called with each event
+ */
+function onSyncEvent(handler) {
+  syncListener = handler;
+}
+
+/**
+ * @returns {Object} { enabled, offline, pending } — pending is the number of queued changes
+ */
+function getSyncStatus() {
+  return { enabled: Boolean(syncApiUrl), offline: syncOffline, pending: syncState.outbox.length };
+}
+
+function notifySyncStatus() {
+  syncListener({ type: "status", status: getSyncStatus() });
+}
+
+function loadSyncState() {
+  const raw = localStorage.getItem(SYNC_STATE_KEY);
+  if (!raw) return { revision: 0, versions: {}, outbox: [] };
+  try {
+    const state = JSON.parse(raw);
+    return { revision: state.revision || 0, versions: state.versions || {}, outbox: state.outbox || [] };
+  } catch (e) {
+    moveAsideCorruptData(SYNC_STATE_KEY, raw, "the sync queue is not valid JSON");
+    localStorage.removeItem(SYNC_STATE_KEY);
+    return { revision: 0, versions: {}, outbox: [] };
+  }
+}
+
+function saveSyncState() {
+  localStorage.setItem(SYNC_STATE_KEY, JSON.stringify(syncState));
+}
+
+/**
+ * List the API operations that turn one version of a client into another
+ * @param {Object|null} before - Client as last queued (null = new client)
+ * @param {Object|null} after - Client now (null = deleted forever)
+ * @returns {Array} Operations for the outbox
+ */
+function diffClientForSync(before, after) {
+  const clientId = (after || before).id;
+  if (!before) return [{ type: "create", clientId, client: after }];
+  if (!after) return [{ type: "delete", clientId }];
+
+  const ops = [];
+  const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+  const { history: beforeHistory, sessionPlan: beforePlan, ...beforeRecord } = before;
+  const { history: afterHistory, sessionPlan: afterPlan, ...afterRecord } = after;
+
+  const fields = {};
+  new Set([...Object.keys(beforeRecord), ...Object.keys(afterRecord)]).forEach((field) => {
+    if (field !== "schemaVersion" && !same(beforeRecord[field], afterRecord[field])) {
+      fields[field] = afterRecord[field] === undefined ? null : afterRecord[field];
+    }
+  });
+  if (Object.keys(fields).length > 0) ops.push({ type: "patch", clientId, fields });
+
+  const beforeSessions = new Map((beforeHistory || []).map((session) => [session.id, session]));
+  const afterSessions = new Map((afterHistory || []).map((session) => [session.id, session]));
+  afterSessions.forEach((session, id) => {
+    if (!same(beforeSessions.get(id), session)) ops.push({ type: "putSession", clientId, session });
+  });
+  beforeSessions.forEach((session, id) => {
+    if (!afterSessions.has(id)) ops.push({ type: "deleteSession", clientId, sessionId: id });
+  });
+
+  if (!same(beforePlan || null, afterPlan || null)) {
+    ops.push(afterPlan ? { type: "putPlan", clientId, plan: afterPlan } : { type: "deletePlan", clientId });
+  }
+  return ops;
+}
+
+/**
+ * Queue what changed since the last save (called by saveClients)
+ * @param {Array} clients - Full client list being saved
+ */
+function queueClientSyncOps(clients) {
+  const seen = new Set();
+  const ops = [];
+
+  clients.forEach((client) => {
+    seen.add(client.id);
+    const snapshot = JSON.stringify(client);
+    const previous = syncShadow.get(client.id);
+    if (previous === snapshot) return;
+    ops.push(...diffClientForSync(previous ? JSON.parse(previous) : null, JSON.parse(snapshot)));
+    syncShadow.set(client.id, snapshot);
+  });
+  syncShadow.forEach((snapshot, id) => {
+    if (seen.has(id)) return;
+    ops.push(...diffClientForSync(JSON.parse(snapshot), null));
+    syncShadow.delete(id);
+  });
+
+  if (ops.length === 0) return;
+  syncState.outbox.push(...ops);
+  saveSyncState();
+  notifySyncStatus();
+
+  clearTimeout(syncPushTimer);
+  syncPushTimer = setTimeout(syncNow, SYNC_PUSH_DELAY_MS);
+}
+
+/**
+ * Send one outbox operation
+ * @param {Object} op - Outbox operation
+ * @returns {Promise<Object>} API response
+ */
+function sendSyncOp(op) {
+  const path = `/clients/${op.clientId}`;
+  switch (op.type) {
+    case "create":
+      return apiRequest(syncApiUrl, "POST", "/clients", { client: op.client });
+    case "patch":
+      return apiRequest(syncApiUrl, "PATCH", path, {
+        baseVersion: syncState.versions[op.clientId] || 0,
+        fields: op.fields,
+      });
+    case "delete":
+      return apiRequest(syncApiUrl, "DELETE", path);
+    case "putSession":
+      return apiRequest(syncApiUrl, "PUT", `${path}/sessions/${op.session.id}`, { session: op.session });
+    case "deleteSession":
+      return apiRequest(syncApiUrl, "DELETE", `${path}/sessions/${op.sessionId}`);
+    case "putPlan":
+      return apiRequest(syncApiUrl, "PUT", `${path}/plan`, { plan: op.plan });
+    case "deletePlan":
+      return apiRequest(syncApiUrl, "DELETE", `${path}/plan`);
+    default:
+      return Promise.reject(new Error(`Unknown sync operation "${op.type}"`));
+  }
+}
+
+/**
+ * Name of a client for sync messages
+ * @param {number} clientId - Client id
+ * @returns {string}
+ */
+function getSyncClientName(clientId) {
+  const snapshot = syncShadow.get(clientId);
+  return snapshot ? JSON.parse(snapshot).fullName : `client ${clientId}`;
+}
+
+/**
+ * Replace the local copy of a client with the server's, after the server rejected a change to it
+ * Clients with more changes queued are left alone, as in pullChanges(); a client the
+ * server does not have (e.g. its create was rejected) is kept as it is
+ * @param {number} clientId - Client id
+ * @returns {Promise<boolean>} True if the local copy was replaced
+ */
+async function restoreServerClient(clientId) {
+  if (syncState.outbox.slice(1).some((op) => op.clientId === clientId)) return false;
+
+  let result;
+  try {
+    result = await apiRequest(syncApiUrl, "GET", `/clients/${clientId}`);
+  } catch (error) {
+    if (error.status === 404) return false;
+    throw error;
+  }
+
+  syncState.versions[clientId] = result.version;
+  const migrated = migrateRecord(result.client, CLIENT_SCHEMA_VERSION, CLIENT_MIGRATIONS);
+  syncShadow.set(clientId, JSON.stringify(migrated));
+  // The shadow already matches, so this saves locally without queueing anything
+  saveClients(loadClients().map((client) => (client.id === clientId ? migrated : client)));
+  return true;
+}
+
+/**
+ * Send queued operations in order, stopping at the first network failure
+ * Operations the server rejects are dropped (and reported) so they cannot block the queue;
+ * the client they changed goes back to the server's copy
+ * @returns {Promise<boolean>} True if a rejected change was undone locally
+ */
+async function pushOutbox() {
+  let restored = false;
+  while (syncState.outbox.length > 0) {
+    const op = syncState.outbox[0];
+    try {
+      const result = await sendSyncOp(op);
+      if (result.version) syncState.versions[op.clientId] = result.version;
+      if (op.type === "delete") delete syncState.versions[op.clientId];
+      if (result.conflicts && result.conflicts.length > 0) {
+        syncListener({ type: "conflict", clientName: getSyncClientName(op.clientId), conflicts: result.conflicts });
+      }
+    } catch (error) {
+      if (isOfflineError(error)) throw error;
+
+      // Already created (e.g. the response to an earlier attempt was lost) or deleted elsewhere
+      const harmless = (op.type === "create" && error.status === 409) || (op.type === "delete" && error.status === 404);
+      if (!harmless) {
+        console.error("The server rejected a change", op, error);
+        syncListener({ type: "error", clientName: getSyncClientName(op.clientId), message: error.message });
+        // Fetched before the operation is dropped, so going offline here retries both
+        if (await restoreServerClient(op.clientId)) restored = true;
+      }
+    }
+    syncState.outbox.shift();
+    saveSyncState();
+  }
+  return restored;
+}
+
+/**
+ * Save other devices' changes locally
+ * Clients with changes still in the outbox are left alone; their queued
+ * changes are sent first and the server's copy arrives with the next pull
+ * @returns {Promise<boolean>} True if anything changed locally
+ */
+async function pullChanges() {
+  const changes = await apiRequest(syncApiUrl, "GET", `/sync?since=${syncState.revision}`);
+  const pending = new Set(syncState.outbox.map((op) => op.clientId));
+  const byId = new Map(loadClients().map((client) => [client.id, client]));
+  let changed = false;
+
+  changes.clients.forEach(({ client, version }) => {
+    syncState.versions[client.id] = version;
+    if (pending.has(client.id)) return;
+    const migrated = migrateRecord(client, CLIENT_SCHEMA_VERSION, CLIENT_MIGRATIONS);
+    const snapshot = JSON.stringify(migrated);
+    if (syncShadow.get(client.id) === snapshot) return;
+    syncShadow.set(client.id, snapshot);
+    byId.set(client.id, migrated);
+    changed = true;
+  });
+
+  changes.deleted.forEach((id) => {
+    delete syncState.versions[id];
+    if (pending.has(id) || !byId.has(id)) return;
+    syncShadow.delete(id);
+    byId.delete(id);
+    changed = true;
+  });
+
+  syncState.revision = changes.revision;
+  saveSyncState();
+
+  // The shadow already matches, so this saves locally without queueing anything
+  if (changed) saveClients([...byId.values()]);
+  return changed;
+}
+
+/**
+ * Push queued changes, then pull other devices' changes
+ * @returns {Promise<void>} Resolves when done (never rejects; being offline is reported as status)
+ */
+function syncNow() {
+  if (!syncApiUrl) return Promise.resolve();
+  if (syncInProgress) return syncInProgress;
+
+  clearTimeout(syncPushTimer);
+  syncInProgress = (async () => {
+    try {
+      const restored = await pushOutbox();
+      const changed = await pullChanges();
+      syncOffline = false;
+      if (restored || changed) syncListener({ type: "pulled" });
+    } catch (error) {
+      if (!isOfflineError(error)) console.error("Sync failed", error);
+      syncOffline = true;
+    } finally {
+      syncInProgress = null;
+      notifySyncStatus();
+    }
+  })();
+  return syncInProgress;
+}
+
+/**
+ * Start syncing the local roster with a server (called by initClientStorage)
+ * The first time, local clients the server does not know yet are uploaded
+ * @param {string} apiUrl - Server base URL
+ * @returns {Promise<void>} Resolves after the first sync attempt
+ */
+async function startClientSync(apiUrl) {
+  syncApiUrl = normalizeApiUrl(apiUrl) || null;
+  if (!syncApiUrl) return;
+
+  syncState = loadSyncState();
+  const queued = new Set(syncState.outbox.map((op) => op.clientId));
+  syncShadow = new Map();
+  loadClients().forEach((client) => {
+    syncShadow.set(client.id, JSON.stringify(client));
+    if (!syncState.versions[client.id] && !queued.has(client.id)) {
+      syncState.outbox.push({ type: "create", clientId: client.id, client });
+    }
+  });
+  saveSyncState();
+  setClientSyncHandler(queueClientSyncOps);
+
+  await syncNow();
+  setInterval(syncNow, SYNC_INTERVAL_MS);
+  window.addEventListener("online", () => syncNow());
+}
@@ -0,0 +1,317 @@
+// =========================
+// CLIENT VALIDATION
+// =========================
+// One set of rules for every way a client gets in: the New Client form
+// (main.js), CSV / JSON import (importExport.js) and the REST API.
+// Loaded as a classic script in the browser and with require() in Node.
+
+// =========================
+// VALIDATION SETTINGS
+// =========================
+// Rules an admin can change on the Settings page (stored by loadSettings /
+// saveSettings in storage.js). Anything missing falls back to these defaults.
+
+const DEFAULT_VALIDATION_SETTINGS = {
+  phoneCountries: ["EG"],     // country formats accepted for phone numbers
+  defaultPhoneCountry: "EG",  // numbers typed without "+<country code>" are read as this country
+  backdateDays: 0,            // new clients may start up to this many days before today
+  allowPastStartOnEdit: false, // editing may move a start date into the past (beyond backdateDays)
+};
+
+// Supported phone formats: country calling code, national trunk prefix (dropped
+// when converting to E.164) and the national significant number pattern
+const PHONE_COUNTRY_FORMATS = {
+  EG: { name: "Egypt", dialCode: "20", trunkPrefix: "0", pattern: /^(1[0125]\d{8}|[2-9]\d{7,8})$/ },
+  SA: { name: "Saudi Arabia", dialCode: "966", trunkPrefix: "0", pattern: /^(5\d{8}|1\d{7})$/ },
+  AE: { name: "United Arab Emirates", dialCode: "971", trunkPrefix: "0", pattern: /^(5\d{8}|[2-9]\d{7})$/ },
+  GB: { name: "United Kingdom", dialCode: "44", trunkPrefix: "0", pattern: /^[1-9]\d{9}$/ },
+  US: { name: "United States / Canada", dialCode: "1", trunkPrefix: "1", pattern: /^[2-9]\d{2}[2-9]\d{6}$/ },
+  FR: { name: "France", dialCode: "33", trunkPrefix: "0", pattern: /^[1-9]\d{8}$/ },
+  DE: { name: "Germany", dialCode: "49", trunkPrefix: "0", pattern: /^[1-9]\d{5,10}$/ },
+  IN: { name: "India", dialCode: "91", trunkPrefix: "0", pattern: /^[6-9]\d{9}$/ },
+};
+
+/**
+ * Fill in missing or invalid settings with the defaults
+ * @param {Object} [settings] - Stored settings (may be partial)
+ * @returns {Object} Complete validation settings
+ */
+function resolveValidationSettings(settings) {
+  const merged = { ...DEFAULT_VALIDATION_SETTINGS, ...(settings || {}) };
+
+  let phoneCountries = Array.isArray(merged.phoneCountries)
+    ? merged.phoneCountries.filter((code) => PHONE_COUNTRY_FORMATS[code])
+    : [];
+  if (phoneCountries.length === 0) phoneCountries = [...DEFAULT_VALIDATION_SETTINGS.phoneCountries];
+
+  const backdateDays = parseInt(merged.backdateDays, 10);
+
+  return {
+    ...merged,
+    phoneCountries,
+    defaultPhoneCountry: phoneCountries.includes(merged.defaultPhoneCountry)
+      ? merged.defaultPhoneCountry
+      : phoneCountries[0],
+    backdateDays: backdateDays > 0 ? backdateDays : 0,
+    allowPastStartOnEdit: Boolean(merged.allowPastStartOnEdit),
+  };
+}
+
+// =========================
+// FIELD VALIDATORS
+// =========================
+// All validation functions return boolean (true = valid, false = invalid)
+
+// Email address syntax (RFC 5322 dot-atom local part, RFC 1035 domain labels)
+const EMAIL_LOCAL_PART = /^[A-Za-z0-9!#$%&'*+/=?^_`{|}~-]+(\.[A-Za-z0-9!#$%&'*+/=?^_`{|}~-]+)*$/;
+const EMAIL_DOMAIN_LABEL = /^[A-Za-z0-9]([A-Za-z0-9-]{0,61}[A-Za-z0-9])?$/;
+
+/**
+ * Validate an email address against the standard syntax
+ * Accepts any real top-level domain (.org, .co.uk, .eg, internationalised "xn--" domains);
+ * quoted local parts and IP address domains are not accepted
+ * @param {string} email - Email address to validate
+ * @returns {boolean} True if valid, false otherwise
+ */
+function isValidEmail(email) {
+  if (!email || typeof email !== 'string') return false;
+  const address = email.trim();
+  if (address.length > 254) return false;
+
+  const at = address.lastIndexOf("@");
+  if (at < 1) return false;
+  const local = address.slice(0, at);
+  const labels = address.slice(at + 1).split(".");
+  const tld = labels[labels.length - 1];
+
+  return (
+    local.length <= 64 &&
+    EMAIL_LOCAL_PART.test(local) &&
+    labels.length >= 2 &&
+    labels.every((label) => EMAIL_DOMAIN_LABEL.test(label)) &&
+    (/^[A-Za-z]{2,}$/.test(tld) || /^xn--[A-Za-z0-9-]+$/.test(tld))
+  );
+}
+
+/**
+ * Validate age - must be between 5 and 120 years old
+ * @param {string|number} age - Age to validate
+ * @returns {boolean} True if valid (>= 5 and <= 120), false otherwise
+ */
+function isValidAge(age) {
+  if (!age) return false;
+  const ageNum = parseInt(age, 10);
+  return !isNaN(ageNum) && ageNum >= 5 && ageNum <= 120;
+}
+
+/**
+ * Convert a phone number to E.164 ("+201012345678")
+ * Numbers starting with "+" or "00" must use one of the allowed countries' codes;
+ * other numbers are read as national numbers of the default country
+ * @param {string} phone - Phone number as typed (spaces, dashes, dots and brackets are ignored)
+ * @param {Object} [settings] - Validation settings (see DEFAULT_VALIDATION_SETTINGS)
+ * @returns {string|null} E.164 number, or null if it matches no allowed country format
+ */
+function normalizePhone(phone, settings) {
+  if (!phone || typeof phone !== 'string') return null;
+  const { phoneCountries, defaultPhoneCountry } = resolveValidationSettings(settings);
+
+  const compact = phone.trim().replace(/[\s\-.()]/g, "");
+  if (!/^(\+|00)?\d+$/.test(compact)) return null;
+
+  const international = compact.startsWith("+") || compact.startsWith("00");
+  const digits = compact.replace(/^(\+|00)/, "");
+
+  if (international) {
+    const match = phoneCountries
+      .map((code) => PHONE_COUNTRY_FORMATS[code])
+      .find((format) => digits.startsWith(format.dialCode) && format.pattern.test(digits.slice(format.dialCode.length)));
+    return match ? `+${digits}` : null;
+  }
+
+  const format = PHONE_COUNTRY_FORMATS[defaultPhoneCountry];
+  const national = digits.startsWith(format.trunkPrefix) ? digits.slice(format.trunkPrefix.length) : digits;
+  return format.pattern.test(national) ? `+${format.dialCode}${national}` : null;
+}
+
+/**
+ * Validate phone number against the allowed country formats
+ * @param {string} phone - Phone number to validate
+ * @param {Object} [settings] - Validation settings
+ * @returns {boolean} True if it can be normalised to E.164, false otherwise
+ */
+function isValidPhone(phone, settings) {
+  return normalizePhone(phone, settings) !== null;
+}
+
+/**
+ * Format a Date as YYYY-MM-DD (local time)
+ * @param {Date} date - Date to format
+ * @returns {string} e.g. "2025-03-09"
+ */
+function formatDateString(date) {
+  const year = date.getFullYear();
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${year}-${month}-${day}`;
+}
+
+/**
+ * Get today's date in YYYY-MM-DD format
+ * @returns {string} Today's date formatted as YYYY-MM-DD
+ */
+function getTodayDate() {
+  return formatDateString(new Date());
+}
+
+/**
+ * Validate that a date is not in the past (optionally allowing a few days back)
+ * @param {string} dateString - Date string in YYYY-MM-DD format
+ * @param {number} [graceDays=0] - How many days before today are still accepted
+ * @returns {boolean} True if date is today or in the future (or within the grace days)
+ */
+function isDateNotInPast(dateString, graceDays = 0) {
+  if (!dateString) return false;
+  const earliest = new Date();
+  earliest.setDate(earliest.getDate() - graceDays);
+  // YYYY-MM-DD strings compare correctly as text
+  return dateString >= formatDateString(earliest);
+}
+
+/**
+ * Validate that end date is after start date
+ * @param {string} startDate - Start date string in YYYY-MM-DD format
+ * @param {string} endDate - End date string in YYYY-MM-DD format
+ * @returns {boolean} True if end date is after start date, false otherwise
+ */
+function isEndDateAfterStartDate(startDate, endDate) {
+  if (!startDate || !endDate) return false;
+  const start = new Date(startDate);
+  const end = new Date(endDate);
+  return end > start;
+}
+
+/**
+ * Validate that a value is a real calendar date in YYYY-MM-DD format
+ * @param {string} dateString - Date string to check
+ * @returns {boolean} True for e.g. "2025-02-28", false for "2025-02-30" or "28/02/2025"
+ */
+function isValidDateString(dateString) {
+  if (typeof dateString !== "string" || !/^\d{4}-\d{2}-\d{2}$/.test(dateString)) return false;
+  const [year, month, day] = dateString.split("-").map(Number);
+  const date = new Date(Date.UTC(year, month - 1, day));
+  return date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 && date.getUTCDate() === day;
+}
+
+// =========================
+// WHOLE-CLIENT VALIDATION
+// =========================
+
+/**
+ * Start date rule for creating, editing or importing a client
+ *   create - not before today, minus the allowed backdate days
+ *   edit   - an unchanged start date is always fine (the membership may have begun);
+ *            a changed one follows the create rule unless allowPastStartOnEdit is on
+ *   import - any date (existing members joined before the import)
+ * @param {string} startDate - Start date (YYYY-MM-DD, already checked to be a real date)
+ * @param {string} mode - "create", "edit" or "import"
+ * @param {Object} settings - Resolved validation settings
+ * @param {Object} [original] - The stored client when editing
+ * @returns {string} Error message, or "" if the date is allowed
+ */
+function checkStartDateRule(startDate, mode, settings, original) {
+  if (mode === "import") return "";
+  if (mode === "edit") {
+    if (original && original.startDate === startDate) return "";
+    if (settings.allowPastStartOnEdit) return "";
+  }
+  if (isDateNotInPast(startDate, settings.backdateDays)) return "";
+
+  return settings.backdateDays > 0
+    ? `Membership start date cannot be more than ${settings.backdateDays} days in the past.`
+    : "Membership start date cannot be in the past.";
+}
+
+/**
+ * Check every field of a client at once
+ * @param {Object} values - { fullName, age, email, phone, goal, startDate, endDate } (strings)
+ * @param {Object} [options]
+ * @param {string} [options.mode="create"] - "create", "edit" or "import" (see checkStartDateRule)
+ * @param {Object} [options.original] - The stored client when editing
+ * @param {Object} [options.settings] - Validation settings (defaults when omitted)
+ * @returns {Object} field name → error message; empty when the client is valid
+ */
+function validateClient(values, options = {}) {
+  const errors = {};
+  const settings = resolveValidationSettings(options.settings);
+  const mode = options.mode || "create";
+  const text = (key) => (values[key] === null || values[key] === undefined ? "" : String(values[key]).trim());
+
+  if (!text("fullName")) {
+    errors.fullName = "Full name is required.";
+  }
+
+  // Age is optional
+  if (text("age") && !isValidAge(text("age"))) {
+    errors.age = "Age must be between 5 and 120 years old.";
+  }
+
+  if (!text("email")) {
+    errors.email = "Email is required.";
+  } else if (!isValidEmail(text("email"))) {
+    errors.email = "Enter a valid email address, e.g. name@example.org.";
+  }
+
+  if (!text("phone")) {
+    errors.phone = "Phone number is required.";
+  } else if (!isValidPhone(text("phone"), settings)) {
+    const countries = settings.phoneCountries.map((code) => PHONE_COUNTRY_FORMATS[code].name).join(", ");
+    errors.phone = `Enter a valid phone number for: ${countries} (other countries need the +code).`;
+  }
+
+  if (!text("goal")) {
+    errors.goal = "Choose a fitness goal or type a custom one.";
+  }
+
+  const startDate = text("startDate");
+  const endDate = text("endDate");
+
+  if (!startDate) {
+    errors.startDate = "Membership start date is required.";
+  } else if (!isValidDateString(startDate)) {
+    errors.startDate = "Membership start date must be a valid date (YYYY-MM-DD).";
+  } else {
+    const message = checkStartDateRule(startDate, mode, settings, options.original);
+    if (message) errors.startDate = message;
+  }
+
+  if (!endDate) {
+    errors.endDate = "Membership end date is required.";
+  } else if (!isValidDateString(endDate)) {
+    errors.endDate = "Membership end date must be a valid date (YYYY-MM-DD).";
+  } else if (isValidDateString(startDate) && !isEndDateAfterStartDate(startDate, endDate)) {
+    errors.endDate = "Membership end date must be after the start date.";
+  }
+
+  return errors;
+}
+
+// Node (server.js) uses the same rules
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    DEFAULT_VALIDATION_SETTINGS,
+    PHONE_COUNTRY_FORMATS,
+    resolveValidationSettings,
+    isValidEmail,
+    isValidAge,
+    normalizePhone,
+    isValidPhone,
+    formatDateString,
+    getTodayDate,
+    isDateNotInPast,
+    isEndDateAfterStartDate,
+    isValidDateString,
+    checkStartDateRule,
+    validateClient,
+  };
+}